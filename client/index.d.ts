@@ -0,0 +1,557 @@
+import { EventEmitter } from "events";
+import { ManagerOptions, Socket, SocketOptions } from "socket.io-client";
+
+export const PROTOCOL_VERSION: number;
+
+export type Role = "host" | "co-host" | "panelist" | "attendee";
+export type ChatMode = "public" | "private" | "host-only" | "system";
+export type SignalStream = "camera" | "screen";
+export type FilterMode = "off" | "mask" | "block";
+type DateValue = string | number;
+
+export interface ErrorInfo {
+  code: string;
+  message: string;
+  field?: string | null;
+  event?: string;
+  [detail: string]: unknown;
+}
+
+export class MeetingError extends Error {
+  constructor(error: ErrorInfo);
+  code: string;
+  field: string | null;
+  details: Record<string, unknown>;
+}
+
+export interface Participant {
+  participantId: string;
+  username: string | null;
+  peerId: string | null;
+  role: Role | null;
+  isHost: boolean;
+  audioEnabled: boolean;
+  videoEnabled: boolean;
+  isScreenSharing: boolean;
+  breakoutId: string | null;
+  joinedAt?: DateValue;
+  // False while the server holds the seat of a dropped connection
+  connected: boolean;
+}
+
+export interface Attachment {
+  id: string;
+  filename: string;
+  mimeType: string;
+  size: number;
+}
+
+export interface ChatMessage {
+  id: string;
+  username?: string;
+  message: string;
+  timestamp: DateValue;
+  type: "user" | "system";
+  chatMode?: ChatMode;
+  systemType?: string;
+  senderId?: string;
+  recipientId?: string;
+  recipient?: string | null;
+  toHost?: boolean;
+  attachments?: Attachment[];
+  reactions?: Record<string, number>;
+  editedAt?: DateValue;
+  deleted?: boolean;
+  deletedAt?: DateValue;
+  deletedBy?: string;
+}
+
+export interface ChatSettings {
+  allowParticipantChat: boolean;
+  allowPrivateMessages: boolean;
+  moderateMessages: boolean;
+  filterMode: FilterMode;
+  blockedWords: string[];
+  blockedPatterns: string[];
+  historyLimit: number;
+  replayLimit: number;
+}
+
+export interface HostMasterControls {
+  controlAllAudio: boolean;
+  controlAllVideo: boolean;
+}
+
+export interface SessionInfo {
+  participantId: string;
+  sessionToken: string;
+  role: Role;
+  gracePeriodMs: number;
+  resumed: boolean;
+  protocolVersion: number;
+}
+
+export interface LobbyInfo {
+  roomId: string;
+  message: string;
+  inLobby: true;
+  protocolVersion: number;
+}
+
+export interface LobbyEntry {
+  id: string;
+  username: string;
+  requestedAt: DateValue;
+}
+
+export interface RaisedHand {
+  participantId: string;
+  username: string;
+  peerId: string | null;
+  raisedAt: DateValue;
+}
+
+export interface PollResults {
+  totalVotes: number;
+  counts: number[];
+  voters: { username: string; choices: number[]; votedAt: DateValue }[] | null;
+}
+
+export interface Poll {
+  id: string;
+  question: string;
+  options: string[];
+  multipleChoice: boolean;
+  anonymous: boolean;
+  isQuiz: boolean;
+  status: "draft" | "open" | "closed";
+  openedAt: DateValue | null;
+  closedAt: DateValue | null;
+  correctOptions?: number[] | null;
+  createdBy?: string;
+  createdAt?: DateValue;
+  results?: PollResults;
+}
+
+export interface NewPoll {
+  question: string;
+  options: string[];
+  multipleChoice?: boolean;
+  anonymous?: boolean;
+  correctOptions?: number[] | null;
+}
+
+interface BreakoutMember {
+  participantId: string;
+  username: string;
+}
+
+export interface BreakoutLayout {
+  startedAt: DateValue;
+  endsAt: DateValue | null;
+  rooms: { id: string; name: string; participants: BreakoutMember[] }[];
+  mainRoom: BreakoutMember[];
+}
+
+export interface BreakoutAssignment {
+  breakoutId: string | null;
+  name: string | null;
+  endsAt: DateValue | null;
+  participants: BreakoutMember[];
+}
+
+export interface MeetingEndedNotice {
+  roomId: string;
+  reason: string;
+  endedAt: DateValue;
+  nextStartTime: DateValue | null;
+}
+
+export interface ChatHistoryQuery {
+  before?: string;
+  after?: string;
+  limit?: number;
+  search?: string;
+  sender?: string;
+  chatMode?: ChatMode | ChatMode[];
+}
+
+export interface ChatHistoryPage {
+  messages: ChatMessage[];
+  hasMore: boolean;
+  before: string | null;
+  after: string | null;
+}
+
+export interface SentMessage {
+  message: ChatMessage;
+  pending: boolean;
+}
+
+export interface IceServers {
+  iceServers: {
+    urls: string | string[];
+    username?: string;
+    credential?: string;
+  }[];
+  ttlSeconds: number | null;
+  expiresAt: DateValue | null;
+}
+
+export interface MediaToggle {
+  participantId: string;
+  peerId: string | null;
+  enabled: boolean;
+  isHostMasterControl?: boolean;
+}
+
+interface Signal {
+  roomId: string;
+  from: string;
+  stream: SignalStream;
+}
+
+export class RoomState {
+  constructor(options?: { maxMessages?: number });
+  roomId: string | null;
+  self: {
+    participantId: string | null;
+    sessionToken: string | null;
+    username: string | null;
+    peerId: string | null;
+    role: Role | null;
+  };
+  inLobby: boolean;
+  hostId: string | null;
+  participants: Map<string, Participant>;
+  messages: ChatMessage[];
+  hasMoreHistory: boolean;
+  chatSettings: ChatSettings | null;
+  hostMasterControls: HostMasterControls | null;
+  security: { locked: boolean; hasPasscode: boolean };
+  schedule: Record<string, unknown> | null;
+  createdAt: DateValue | null;
+  raisedHands: RaisedHand[];
+  lobby: { enabled: boolean; pending: LobbyEntry[] };
+  moderationQueue: ChatMessage[];
+  breakouts: BreakoutLayout | null;
+  breakout: BreakoutAssignment | null;
+  polls: Map<string, Poll>;
+  votedPollIds: Set<string>;
+  chatMutedUntil: DateValue | null;
+  ended: MeetingEndedNotice | null;
+  removed: boolean;
+  readonly isHost: boolean;
+  getSelf(): Participant | null;
+  getOthers(): Participant[];
+  findByPeerId(peerId: string): Participant | null;
+  apply(event: string, payload?: unknown): boolean;
+  reset(roomId?: string | null): void;
+  toJSON(): Record<string, unknown>;
+}
+
+export interface MeetingEvents {
+  // Added by the client
+  connected: [];
+  disconnected: [{ reason: string; willReconnect: boolean }];
+  reconnecting: [{ attempt: number }];
+  reconnected: [SessionInfo | LobbyInfo];
+  "rejoin-failed": [MeetingError];
+  admitted: [SessionInfo];
+  "state-changed": [event: string];
+
+  // Sent by the server
+  "session-info": [SessionInfo];
+  "lobby-waiting": [{ roomId: string; message: string }];
+  "lobby-denied": [{ roomId: string; reason: string }];
+  "lobby-participant-joined": [LobbyEntry];
+  "lobby-updated": [{ enabled: boolean; pending: LobbyEntry[] }];
+  "lobby-settings-updated": [{ enabled: boolean }];
+  "host-assigned": [{ isHost: boolean }];
+  "room-info": [
+    {
+      roomCreatedAt: DateValue;
+      isFirstParticipant: boolean;
+      hostId: string;
+      hostMasterControls: HostMasterControls;
+      locked: boolean;
+      hasPasscode: boolean;
+      schedule: Record<string, unknown> | null;
+    },
+  ];
+  "room-participants": [
+    { participants: Record<string, Record<string, unknown>> },
+  ];
+  "user-joined": [
+    {
+      participantId: string;
+      username: string;
+      peerId: string | null;
+      isHost: boolean;
+      role: Role;
+    },
+  ];
+  "user-left": [
+    { participantId: string; peerId: string | null; username: string },
+  ];
+  "user-disconnected": [
+    {
+      participantId: string;
+      peerId: string | null;
+      username: string;
+      gracePeriodMs: number;
+    },
+  ];
+  "user-reconnected": [
+    {
+      participantId: string;
+      username: string;
+      peerId: string | null;
+      previousPeerId: string | null;
+      isHost: boolean;
+      role: Role;
+      audioEnabled: boolean;
+      videoEnabled: boolean;
+      isScreenSharing: boolean;
+    },
+  ];
+  "user-removed": [{ participantId: string; peerId: string | null }];
+  "you-were-removed": [];
+  "host-privileges-updated": [{ newHostId: string; newHostUsername: string }];
+  "participant-role-updated": [
+    { participantId: string; username: string; role: Role },
+  ];
+  "user-toggle-audio": [MediaToggle];
+  "user-toggle-video": [MediaToggle];
+  "user-screen-share": [
+    { participantId: string; peerId: string | null; isSharing: boolean },
+  ];
+  "host-master-audio-control": [
+    { enabled: boolean; forced: boolean; hostUsername: string },
+  ];
+  "host-master-video-control": [
+    { enabled: boolean; forced: boolean; hostUsername: string },
+  ];
+  "host-muted-audio": [{ forced: boolean }];
+  "host-unmuted-audio": [];
+  "host-disabled-video": [{ forced: boolean }];
+  "host-enabled-video": [];
+  "host-master-controls-updated": [HostMasterControls];
+  "chat-settings-updated": [ChatSettings];
+  "room-security-updated": [{ locked: boolean; hasPasscode: boolean }];
+  "chat-message": [ChatMessage];
+  "private-message": [ChatMessage];
+  "host-message": [ChatMessage];
+  "chat-system-message": [ChatMessage];
+  "chat-history-replayed": [
+    { count: number; hasMore: boolean; before: string | null },
+  ];
+  "message-edited": [
+    { messageId: string; message: string; editedAt: DateValue },
+  ];
+  "message-deleted": [
+    { messageId: string; deletedAt: DateValue; deletedBy: string },
+  ];
+  "message-reactions-updated": [
+    {
+      messageId: string;
+      reactions: Record<string, number>;
+      emoji: string;
+      participantId: string;
+      action: "add" | "remove";
+    },
+  ];
+  "message-pending": [ChatMessage];
+  "message-rejected": [
+    { messageId: string; message: string; reason: string | null },
+  ];
+  "moderation-queue-updated": [{ pending: ChatMessage[] }];
+  "user-typing": [{ username: string; isTyping: boolean }];
+  "chat-muted": [{ mutedUntil: DateValue }];
+  "participant-chat-muted": [
+    { participantId: string; username: string; mutedUntil: DateValue },
+  ];
+  "hand-queue-updated": [{ queue: RaisedHand[] }];
+  "polls-state": [{ polls: Poll[]; votedPollIds: string[] }];
+  "poll-created": [Poll];
+  "poll-opened": [Poll];
+  "poll-closed": [Poll];
+  "poll-vote-recorded": [{ pollId: string; choices: number[] }];
+  "poll-results-updated": [{ pollId: string; results: PollResults }];
+  "breakouts-updated": [BreakoutLayout];
+  "breakout-assigned": [BreakoutAssignment];
+  "breakout-timer-updated": [{ endsAt: DateValue | null }];
+  "breakouts-closed": [{ roomId: string }];
+  "meeting-ended": [MeetingEndedNotice];
+  "meeting-ending-soon": [
+    { roomId: string; endTime: DateValue; remainingMs: number },
+  ];
+  "meeting-schedule-updated": [Record<string, unknown>];
+  "ice-servers": [IceServers];
+  "webrtc-offer": [Signal & { description: RTCSessionDescriptionInit }];
+  "webrtc-answer": [Signal & { description: RTCSessionDescriptionInit }];
+  "webrtc-ice-candidate": [Signal & { candidate: RTCIceCandidateInit | null }];
+  "webrtc-hangup": [Signal];
+  "chat-error": [ErrorInfo];
+  "room-error": [ErrorInfo];
+  "signal-error": [ErrorInfo];
+}
+
+type RTCSessionDescriptionInit = { type: string; sdp?: string };
+type RTCIceCandidateInit = {
+  candidate?: string;
+  sdpMid?: string | null;
+  sdpMLineIndex?: number | null;
+};
+
+export interface JoinOptions {
+  roomId: string;
+  username: string;
+  peerId?: string;
+  hostKey?: string;
+  joinToken?: string;
+  passcode?: string;
+}
+
+export interface MeetingClientOptions {
+  requestTimeoutMs?: number;
+  maxMessages?: number;
+  socketOptions?: Partial<ManagerOptions & SocketOptions>;
+}
+
+export class MeetingClient extends EventEmitter {
+  constructor(url: string, options?: MeetingClientOptions);
+  readonly socket: Socket;
+  readonly state: RoomState;
+  readonly connected: boolean;
+  requestTimeoutMs: number;
+
+  on<E extends keyof MeetingEvents>(
+    event: E,
+    listener: (...args: MeetingEvents[E]) => void
+  ): this;
+  once<E extends keyof MeetingEvents>(
+    event: E,
+    listener: (...args: MeetingEvents[E]) => void
+  ): this;
+  off<E extends keyof MeetingEvents>(
+    event: E,
+    listener: (...args: MeetingEvents[E]) => void
+  ): this;
+
+  connect(): Promise<void>;
+  join(options: JoinOptions): Promise<SessionInfo | LobbyInfo>;
+  leave(): void;
+  request<T = unknown>(
+    event: string,
+    payload?: Record<string, unknown>
+  ): Promise<T>;
+  ping(): Promise<number>;
+
+  toggleAudio(enabled: boolean): Promise<void>;
+  toggleVideo(enabled: boolean): Promise<void>;
+  shareScreen(isSharing: boolean): Promise<void>;
+  updateHostMasterControls(
+    settings: Partial<HostMasterControls>
+  ): Promise<null>;
+  muteParticipant(
+    targetPeerId: string,
+    options?: { forced?: boolean }
+  ): Promise<null>;
+  unmuteParticipant(targetPeerId: string): Promise<null>;
+  disableParticipantVideo(
+    targetPeerId: string,
+    options?: { forced?: boolean }
+  ): Promise<null>;
+  enableParticipantVideo(targetPeerId: string): Promise<null>;
+
+  sendMessage(
+    message: string,
+    options?: { attachmentIds?: string[] }
+  ): Promise<SentMessage>;
+  sendPrivateMessage(
+    recipient: string,
+    message: string,
+    options?: { attachmentIds?: string[] }
+  ): Promise<SentMessage>;
+  sendToHost(
+    message: string,
+    options?: { attachmentIds?: string[] }
+  ): Promise<SentMessage>;
+  sendHostMessage(
+    message: string,
+    options?: { attachmentIds?: string[] }
+  ): Promise<SentMessage>;
+  sendSystemMessage(message: string, type?: string): Promise<null>;
+  getChatHistory(query?: ChatHistoryQuery): Promise<ChatHistoryPage>;
+  loadEarlierMessages(limit?: number): Promise<boolean>;
+  editMessage(messageId: string, message: string): Promise<null>;
+  deleteMessage(messageId: string): Promise<null>;
+  addReaction(messageId: string, emoji: string): Promise<null>;
+  removeReaction(messageId: string, emoji: string): Promise<null>;
+  approveMessage(messageId: string): Promise<null>;
+  rejectMessage(messageId: string, reason?: string): Promise<null>;
+  updateChatSettings(settings: Partial<ChatSettings>): Promise<null>;
+  setTyping(isTyping: boolean): Promise<null>;
+
+  getIceServers(): Promise<IceServers>;
+  sendOffer(
+    to: string,
+    description: RTCSessionDescriptionInit,
+    stream?: SignalStream
+  ): Promise<null>;
+  sendAnswer(
+    to: string,
+    description: RTCSessionDescriptionInit,
+    stream?: SignalStream
+  ): Promise<null>;
+  sendIceCandidate(
+    to: string,
+    candidate: RTCIceCandidateInit | null,
+    stream?: SignalStream
+  ): Promise<null>;
+  hangUp(to: string, stream?: SignalStream): Promise<null>;
+
+  raiseHand(): Promise<null>;
+  lowerHand(participantId?: string): Promise<null>;
+  acknowledgeHand(
+    participantId: string,
+    options?: { unmute?: boolean }
+  ): Promise<null>;
+  clearHands(): Promise<null>;
+
+  createPoll(poll: NewPoll): Promise<Poll>;
+  openPoll(pollId: string): Promise<null>;
+  closePoll(pollId: string): Promise<null>;
+  votePoll(pollId: string, choices: number[]): Promise<null>;
+
+  openBreakouts(options: {
+    count: number;
+    mode?: "auto" | "manual";
+    assignments?: Record<string, number>;
+    names?: string[];
+    durationMinutes?: number | null;
+  }): Promise<null>;
+  assignBreakout(
+    participantId: string,
+    breakoutId: string | null
+  ): Promise<null>;
+  broadcastToBreakouts(message: string): Promise<null>;
+  setBreakoutTimer(durationSeconds: number | null): Promise<null>;
+  closeBreakouts(): Promise<null>;
+
+  removeParticipant(participantId: string): Promise<null>;
+  transferHost(newHostId: string): Promise<null>;
+  promoteCohost(participantId: string): Promise<null>;
+  demoteCohost(participantId: string): Promise<null>;
+  setParticipantRole(participantId: string, role: Role): Promise<null>;
+
+  updateRoomSecurity(options: {
+    locked?: boolean;
+    passcode?: string | null;
+  }): Promise<null>;
+  setLobbyEnabled(enabled: boolean): Promise<null>;
+  admitFromLobby(participantId: string): Promise<null>;
+  admitAllFromLobby(): Promise<null>;
+  denyFromLobby(participantId: string, reason?: string): Promise<null>;
+}
@@ -0,0 +1,22 @@
+const { MeetingClient, MeetingError } = require("./meetingClient");
+const RoomState = require("./roomState");
+const { PROTOCOL_VERSION } = require("../lib/protocol");
+
+// JavaScript client for the meeting server, for browsers (through a bundler)
+// and for Node, e.g. bots and integration tests:
+//
+//   const { MeetingClient } = require("./client");
+//   const client = new MeetingClient("http://localhost:5000");
+//   client.on("chat-message", (message) => console.log(message.message));
+//   await client.join({ roomId, username: "Bot" });
+//   await client.sendMessage("Hello");
+//
+// client.state follows the room as events arrive; index.d.ts describes the
+// methods, the events and the shape of the state.
+
+module.exports = {
+  MeetingClient,
+  MeetingError,
+  RoomState,
+  PROTOCOL_VERSION,
+};
@@ -0,0 +1,479 @@
+const { EventEmitter } = require("events");
+const { io } = require("socket.io-client");
+const { PROTOCOL_VERSION } = require("../lib/protocol");
+const RoomState = require("./roomState");
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+// A failed command, carrying the { code, message, field } the server sent.
+// Commands the server does not answer in time fail with code TIMEOUT.
+class MeetingError extends Error {
+  constructor({ code, message, field = null, ...details }) {
+    super(message);
+    this.name = "MeetingError";
+    this.code = code;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+// Client for one participant in one room. Every server event is re-emitted
+// under its own name after `state` has been updated from it, followed by
+// "state-changed" when the state changed. The client adds:
+//   connected      the socket connected
+//   disconnected   the socket dropped; `willReconnect` says whether it retries
+//   reconnecting   a reconnection attempt started
+//   reconnected    the session was resumed after a reconnection
+//   rejoin-failed  resuming failed, with the MeetingError
+//   admitted       the host let this client in from the lobby
+// Commands return promises for the data the server acknowledged them with.
+class MeetingClient extends EventEmitter {
+  constructor(
+    url,
+    {
+      requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+      maxMessages,
+      socketOptions = {},
+    } = {}
+  ) {
+    super();
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.state = new RoomState({ maxMessages });
+    this.joinOptions = null; // Kept to rejoin after a reconnection
+    this.rejoining = null;
+
+    this.socket = io(url, { autoConnect: false, ...socketOptions });
+    this.socket.onAny((event, payload) =>
+      this.handleServerEvent(event, payload)
+    );
+    this.socket.on("connect", () => this.handleConnect());
+    this.socket.on("disconnect", (reason) => {
+      this.emit("disconnected", { reason, willReconnect: this.socket.active });
+    });
+    this.socket.io.on("reconnect_attempt", (attempt) => {
+      this.emit("reconnecting", { attempt });
+    });
+  }
+
+  get connected() {
+    return this.socket.connected;
+  }
+
+  handleServerEvent(event, payload) {
+    const wasInLobby = this.state.inLobby;
+    const changed = this.state.apply(event, payload);
+
+    // The meeting is over for this client; there is nothing to rejoin
+    if (["meeting-ended", "you-were-removed", "lobby-denied"].includes(event)) {
+      this.joinOptions = null;
+    }
+
+    this.emit(event, payload);
+    if (event === "session-info" && wasInLobby) {
+      this.emit("admitted", payload);
+    }
+    if (changed) this.emit("state-changed", event);
+  }
+
+  handleConnect() {
+    this.emit("connected");
+    if (!this.joinOptions) return;
+
+    // A reconnected socket is a new connection to the server. The session
+    // token puts it back in the participant's seat while the server still
+    // holds it; after that it joins as a new participant.
+    this.rejoining = this.sendJoin(
+      this.joinOptions,
+      this.state.self.sessionToken
+    )
+      .then(
+        (data) => this.emit("reconnected", data),
+        (err) => this.emit("rejoin-failed", err)
+      )
+      .then(() => {
+        this.rejoining = null;
+      });
+  }
+
+  // Open the connection. Rejects if the first attempt fails.
+  connect() {
+    if (this.socket.connected) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.off("connect_error", onError);
+        resolve();
+      };
+      const onError = (err) => {
+        this.socket.off("connect", onConnect);
+        this.socket.disconnect();
+        reject(err);
+      };
+      this.socket.once("connect", onConnect);
+      this.socket.once("connect_error", onError);
+      this.socket.connect();
+    });
+  }
+
+  // Join a room. Resolves with the session info, or with { inLobby: true }
+  // when the room holds new participants in its lobby; "admitted" follows
+  // once the host lets them in.
+  async join({ roomId, username, peerId, hostKey, joinToken, passcode }) {
+    await this.connect();
+
+    const options = { roomId, username, peerId, hostKey, joinToken, passcode };
+    this.state.reset(roomId);
+    this.state.self.username = username;
+    this.state.self.peerId = peerId || null;
+
+    const data = await this.sendJoin(options);
+    this.joinOptions = options;
+    return data;
+  }
+
+  sendJoin(options, sessionToken) {
+    return this.request("join-room", {
+      ...options,
+      sessionToken: sessionToken || undefined,
+      protocolVersion: PROTOCOL_VERSION,
+    });
+  }
+
+  // Close the connection. The server keeps the seat for its grace period,
+  // as it does for any dropped connection, before telling the others that
+  // this participant left.
+  leave() {
+    this.joinOptions = null;
+    this.socket.disconnect();
+  }
+
+  // Send a command and wait for its acknowledgement. The room ID is filled
+  // in; commands sent while a reconnected socket rejoins wait until it has.
+  async request(event, payload = {}) {
+    if (this.rejoining && event !== "join-room") await this.rejoining;
+
+    let response;
+    try {
+      response = await this.socket
+        .timeout(this.requestTimeoutMs)
+        .emitWithAck(event, { roomId: this.state.roomId, ...payload });
+    } catch (err) {
+      throw new MeetingError({
+        code: "TIMEOUT",
+        message: `No answer to ${event} within ${this.requestTimeoutMs}ms`,
+      });
+    }
+
+    if (!response.ok) throw new MeetingError(response.error);
+    return response.data;
+  }
+
+  // Apply a change the server does not echo back to the sender
+  updateSelf(event, fields) {
+    if (this.state.updateParticipant(this.state.self.participantId, fields)) {
+      this.emit("state-changed", event);
+    }
+  }
+
+  // Round trip time to the server in milliseconds
+  async ping() {
+    const startedAt = Date.now();
+    await this.socket.timeout(this.requestTimeoutMs).emitWithAck("ping");
+    return Date.now() - startedAt;
+  }
+
+  // Media
+
+  async toggleAudio(enabled) {
+    await this.request("toggle-audio", {
+      peerId: this.state.self.peerId || undefined,
+      enabled,
+    });
+    this.updateSelf("toggle-audio", { audioEnabled: enabled });
+  }
+
+  async toggleVideo(enabled) {
+    await this.request("toggle-video", {
+      peerId: this.state.self.peerId || undefined,
+      enabled,
+    });
+    this.updateSelf("toggle-video", { videoEnabled: enabled });
+  }
+
+  async shareScreen(isSharing) {
+    await this.request("user-screen-share", {
+      peerId: this.state.self.peerId || undefined,
+      isSharing,
+    });
+    this.updateSelf("user-screen-share", { isScreenSharing: isSharing });
+  }
+
+  updateHostMasterControls(settings) {
+    return this.request("update-host-master-controls", { settings });
+  }
+
+  muteParticipant(targetPeerId, { forced } = {}) {
+    return this.request("host-control-audio", {
+      targetPeerId,
+      action: "mute",
+      forced,
+    });
+  }
+
+  unmuteParticipant(targetPeerId) {
+    return this.request("host-control-audio", {
+      targetPeerId,
+      action: "unmute",
+    });
+  }
+
+  disableParticipantVideo(targetPeerId, { forced } = {}) {
+    return this.request("host-control-video", {
+      targetPeerId,
+      action: "disable",
+      forced,
+    });
+  }
+
+  enableParticipantVideo(targetPeerId) {
+    return this.request("host-control-video", {
+      targetPeerId,
+      action: "enable",
+    });
+  }
+
+  // Chat. Sending resolves with { message, pending }; pending messages wait
+  // for a moderator.
+
+  sendMessage(message, { attachmentIds } = {}) {
+    return this.request("send-chat-message", {
+      username: this.state.self.username,
+      message,
+      attachmentIds,
+    });
+  }
+
+  sendPrivateMessage(recipient, message, { attachmentIds } = {}) {
+    return this.request("send-private-message", {
+      username: this.state.self.username,
+      recipient,
+      message,
+      attachmentIds,
+    });
+  }
+
+  // A private message to the host, whoever that is
+  sendToHost(message, { attachmentIds } = {}) {
+    return this.request("send-private-message", {
+      username: this.state.self.username,
+      toHost: true,
+      message,
+      attachmentIds,
+    });
+  }
+
+  // A message only hosts and co-hosts see
+  sendHostMessage(message, { attachmentIds } = {}) {
+    return this.request("send-host-message", {
+      username: this.state.self.username,
+      message,
+      attachmentIds,
+    });
+  }
+
+  sendSystemMessage(message, type) {
+    return this.request("send-system-message", { message, type });
+  }
+
+  // Resolves with { messages, hasMore, before, after }
+  getChatHistory(query = {}) {
+    return this.request("get-chat-history", query);
+  }
+
+  // Fetch the page of history before the oldest message held and add it to
+  // the state. Resolves with whether there is more.
+  async loadEarlierMessages(limit) {
+    const oldest = this.state.messages[0];
+    const page = await this.getChatHistory({
+      before: oldest ? oldest.id : undefined,
+      limit,
+    });
+
+    this.state.prependMessages(page.messages);
+    this.state.hasMoreHistory = page.hasMore;
+    this.emit("state-changed", "get-chat-history");
+    return page.hasMore;
+  }
+
+  editMessage(messageId, message) {
+    return this.request("edit-message", { messageId, message });
+  }
+
+  deleteMessage(messageId) {
+    return this.request("delete-message", { messageId });
+  }
+
+  addReaction(messageId, emoji) {
+    return this.request("add-reaction", { messageId, emoji });
+  }
+
+  removeReaction(messageId, emoji) {
+    return this.request("remove-reaction", { messageId, emoji });
+  }
+
+  approveMessage(messageId) {
+    return this.request("approve-message", { messageId });
+  }
+
+  rejectMessage(messageId, reason) {
+    return this.request("reject-message", { messageId, reason });
+  }
+
+  updateChatSettings(settings) {
+    return this.request("update-chat-settings", { settings });
+  }
+
+  setTyping(isTyping) {
+    return this.request("typing-indicator", {
+      username: this.state.self.username,
+      isTyping,
+    });
+  }
+
+  // WebRTC signaling, relayed to the participant with ID `to`. Incoming
+  // signals arrive as webrtc-offer, webrtc-answer, webrtc-ice-candidate and
+  // webrtc-hangup events.
+
+  // Resolves with { iceServers, ttlSeconds, expiresAt }
+  getIceServers() {
+    return this.request("get-ice-servers");
+  }
+
+  sendOffer(to, description, stream) {
+    return this.request("webrtc-offer", { to, description, stream });
+  }
+
+  sendAnswer(to, description, stream) {
+    return this.request("webrtc-answer", { to, description, stream });
+  }
+
+  sendIceCandidate(to, candidate, stream) {
+    return this.request("webrtc-ice-candidate", { to, candidate, stream });
+  }
+
+  hangUp(to, stream) {
+    return this.request("webrtc-hangup", { to, stream });
+  }
+
+  // Raised hands
+
+  raiseHand() {
+    return this.request("raise-hand");
+  }
+
+  // Lower this client's hand, or someone else's when managing the queue
+  lowerHand(participantId) {
+    return this.request("lower-hand", { participantId });
+  }
+
+  acknowledgeHand(participantId, { unmute } = {}) {
+    return this.request("acknowledge-hand", { participantId, unmute });
+  }
+
+  clearHands() {
+    return this.request("clear-hands");
+  }
+
+  // Polls
+
+  // Resolves with the new poll and its results
+  createPoll(poll) {
+    return this.request("create-poll", { poll });
+  }
+
+  openPoll(pollId) {
+    return this.request("open-poll", { pollId });
+  }
+
+  closePoll(pollId) {
+    return this.request("close-poll", { pollId });
+  }
+
+  votePoll(pollId, choices) {
+    return this.request("vote-poll", { pollId, choices });
+  }
+
+  // Breakouts
+
+  // `options` are { count, mode, assignments, names, durationMinutes }
+  openBreakouts(options) {
+    return this.request("open-breakouts", options);
+  }
+
+  // A null breakoutId moves the participant back to the main room
+  assignBreakout(participantId, breakoutId) {
+    return this.request("assign-breakout", { participantId, breakoutId });
+  }
+
+  broadcastToBreakouts(message) {
+    return this.request("broadcast-to-breakouts", { message });
+  }
+
+  setBreakoutTimer(durationSeconds) {
+    return this.request("set-breakout-timer", { durationSeconds });
+  }
+
+  closeBreakouts() {
+    return this.request("close-breakouts");
+  }
+
+  // Participants and roles
+
+  removeParticipant(participantId) {
+    return this.request("remove-participant", { participantId });
+  }
+
+  transferHost(newHostId) {
+    return this.request("transfer-host", { newHostId });
+  }
+
+  promoteCohost(participantId) {
+    return this.request("promote-cohost", { participantId });
+  }
+
+  demoteCohost(participantId) {
+    return this.request("demote-cohost", { participantId });
+  }
+
+  setParticipantRole(participantId, role) {
+    return this.request("set-participant-role", { participantId, role });
+  }
+
+  // Room security and lobby
+
+  // A null passcode removes it
+  updateRoomSecurity({ locked, passcode }) {
+    return this.request("update-room-security", { locked, passcode });
+  }
+
+  setLobbyEnabled(enabled) {
+    return this.request("update-lobby-settings", { enabled });
+  }
+
+  admitFromLobby(participantId) {
+    return this.request("lobby-admit", { participantId });
+  }
+
+  admitAllFromLobby() {
+    return this.request("lobby-admit-all");
+  }
+
+  denyFromLobby(participantId, reason) {
+    return this.request("lobby-deny", { participantId, reason });
+  }
+}
+
+module.exports = {
+  MeetingClient,
+  MeetingError,
+};
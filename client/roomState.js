@@ -0,0 +1,451 @@
+// The client's picture of a room, rebuilt from the events the server sends.
+// apply() takes each event as it arrives and returns true when the state
+// changed. Participants are keyed by participant ID and include this client
+// once the server has given it one.
+class RoomState {
+  constructor({ maxMessages = 500 } = {}) {
+    this.maxMessages = maxMessages;
+    this.reset();
+  }
+
+  reset(roomId = null) {
+    this.roomId = roomId;
+    this.self = {
+      participantId: null,
+      sessionToken: null,
+      username: null,
+      peerId: null,
+      role: null,
+    };
+    this.inLobby = false;
+    this.hostId = null;
+    this.participants = new Map();
+    this.messages = [];
+    this.hasMoreHistory = false;
+    this.chatSettings = null;
+    this.hostMasterControls = null;
+    this.security = { locked: false, hasPasscode: false };
+    this.schedule = null;
+    this.createdAt = null;
+    this.raisedHands = [];
+    this.lobby = { enabled: false, pending: [] };
+    this.moderationQueue = [];
+    this.breakouts = null;
+    this.breakout = null; // This client's own breakout assignment
+    this.polls = new Map();
+    this.votedPollIds = new Set();
+    this.chatMutedUntil = null;
+    this.ended = null; // The meeting-ended notice, once the meeting is over
+    this.removed = false;
+  }
+
+  get isHost() {
+    return (
+      this.self.participantId !== null &&
+      this.self.participantId === this.hostId
+    );
+  }
+
+  getSelf() {
+    return this.participants.get(this.self.participantId) || null;
+  }
+
+  // Everyone else in the room
+  getOthers() {
+    return [...this.participants.values()].filter(
+      (participant) => participant.participantId !== this.self.participantId
+    );
+  }
+
+  findByPeerId(peerId) {
+    return (
+      [...this.participants.values()].find(
+        (participant) => participant.peerId === peerId
+      ) || null
+    );
+  }
+
+  // A plain copy of the state, e.g. for logging or rendering
+  toJSON() {
+    return {
+      roomId: this.roomId,
+      self: { ...this.self },
+      inLobby: this.inLobby,
+      hostId: this.hostId,
+      participants: [...this.participants.values()].map((p) => ({ ...p })),
+      messages: this.messages.slice(),
+      hasMoreHistory: this.hasMoreHistory,
+      chatSettings: this.chatSettings,
+      hostMasterControls: this.hostMasterControls,
+      security: { ...this.security },
+      schedule: this.schedule,
+      createdAt: this.createdAt,
+      raisedHands: this.raisedHands.slice(),
+      lobby: { ...this.lobby },
+      moderationQueue: this.moderationQueue.slice(),
+      breakouts: this.breakouts,
+      breakout: this.breakout,
+      polls: [...this.polls.values()],
+      votedPollIds: [...this.votedPollIds],
+      chatMutedUntil: this.chatMutedUntil,
+      ended: this.ended,
+      removed: this.removed,
+    };
+  }
+
+  // Add or update a participant from any of the shapes the server uses
+  upsertParticipant(participantId, fields) {
+    const existing = this.participants.get(participantId) || {
+      participantId,
+      username: null,
+      peerId: null,
+      role: null,
+      audioEnabled: true,
+      videoEnabled: true,
+      isScreenSharing: false,
+      breakoutId: null,
+      connected: true,
+    };
+
+    const participant = { ...existing };
+    [
+      "username",
+      "peerId",
+      "role",
+      "audioEnabled",
+      "videoEnabled",
+      "isScreenSharing",
+      "breakoutId",
+      "joinedAt",
+    ].forEach((key) => {
+      if (fields[key] !== undefined) participant[key] = fields[key];
+    });
+    participant.isHost = participantId === this.hostId;
+
+    this.participants.set(participantId, participant);
+    return participant;
+  }
+
+  updateParticipant(participantId, fields) {
+    if (!this.participants.has(participantId)) return false;
+    this.upsertParticipant(participantId, fields);
+    return true;
+  }
+
+  setHost(hostId) {
+    this.hostId = hostId;
+    this.participants.forEach((participant) => {
+      participant.isHost = participant.participantId === hostId;
+    });
+  }
+
+  // Messages are kept in order and replaced by ID, so replays after a
+  // resumed session do not repeat them
+  addMessage(message) {
+    const index = this.messages.findIndex((m) => m.id === message.id);
+    if (index !== -1) {
+      this.messages[index] = message;
+      return;
+    }
+
+    this.messages.push(message);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.splice(0, this.messages.length - this.maxMessages);
+    }
+  }
+
+  // Older messages fetched with get-chat-history go before the ones held
+  prependMessages(messages) {
+    const known = new Set(this.messages.map((m) => m.id));
+    const older = messages.filter((m) => !known.has(m.id));
+    this.messages = older.concat(this.messages);
+  }
+
+  updateMessage(messageId, fields) {
+    const index = this.messages.findIndex((m) => m.id === messageId);
+    if (index === -1) return false;
+    this.messages[index] = { ...this.messages[index], ...fields };
+    return true;
+  }
+
+  // Media changes apply to one participant, or to everyone when the host
+  // switches all microphones or cameras at once
+  applyMediaToggle(key, { participantId, enabled, isHostMasterControl }) {
+    if (isHostMasterControl) {
+      this.participants.forEach((participant) => {
+        participant[key] = enabled;
+      });
+      return true;
+    }
+    return this.updateParticipant(participantId, { [key]: enabled });
+  }
+
+  apply(event, payload = {}) {
+    switch (event) {
+      case "session-info": {
+        const selfFields = {
+          username: this.self.username,
+          peerId: this.self.peerId,
+        };
+        if (!payload.resumed) {
+          this.reset(this.roomId);
+          Object.assign(this.self, selfFields);
+        }
+        this.inLobby = false;
+        this.self.participantId = payload.participantId;
+        this.self.sessionToken = payload.sessionToken;
+        this.self.role = payload.role;
+        this.upsertParticipant(payload.participantId, {
+          ...selfFields,
+          role: payload.role,
+        });
+        return true;
+      }
+
+      case "lobby-waiting":
+        this.inLobby = true;
+        return true;
+
+      case "room-info":
+        this.createdAt = payload.roomCreatedAt;
+        this.setHost(payload.hostId);
+        this.hostMasterControls = payload.hostMasterControls;
+        this.security = {
+          locked: payload.locked,
+          hasPasscode: payload.hasPasscode,
+        };
+        this.schedule = payload.schedule || null;
+        return true;
+
+      // Sent on joining, without this client. Anyone missing from the list
+      // left while this client was away.
+      case "room-participants": {
+        const listed = payload.participants || {};
+        [...this.participants.keys()].forEach((participantId) => {
+          if (
+            participantId !== this.self.participantId &&
+            !listed[participantId]
+          ) {
+            this.participants.delete(participantId);
+          }
+        });
+        Object.entries(listed).forEach(([participantId, participant]) => {
+          this.upsertParticipant(participantId, participant).connected = true;
+        });
+        return true;
+      }
+
+      case "user-joined":
+        this.upsertParticipant(payload.participantId, payload);
+        if (payload.isHost) this.setHost(payload.participantId);
+        return true;
+
+      case "user-reconnected":
+        this.upsertParticipant(payload.participantId, payload).connected = true;
+        if (payload.isHost) this.setHost(payload.participantId);
+        return true;
+
+      case "user-disconnected": {
+        const participant = this.participants.get(payload.participantId);
+        if (!participant) return false;
+        participant.connected = false;
+        return true;
+      }
+
+      case "user-left":
+      case "user-removed":
+        this.raisedHands = this.raisedHands.filter(
+          (hand) => hand.participantId !== payload.participantId
+        );
+        return this.participants.delete(payload.participantId);
+
+      case "you-were-removed":
+        this.removed = true;
+        return true;
+
+      case "host-assigned":
+        if (payload.isHost && this.self.participantId) {
+          this.setHost(this.self.participantId);
+        }
+        return true;
+
+      case "host-privileges-updated":
+        this.setHost(payload.newHostId);
+        return true;
+
+      case "participant-role-updated":
+        if (payload.participantId === this.self.participantId) {
+          this.self.role = payload.role;
+        }
+        return this.updateParticipant(payload.participantId, {
+          role: payload.role,
+        });
+
+      case "user-toggle-audio":
+        return this.applyMediaToggle("audioEnabled", payload);
+
+      case "user-toggle-video":
+        return this.applyMediaToggle("videoEnabled", payload);
+
+      case "user-screen-share":
+        return this.updateParticipant(payload.participantId, {
+          isScreenSharing: payload.isSharing,
+        });
+
+      case "host-master-audio-control":
+        return this.updateParticipant(this.self.participantId, {
+          audioEnabled: payload.enabled,
+        });
+
+      case "host-master-video-control":
+        return this.updateParticipant(this.self.participantId, {
+          videoEnabled: payload.enabled,
+        });
+
+      case "host-muted-audio":
+        return this.updateParticipant(this.self.participantId, {
+          audioEnabled: false,
+        });
+
+      case "host-disabled-video":
+        return this.updateParticipant(this.self.participantId, {
+          videoEnabled: false,
+        });
+
+      case "chat-settings-updated":
+        this.chatSettings = payload;
+        return true;
+
+      case "host-master-controls-updated":
+        this.hostMasterControls = payload;
+        return true;
+
+      case "room-security-updated":
+        this.security = {
+          locked: payload.locked,
+          hasPasscode: payload.hasPasscode,
+        };
+        return true;
+
+      case "lobby-settings-updated":
+        this.lobby = { ...this.lobby, enabled: payload.enabled };
+        return true;
+
+      case "lobby-updated":
+        this.lobby = { enabled: payload.enabled, pending: payload.pending };
+        return true;
+
+      case "chat-message":
+      case "private-message":
+      case "host-message":
+      case "chat-system-message":
+        this.addMessage(payload);
+        return true;
+
+      case "chat-history-replayed":
+        this.hasMoreHistory = payload.hasMore;
+        return true;
+
+      case "message-edited":
+        return this.updateMessage(payload.messageId, {
+          message: payload.message,
+          editedAt: payload.editedAt,
+        });
+
+      // Kept as the same tombstone the server leaves in history
+      case "message-deleted": {
+        const index = this.messages.findIndex(
+          (m) => m.id === payload.messageId
+        );
+        if (index === -1) return false;
+        const { reactions, ...message } = this.messages[index];
+        this.messages[index] = {
+          ...message,
+          message: "",
+          deleted: true,
+          deletedAt: payload.deletedAt,
+          deletedBy: payload.deletedBy,
+        };
+        return true;
+      }
+
+      case "message-reactions-updated":
+        return this.updateMessage(payload.messageId, {
+          reactions: payload.reactions,
+        });
+
+      case "moderation-queue-updated":
+        this.moderationQueue = payload.pending;
+        return true;
+
+      case "chat-muted":
+        this.chatMutedUntil = payload.mutedUntil;
+        return true;
+
+      case "hand-queue-updated":
+        this.raisedHands = payload.queue;
+        return true;
+
+      case "breakouts-updated":
+        this.breakouts = payload;
+        return true;
+
+      case "breakout-assigned":
+        this.breakout = payload.breakoutId ? payload : null;
+        return this.updateParticipant(this.self.participantId, {
+          breakoutId: payload.breakoutId,
+        });
+
+      case "breakout-timer-updated":
+        if (this.breakouts) {
+          this.breakouts = { ...this.breakouts, endsAt: payload.endsAt };
+        }
+        if (this.breakout) {
+          this.breakout = { ...this.breakout, endsAt: payload.endsAt };
+        }
+        return true;
+
+      case "breakouts-closed":
+        this.breakouts = null;
+        return true;
+
+      case "polls-state":
+        this.polls = new Map(payload.polls.map((poll) => [poll.id, poll]));
+        this.votedPollIds = new Set(payload.votedPollIds);
+        return true;
+
+      case "poll-created":
+      case "poll-opened":
+      case "poll-closed":
+        this.polls.set(payload.id, {
+          ...this.polls.get(payload.id),
+          ...payload,
+        });
+        return true;
+
+      case "poll-results-updated": {
+        const poll = this.polls.get(payload.pollId);
+        if (!poll) return false;
+        this.polls.set(payload.pollId, { ...poll, results: payload.results });
+        return true;
+      }
+
+      case "poll-vote-recorded":
+        this.votedPollIds.add(payload.pollId);
+        return true;
+
+      case "meeting-schedule-updated":
+        this.schedule = { ...this.schedule, ...payload };
+        return true;
+
+      case "meeting-ended":
+        this.ended = payload;
+        return true;
+
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = RoomState;
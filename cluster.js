@@ -0,0 +1,105 @@
+const cluster = require("cluster");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+const { createRoomStore, serveRoomStore } = require("./lib/store");
+const { serveClusterMetrics } = require("./lib/metrics");
+
+// Run the server as several worker processes behind one port:
+//   node cluster.js
+// WEB_CONCURRENCY sets the number of workers (default: one per CPU). The
+// primary holds the shared room state, picked with ROOM_STORE as usual, and
+// passes each connection to a worker, keeping a Socket.IO session on the
+// worker it started on. Rate limits, passcode lockouts and webhook delivery
+// logs are still kept per worker, and global webhooks added over REST only
+// reach the workers running at the time.
+
+const PORT = process.env.PORT || 5000;
+const WORKER_COUNT =
+  Number(process.env.WEB_CONCURRENCY) || os.availableParallelism();
+const ROOM_LOCK_TIMEOUT_MS = Number(process.env.ROOM_LOCK_TIMEOUT_MS) || 10000;
+
+// Structured clone keeps dates and binary data intact between processes
+cluster.setupPrimary({
+  exec: path.join(__dirname, "server.js"),
+  serialization: "advanced",
+});
+
+let shuttingDown = false;
+
+// Resolves once the worker has finished starting up
+function forkWorker(env = {}) {
+  const worker = cluster.fork(env);
+  return new Promise((resolve, reject) => {
+    worker.on("message", (message) => {
+      if (message && message.type === "worker-ready") {
+        console.log(`Worker ${worker.process.pid} ready`);
+        resolve(worker);
+      }
+    });
+    worker.once("exit", () => {
+      reject(new Error(`Worker ${worker.process.pid} exited during startup`));
+    });
+  });
+}
+
+async function start() {
+  const roomStore = createRoomStore();
+  await roomStore.init();
+  serveRoomStore(roomStore, { lockTimeoutMs: ROOM_LOCK_TIMEOUT_MS });
+  serveClusterMetrics();
+
+  const server = http.createServer();
+  setupMaster(server, { loadBalancingMethod: "least-connection" });
+  setupPrimary();
+
+  // Only the first worker picks up rooms left over from a previous run, and
+  // no connections are taken until it is done
+  await forkWorker({ CLUSTER_STARTUP_TASKS: "1" });
+  const others = [];
+  for (let i = 1; i < WORKER_COUNT; i++) {
+    others.push(forkWorker());
+  }
+  await Promise.all(others);
+
+  cluster.on("exit", (worker, code, signal) => {
+    if (shuttingDown) return;
+    console.log(
+      `Worker ${worker.process.pid} exited (${signal || code}), starting another`
+    );
+    forkWorker().catch((err) => console.error(err.message));
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Cluster primary listening on port ${PORT}`);
+  });
+
+  async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down`);
+    shuttingDown = true;
+
+    // Let the workers finish their own shutdown, which may still save
+    // rooms, before the store is flushed
+    await Promise.all(
+      Object.values(cluster.workers).map(
+        (worker) =>
+          new Promise((resolve) => {
+            worker.once("exit", resolve);
+            worker.process.kill(signal);
+          })
+      )
+    );
+    await roomStore.close();
+    process.exit(0);
+  }
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+}
+
+start().catch((err) => {
+  console.error("Failed to start cluster:", err);
+  process.exit(1);
+});
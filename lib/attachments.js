@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// Keep the name for display and downloads, but never let it name a path
+function cleanFilename(filename) {
+  const base = path
+    .basename(String(filename || ""))
+    .replace(/[\u0000-\u001f\u007f"\\]/g, "")
+    .trim()
+    .slice(0, 255);
+  return base || "attachment";
+}
+
+// Uploaded files live on local disk under <dir>/<roomId>/<attachmentId>.
+// A relative dir is taken from the working directory, since downloads are
+// sent with res.sendFile, which needs absolute paths. Metadata is kept on
+// the room by the caller.
+class AttachmentStore {
+  constructor({
+    dir = path.join(process.cwd(), "data", "attachments"),
+    maxBytes = 10 * 1024 * 1024,
+    allowedTypes = DEFAULT_ALLOWED_TYPES,
+  } = {}) {
+    this.dir = path.resolve(dir);
+    this.maxBytes = maxBytes;
+    this.allowedTypes = allowedTypes;
+  }
+
+  isAllowedType(mimeType) {
+    return this.allowedTypes.includes(mimeType);
+  }
+
+  roomDir(roomId) {
+    return path.join(this.dir, roomId);
+  }
+
+  filePath(roomId, attachmentId) {
+    return path.join(this.roomDir(roomId), attachmentId);
+  }
+
+  // Write an upload to disk and return its metadata record
+  async save(roomId, { filename, mimeType, data, uploadedBy }) {
+    const attachment = {
+      id: uuidv4(),
+      filename: cleanFilename(filename),
+      mimeType,
+      size: data.length,
+      uploadedBy,
+      uploadedAt: new Date(),
+    };
+
+    await fs.promises.mkdir(this.roomDir(roomId), { recursive: true });
+    await fs.promises.writeFile(this.filePath(roomId, attachment.id), data);
+    return attachment;
+  }
+
+  async deleteRoom(roomId) {
+    await fs.promises.rm(this.roomDir(roomId), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  // Remove files left behind by rooms that no longer exist, e.g. after a
+  // restart with the memory store
+  async prune(roomIds) {
+    const known = new Set(roomIds);
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    await Promise.all(
+      entries
+        .filter((roomId) => !known.has(roomId))
+        .map((roomId) => this.deleteRoom(roomId))
+    );
+  }
+}
+
+module.exports = { AttachmentStore, DEFAULT_ALLOWED_TYPES };
@@ -0,0 +1,53 @@
+// Counts failed attempts per key in a fixed window and blocks the key once
+// it runs out of attempts, until the window resets.
+class AttemptLimiter {
+  constructor({ maxAttempts = 5, windowMs = 15 * 60 * 1000 } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.windowMs = windowMs;
+    this.entries = new Map();
+
+    this.pruneTimer = setInterval(() => this.prune(), windowMs);
+    this.pruneTimer.unref();
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Milliseconds until the key may try again, or 0 if it is not blocked
+  retryAfter(key) {
+    const entry = this.getEntry(key);
+    if (!entry || entry.failures < this.maxAttempts) return 0;
+    return entry.resetAt - Date.now();
+  }
+
+  // Record a failure and return how many attempts the key has left
+  recordFailure(key) {
+    let entry = this.getEntry(key);
+    if (!entry) {
+      entry = { failures: 0, resetAt: Date.now() + this.windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.failures += 1;
+    return Math.max(this.maxAttempts - entry.failures, 0);
+  }
+
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    });
+  }
+}
+
+module.exports = AttemptLimiter;
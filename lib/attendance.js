@@ -0,0 +1,126 @@
+const { toCsv } = require("./csv");
+
+// Oldest entries are dropped beyond this so a long-lived room's log stays
+// bounded
+const MAX_ATTENDANCE_EVENTS = 10000;
+
+// Event types that start and end a period of presence in the meeting
+const SESSION_STARTS = ["join", "rejoin"];
+const SESSION_ENDS = ["disconnect", "leave", "removed"];
+
+// Append an event to the room's attendance log. `type` is one of join,
+// rejoin, disconnect, leave, removed or host-change.
+function recordAttendance(room, type, participant, details = {}) {
+  room.attendance.push({
+    type,
+    participantId: participant.id,
+    username: participant.username,
+    role: participant.role,
+    at: new Date(),
+    ...details,
+  });
+
+  if (room.attendance.length > MAX_ATTENDANCE_EVENTS) {
+    room.attendance = room.attendance.slice(-MAX_ATTENDANCE_EVENTS);
+  }
+}
+
+// What is kept of a room once it is removed: its log, and the host key
+// hash that guards the report. summarizeAttendance takes it like a room.
+function archiveAttendance(room) {
+  return {
+    id: room.id,
+    createdAt: room.createdAt,
+    removedAt: new Date(),
+    hostKeyHash: room.hostKeyHash,
+    attendance: room.attendance,
+  };
+}
+
+// Per-person totals built from the log, for a room or an archived log. Time
+// spent dropped and waiting to resume does not count; anyone still present
+// is counted up to `now`.
+function summarizeAttendance(room, now = Date.now()) {
+  const people = new Map();
+  const participants = room.participants || {};
+  const disconnected = room.disconnectedParticipants || {};
+
+  room.attendance.forEach((event) => {
+    let person = people.get(event.participantId);
+    if (!person) {
+      person = {
+        participantId: event.participantId,
+        username: event.username,
+        role: event.role,
+        firstJoinedAt: null,
+        lastLeftAt: null,
+        sessions: 0,
+        totalMs: 0,
+        sessionStart: null,
+      };
+      people.set(event.participantId, person);
+    }
+
+    const at = new Date(event.at).getTime();
+    person.username = event.username;
+    if (event.type !== "host-change") person.role = event.role;
+
+    if (SESSION_STARTS.includes(event.type) && person.sessionStart === null) {
+      person.sessions += 1;
+      person.sessionStart = at;
+      if (!person.firstJoinedAt) person.firstJoinedAt = new Date(at);
+    } else if (
+      SESSION_ENDS.includes(event.type) &&
+      person.sessionStart !== null
+    ) {
+      person.totalMs += at - person.sessionStart;
+      person.sessionStart = null;
+      person.lastLeftAt = new Date(at);
+    }
+  });
+
+  return [...people.values()].map(({ sessionStart, ...person }) => {
+    const current =
+      participants[person.participantId] || disconnected[person.participantId];
+    const present =
+      sessionStart !== null && Boolean(participants[person.participantId]);
+    return {
+      ...person,
+      role: current ? current.role : person.role,
+      totalMs: person.totalMs + (present ? now - sessionStart : 0),
+      present,
+    };
+  });
+}
+
+function attendanceToCsv(summary) {
+  return toCsv([
+    [
+      "participantId",
+      "username",
+      "role",
+      "firstJoinedAt",
+      "lastLeftAt",
+      "sessions",
+      "totalSeconds",
+      "present",
+    ],
+    ...summary.map((person) => [
+      person.participantId,
+      person.username,
+      person.role,
+      person.firstJoinedAt && person.firstJoinedAt.toISOString(),
+      person.lastLeftAt && person.lastLeftAt.toISOString(),
+      person.sessions,
+      Math.round(person.totalMs / 1000),
+      person.present,
+    ]),
+  ]);
+}
+
+module.exports = {
+  recordAttendance,
+  archiveAttendance,
+  summarizeAttendance,
+  attendanceToCsv,
+};
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+// Roles a join token may grant. "participant" is kept for tokens issued
+// before co-hosts and panelists existed and means attendee.
+const JOIN_TOKEN_ROLES = [
+  "host",
+  "co-host",
+  "panelist",
+  "attendee",
+  "participant",
+];
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function tokenError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Host keys are long random strings, so a plain SHA-256 is enough to keep
+// them out of the persisted room state.
+function createHostKey() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashHostKey(hostKey) {
+  return crypto.createHash("sha256").update(String(hostKey)).digest("hex");
+}
+
+function verifyHostKey(hostKey, hostKeyHash) {
+  if (!hostKey || !hostKeyHash) return false;
+  return safeEqual(hashHostKey(hostKey), hostKeyHash);
+}
+
+// Passcodes are short and human-chosen, so they get a salted scrypt hash
+function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(passcode), salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPasscode(passcode, passcodeHash) {
+  if (typeof passcode !== "string" || !passcodeHash) return false;
+
+  const [salt, hash] = passcodeHash.split(":");
+  const candidate = crypto.scryptSync(passcode, salt, 32).toString("hex");
+  return safeEqual(candidate, hash);
+}
+
+// Join tokens are standard HS256 JWTs, so other backends can mint them with
+// any JWT library that knows JOIN_TOKEN_SECRET.
+function signJoinToken(
+  { roomId, role, username, turnTtlSeconds },
+  secret,
+  ttlSeconds
+) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({
+      roomId,
+      role,
+      username,
+      turnTtlSeconds,
+      iat: now,
+      exp: now + ttlSeconds,
+    })
+  );
+
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+// Returns the token claims, or throws an error whose `code` says why the
+// token was refused.
+function verifyJoinToken(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    throw tokenError("INVALID_TOKEN", "Join token is malformed");
+  }
+
+  const [header, payload, signature] = parts;
+  if (!safeEqual(hmac(`${header}.${payload}`, secret), signature)) {
+    throw tokenError("INVALID_TOKEN", "Join token signature is invalid");
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    if (alg !== "HS256") throw new Error(alg);
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (err) {
+    throw tokenError("INVALID_TOKEN", "Join token is malformed");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+    throw tokenError("TOKEN_EXPIRED", "Join token has expired");
+  }
+
+  if (!JOIN_TOKEN_ROLES.includes(claims.role)) {
+    throw tokenError("INVALID_TOKEN", "Join token has an unknown role");
+  }
+
+  return claims;
+}
+
+// Download tokens stand in for the session token in attachment URLs, which
+// end up in browser history, logs and Referer headers. A session token there
+// would let anyone resume the participant's seat; a download token only
+// fetches one attachment for one participant, for a few minutes.
+function signDownloadToken(
+  { roomId, attachmentId, participantId },
+  secret,
+  ttlSeconds
+) {
+  const payload = base64url(
+    JSON.stringify({
+      roomId,
+      attachmentId,
+      participantId,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    })
+  );
+
+  // The prefix keeps these signatures apart from join token signatures
+  return `${payload}.${hmac(`download.${payload}`, secret)}`;
+}
+
+// Returns the token claims, or throws an error whose `code` says why the
+// token was refused.
+function verifyDownloadToken(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 2) {
+    throw tokenError("INVALID_TOKEN", "Download token is malformed");
+  }
+
+  const [payload, signature] = parts;
+  if (!safeEqual(hmac(`download.${payload}`, secret), signature)) {
+    throw tokenError("INVALID_TOKEN", "Download token signature is invalid");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (err) {
+    throw tokenError("INVALID_TOKEN", "Download token is malformed");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+    throw tokenError("TOKEN_EXPIRED", "Download token has expired");
+  }
+
+  return claims;
+}
+
+module.exports = {
+  JOIN_TOKEN_ROLES,
+  createHostKey,
+  hashHostKey,
+  verifyHostKey,
+  hashPasscode,
+  verifyPasscode,
+  signJoinToken,
+  verifyJoinToken,
+  signDownloadToken,
+  verifyDownloadToken,
+};
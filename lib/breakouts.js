@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require("uuid");
+
+const MAX_BREAKOUT_ROOMS = 50;
+const MAX_NAME_LENGTH = 100;
+
+// Socket.IO room that carries a breakout's chat and presence events
+function breakoutChannel(roomId, breakoutId) {
+  return `${roomId}:breakout:${breakoutId}`;
+}
+
+// Create `count` empty breakout rooms. `names` optionally labels them in
+// order. Throws an error with a client-facing message on bad input.
+function createBreakouts(count, names = []) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BREAKOUT_ROOMS) {
+    throw new Error(
+      `Breakout room count must be between 1 and ${MAX_BREAKOUT_ROOMS}`
+    );
+  }
+
+  if (!Array.isArray(names)) {
+    throw new Error("names must be an array");
+  }
+
+  return Array.from({ length: count }, (_, index) => {
+    const name = names[index];
+    return {
+      id: uuidv4(),
+      name:
+        typeof name === "string" && name.trim()
+          ? name.trim().slice(0, MAX_NAME_LENGTH)
+          : `Breakout ${index + 1}`,
+    };
+  });
+}
+
+// Shuffle participants and deal them out so room sizes differ by at most one
+function splitEvenly(participantIds, count) {
+  const shuffled = [...participantIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const groups = Array.from({ length: count }, () => []);
+  shuffled.forEach((id, index) => {
+    groups[index % count].push(id);
+  });
+  return groups;
+}
+
+// Who is where, built from each connected participant's breakoutId
+function describeBreakouts(room) {
+  if (!room.breakouts) return null;
+
+  const summarize = (participant) => ({
+    participantId: participant.id,
+    username: participant.username,
+  });
+  const participants = Object.values(room.participants);
+
+  return {
+    startedAt: room.breakouts.startedAt,
+    endsAt: room.breakouts.endsAt,
+    rooms: room.breakouts.rooms.map((breakout) => ({
+      id: breakout.id,
+      name: breakout.name,
+      participants: participants
+        .filter((participant) => participant.breakoutId === breakout.id)
+        .map(summarize),
+    })),
+    mainRoom: participants
+      .filter((participant) => !participant.breakoutId)
+      .map(summarize),
+  };
+}
+
+module.exports = {
+  breakoutChannel,
+  createBreakouts,
+  splitEvenly,
+  describeBreakouts,
+};
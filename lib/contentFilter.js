@@ -0,0 +1,150 @@
+const { RE2JS } = require("re2js");
+
+// Chat content filtering. A filter rule turns a room's chatSettings into a
+// list of regular expressions to look for; the built-in rules cover
+// chatSettings.blockedWords and chatSettings.blockedPatterns, and more can be
+// added with ContentFilter#use.
+
+const FILTER_MODES = ["off", "mask", "block"];
+const MAX_FILTER_ENTRIES = 100;
+const MAX_FILTER_ENTRY_LENGTH = 200;
+const MAX_CACHED_PATTERNS = 1000;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole words, case-insensitive. A match must not touch a letter, digit or
+// underscore on either side; \b would also need the word itself to start
+// and end with one, and so never match entries such as "c++" or "@admin".
+function blockedWordsRule(chatSettings) {
+  return (chatSettings.blockedWords || []).map(
+    (word) =>
+      new RegExp(
+        `(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`,
+        "giu"
+      )
+  );
+}
+
+// Hosts choose blockedPatterns, so they run on RE2, which takes time linear
+// in the message length. JavaScript's own engine backtracks and a pattern
+// such as (a+)+$ could stall the server. RE2 has no backreferences or
+// lookaround. Throws an RE2 syntax error for a pattern it cannot compile.
+function compilePattern(pattern) {
+  return RE2JS.compile(RE2JS.translateRegExp(pattern), RE2JS.CASE_INSENSITIVE);
+}
+
+// Lets String#replace run an RE2 pattern like a global RegExp
+class SafePattern {
+  constructor(pattern) {
+    this.re2 = compilePattern(pattern);
+  }
+
+  [Symbol.replace](text, replacer) {
+    return this.re2.matcher(text).replaceAll(replacer);
+  }
+}
+
+// Rooms keep the same patterns for many messages, so compiled ones are
+// reused. Patterns that do not compile, e.g. saved before RE2 was used, are
+// skipped.
+const patternCache = new Map();
+
+function safePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    let compiled = null;
+    try {
+      compiled = new SafePattern(pattern);
+    } catch (err) {
+      console.warn(`Skipping blocked pattern "${pattern}": ${err.message}`);
+    }
+
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.delete(patternCache.keys().next().value);
+    }
+    patternCache.set(pattern, compiled);
+  }
+  return patternCache.get(pattern);
+}
+
+function blockedPatternsRule(chatSettings) {
+  return (chatSettings.blockedPatterns || []).map(safePattern).filter(Boolean);
+}
+
+class ContentFilter {
+  constructor(rules = [blockedWordsRule, blockedPatternsRule]) {
+    this.rules = [...rules];
+  }
+
+  use(rule) {
+    this.rules.push(rule);
+    return this;
+  }
+
+  // Returns { matched, text } where text has every match masked with "*"
+  apply(text, chatSettings) {
+    let matched = false;
+    let masked = text;
+
+    this.rules.forEach((rule) => {
+      rule(chatSettings).forEach((regex) => {
+        masked = masked.replace(regex, (match) => {
+          if (!match) return match;
+          matched = true;
+          return "*".repeat([...match].length);
+        });
+      });
+    });
+
+    return { matched, text: masked };
+  }
+}
+
+// Check the filter fields of a chat settings update. Returns an error
+// message, or null if they are valid.
+function validateFilterSettings(settings) {
+  const { filterMode, blockedWords, blockedPatterns } = settings;
+
+  if (filterMode !== undefined && !FILTER_MODES.includes(filterMode)) {
+    return `filterMode must be one of ${FILTER_MODES.join(", ")}`;
+  }
+
+  for (const [name, list] of [
+    ["blockedWords", blockedWords],
+    ["blockedPatterns", blockedPatterns],
+  ]) {
+    if (list === undefined) continue;
+
+    if (
+      !Array.isArray(list) ||
+      list.length > MAX_FILTER_ENTRIES ||
+      !list.every(
+        (entry) =>
+          typeof entry === "string" &&
+          entry.length > 0 &&
+          entry.length <= MAX_FILTER_ENTRY_LENGTH
+      )
+    ) {
+      return `${name} must be a list of up to ${MAX_FILTER_ENTRIES} non-empty strings`;
+    }
+  }
+
+  for (const pattern of blockedPatterns || []) {
+    try {
+      compilePattern(pattern);
+    } catch (err) {
+      return `Invalid pattern "${pattern}": ${err.message}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  FILTER_MODES,
+  ContentFilter,
+  blockedWordsRule,
+  blockedPatternsRule,
+  validateFilterSettings,
+};
@@ -0,0 +1,19 @@
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Text such as usernames or messages is shown as written, with a leading
+  // quote, rather than evaluated. Numbers are left alone.
+  if (typeof value !== "number" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn an array of rows (arrays of values) into RFC 4180 CSV text
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { toCsv };
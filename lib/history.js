@@ -0,0 +1,230 @@
+const { toCsv } = require("./csv");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const CHAT_MODES = ["public", "private", "host-only", "system"];
+
+function historyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function chatModeOf(message) {
+  return message.type === "system" ? "system" : message.chatMode;
+}
+
+// Accepts arrays or comma separated strings, as sent in query strings
+function toList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+function matchesFilters(message, { search, sender, chatModes }) {
+  if (chatModes && !chatModes.includes(chatModeOf(message))) return false;
+
+  if (sender) {
+    const wanted = sender.toLowerCase();
+    if (
+      message.senderId !== sender &&
+      (message.username || "").toLowerCase() !== wanted
+    ) {
+      return false;
+    }
+  }
+
+  if (search) {
+    return (message.message || "").toLowerCase().includes(search.toLowerCase());
+  }
+
+  return true;
+}
+
+// Messages matching the search, sender and chatMode filters of a query
+function filterMessages(messages, query = {}, isVisible = () => true) {
+  const chatModes = toList(query.chatMode);
+  if (chatModes && !chatModes.every((mode) => CHAT_MODES.includes(mode))) {
+    throw historyError(
+      "INVALID_QUERY",
+      `chatMode must be one of ${CHAT_MODES.join(", ")}`
+    );
+  }
+
+  const filters = {
+    search: query.search ? String(query.search) : null,
+    sender: query.sender ? String(query.sender) : null,
+    chatModes,
+  };
+  return messages.filter(
+    (message) => isVisible(message) && matchesFilters(message, filters)
+  );
+}
+
+// Page through chat history. `before` and `after` are message IDs; with
+// neither, the newest messages are returned. `isVisible` limits results to
+// what the reader may see. Returns { messages, hasMore }, oldest first,
+// where hasMore says whether there are further matches in the paging
+// direction. Throws an error with a `code` on bad queries.
+function queryMessages(messages, query = {}, isVisible = () => true) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : query.limit;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw historyError(
+      "INVALID_QUERY",
+      `limit must be between 1 and ${MAX_PAGE_SIZE}`
+    );
+  }
+
+  const indexOf = (id) => {
+    const index = messages.findIndex((message) => message.id === id);
+    if (index === -1) {
+      throw historyError(
+        "CURSOR_NOT_FOUND",
+        `Message ${id} is not in the stored history`
+      );
+    }
+    return index;
+  };
+
+  const start = query.after ? indexOf(query.after) + 1 : 0;
+  const end = query.before ? indexOf(query.before) : messages.length;
+
+  const matches = filterMessages(messages.slice(start, end), query, isVisible);
+
+  // Paging forward from `after` reads oldest first; otherwise read back from
+  // the newest end
+  const page =
+    query.after && !query.before
+      ? matches.slice(0, limit)
+      : matches.slice(-limit);
+
+  return { messages: page, hasMore: matches.length > limit };
+}
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? String(timestamp) : date.toISOString();
+}
+
+function describeAttachments(message) {
+  return (message.attachments || [])
+    .map((attachment) => attachment.filename)
+    .join("; ");
+}
+
+function transcriptLine(message) {
+  const time = `[${formatTimestamp(message.timestamp)}]`;
+
+  if (message.type === "system") {
+    return `${time} * ${message.message}`;
+  }
+
+  let speaker = message.username;
+  if (message.chatMode === "private") {
+    speaker += ` -> ${message.toHost ? "host" : message.recipient} (private)`;
+  } else if (message.chatMode === "host-only") {
+    speaker += " (hosts only)";
+  }
+
+  if (message.deleted) {
+    return `${time} ${speaker}: (message deleted)`;
+  }
+
+  const attachments = describeAttachments(message);
+  return [
+    `${time} ${speaker}: ${message.message}`,
+    attachments ? ` [attachments: ${attachments}]` : "",
+    message.editedAt ? " (edited)" : "",
+  ].join("");
+}
+
+// Render messages as a transcript in "txt", "json" or "csv". Returns
+// { contentType, body }.
+function formatTranscript(room, messages, format) {
+  switch (format) {
+    case "txt":
+      return {
+        contentType: "text/plain",
+        body: messages.map(transcriptLine).join("\n") + "\n",
+      };
+    case "json":
+      return {
+        contentType: "application/json",
+        body: JSON.stringify(
+          { roomId: room.id, exportedAt: new Date(), messages },
+          null,
+          2
+        ),
+      };
+    case "csv":
+      return {
+        contentType: "text/csv",
+        body: toCsv([
+          [
+            "id",
+            "timestamp",
+            "chatMode",
+            "username",
+            "recipient",
+            "message",
+            "edited",
+            "deleted",
+            "attachments",
+          ],
+          ...messages.map((message) => [
+            message.id,
+            formatTimestamp(message.timestamp),
+            chatModeOf(message),
+            message.username,
+            message.toHost ? "host" : message.recipient,
+            message.message,
+            Boolean(message.editedAt),
+            Boolean(message.deleted),
+            describeAttachments(message),
+          ]),
+        ]),
+      };
+    default:
+      throw historyError(
+        "INVALID_QUERY",
+        'format must be "txt", "json" or "csv"'
+      );
+  }
+}
+
+// Check the retention fields of a room's chat settings: historyLimit is how
+// many messages are kept, replayLimit how many a joiner is sent. Returns an
+// error message, or null if they are valid.
+function validateRetention({ historyLimit, replayLimit }, maxHistoryLimit) {
+  if (
+    !Number.isInteger(historyLimit) ||
+    historyLimit < 1 ||
+    historyLimit > maxHistoryLimit
+  ) {
+    return `historyLimit must be between 1 and ${maxHistoryLimit}`;
+  }
+
+  if (
+    !Number.isInteger(replayLimit) ||
+    replayLimit < 0 ||
+    replayLimit > Math.min(historyLimit, MAX_PAGE_SIZE)
+  ) {
+    return `replayLimit must be between 0 and ${Math.min(
+      historyLimit,
+      MAX_PAGE_SIZE
+    )}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  CHAT_MODES,
+  filterMessages,
+  queryMessages,
+  formatTranscript,
+  validateRetention,
+};
@@ -0,0 +1,186 @@
+const cluster = require("cluster");
+const client = require("prom-client");
+
+// Prometheus metrics, registered on prom-client's default registry. Under
+// cluster.js every worker keeps its own counts and the primary adds them
+// up; metrics read from the shared room store are the same in every worker
+// and only the first worker's values are reported.
+
+client.collectDefaultMetrics();
+
+// Creating the registry makes a worker answer the primary's requests for
+// its metrics
+if (cluster.isWorker) {
+  new client.AggregatorRegistry();
+}
+
+const activeRooms = new client.Gauge({
+  name: "meeting_active_rooms",
+  help: "Rooms with at least one connected participant",
+  aggregator: "first",
+});
+
+const roomParticipants = new client.Histogram({
+  name: "meeting_room_participants",
+  help: "Connected participants per active room, sampled when scraped",
+  buckets: [1, 2, 3, 5, 10, 25, 50, 100, 250, 500],
+  aggregator: "first",
+});
+
+const socketConnections = new client.Gauge({
+  name: "meeting_socket_connections",
+  help: "Open Socket.IO connections",
+});
+
+const joinFailures = new client.Counter({
+  name: "meeting_join_failures_total",
+  help: "join-room requests that were refused, by error code",
+  labelNames: ["reason"],
+});
+
+const socketEvents = new client.Counter({
+  name: "meeting_socket_events_total",
+  help: "Socket events received from clients",
+  labelNames: ["event"],
+});
+
+const socketEventErrors = new client.Counter({
+  name: "meeting_socket_event_errors_total",
+  help: "Socket event handlers that threw an error",
+  labelNames: ["event"],
+});
+
+const permissionDenials = new client.Counter({
+  name: "meeting_permission_denials_total",
+  help: "Socket events rejected by a permission check",
+  labelNames: ["event"],
+});
+
+const socketEventDuration = new client.Histogram({
+  name: "meeting_socket_event_duration_seconds",
+  help: "Time from receiving a socket event until its handler finished, including waiting for the room",
+  labelNames: ["event"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
+
+const chatMessages = new client.Counter({
+  name: "meeting_chat_messages_total",
+  help: "Messages added to chat history, by chat mode",
+  labelNames: ["mode"],
+});
+
+const hostTransfers = new client.Counter({
+  name: "meeting_host_transfers_total",
+  help: "Times the host role moved from one participant to another",
+});
+
+const roomLifetime = new client.Histogram({
+  name: "meeting_room_lifetime_seconds",
+  help: "Time from creating a room until it was removed",
+  buckets: [60, 300, 900, 1800, 3600, 7200, 14400, 28800, 86400, 604800],
+});
+
+// Refresh the metrics that describe current state just before a scrape.
+// `sample` returns { rooms, sockets }.
+function collectState(sample) {
+  const state = { rooms: [], sockets: 0 };
+  let pending = null;
+  const refresh = async () => {
+    if (!pending) {
+      pending = Promise.resolve(sample())
+        .then((result) => Object.assign(state, result))
+        .finally(() => {
+          pending = null;
+        });
+    }
+    await pending;
+  };
+
+  const participantCounts = () =>
+    state.rooms
+      .map((room) => Object.keys(room.participants).length)
+      .filter((count) => count > 0);
+
+  activeRooms.collect = async function () {
+    await refresh();
+    this.set(participantCounts().length);
+  };
+
+  roomParticipants.collect = async function () {
+    await refresh();
+    this.reset();
+    participantCounts().forEach((count) => this.observe(count));
+  };
+
+  socketConnections.collect = async function () {
+    await refresh();
+    this.set(state.sockets);
+  };
+}
+
+// Text exposition of every metric. Under cluster.js the worker asks the
+// primary, which gathers and combines the metrics of all workers.
+function renderMetrics() {
+  if (!cluster.isWorker) return client.register.metrics();
+
+  return new Promise((resolve, reject) => {
+    const id = `${process.pid}:${Date.now()}:${Math.random()}`;
+    const onMessage = (message) => {
+      if (!message || message.type !== "metrics-response") return;
+      if (message.id !== id) return;
+
+      process.off("message", onMessage);
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.metrics);
+      }
+    };
+    process.on("message", onMessage);
+    process.send({ type: "metrics-request", id });
+  });
+}
+
+// Used by the primary: answer renderMetrics calls from workers
+function serveClusterMetrics() {
+  const aggregator = new client.AggregatorRegistry();
+
+  cluster.on("message", (worker, message) => {
+    if (!message || message.type !== "metrics-request") return;
+
+    aggregator.clusterMetrics().then(
+      (metrics) => {
+        if (worker.isConnected()) {
+          worker.send({ type: "metrics-response", id: message.id, metrics });
+        }
+      },
+      (err) => {
+        if (worker.isConnected()) {
+          worker.send({
+            type: "metrics-response",
+            id: message.id,
+            error: err.message,
+          });
+        }
+      }
+    );
+  });
+}
+
+module.exports = {
+  contentType: client.register.contentType,
+  activeRooms,
+  roomParticipants,
+  socketConnections,
+  joinFailures,
+  socketEvents,
+  socketEventErrors,
+  permissionDenials,
+  socketEventDuration,
+  chatMessages,
+  hostTransfers,
+  roomLifetime,
+  collectState,
+  renderMetrics,
+  serveClusterMetrics,
+};
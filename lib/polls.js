@@ -0,0 +1,186 @@
+const { v4: uuidv4 } = require("uuid");
+const { toCsv } = require("./csv");
+
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_OPTION_LENGTH = 200;
+
+function isNonEmptyString(value, maxLength) {
+  return (
+    typeof value === "string" &&
+    value.trim().length > 0 &&
+    value.length <= maxLength
+  );
+}
+
+// Build a poll from a create-poll request. A poll becomes a quiz when it has
+// correct answers. Throws an error with a client-facing message when the
+// definition is invalid.
+function createPoll(input, createdBy) {
+  const {
+    question,
+    options,
+    multipleChoice = false,
+    anonymous = false,
+    correctOptions = null,
+  } = input || {};
+
+  if (!isNonEmptyString(question, MAX_QUESTION_LENGTH)) {
+    throw new Error(
+      `Question must be between 1 and ${MAX_QUESTION_LENGTH} characters`
+    );
+  }
+
+  if (
+    !Array.isArray(options) ||
+    options.length < 2 ||
+    options.length > MAX_OPTIONS ||
+    !options.every((option) => isNonEmptyString(option, MAX_OPTION_LENGTH))
+  ) {
+    throw new Error(`A poll needs between 2 and ${MAX_OPTIONS} options`);
+  }
+
+  let correct = null;
+  if (correctOptions !== null) {
+    correct = normalizeChoices(correctOptions, options.length, true);
+    if (!correct) {
+      throw new Error("correctOptions must list valid option numbers");
+    }
+    if (!multipleChoice && correct.length > 1) {
+      throw new Error("A single choice quiz has exactly one correct option");
+    }
+  }
+
+  return {
+    id: uuidv4(),
+    question: question.trim(),
+    options: options.map((option) => option.trim()),
+    multipleChoice: Boolean(multipleChoice),
+    anonymous: Boolean(anonymous),
+    correctOptions: correct,
+    status: "draft", // draft -> open -> closed
+    createdBy: { id: createdBy.id, username: createdBy.username },
+    createdAt: new Date(),
+    openedAt: null,
+    closedAt: null,
+    votes: {}, // Participant ID -> { username, choices, votedAt }
+  };
+}
+
+// Sorted, de-duplicated option indexes, or null if any are out of range.
+// Single choice answers must pick exactly one option.
+function normalizeChoices(choices, optionCount, multipleChoice) {
+  if (!Array.isArray(choices) || choices.length === 0) return null;
+
+  const unique = [...new Set(choices)].sort((a, b) => a - b);
+  const valid = unique.every(
+    (index) => Number.isInteger(index) && index >= 0 && index < optionCount
+  );
+  if (!valid || (!multipleChoice && unique.length !== 1)) return null;
+
+  return unique;
+}
+
+// Vote counts per option. Named polls also list who picked what.
+function tallyPoll(poll) {
+  const votes = Object.values(poll.votes);
+  const counts = poll.options.map(() => 0);
+
+  votes.forEach((vote) => {
+    vote.choices.forEach((index) => {
+      counts[index] += 1;
+    });
+  });
+
+  return {
+    totalVotes: votes.length,
+    counts,
+    voters: poll.anonymous
+      ? null
+      : votes.map(({ username, choices, votedAt }) => ({
+          username,
+          choices,
+          votedAt,
+        })),
+  };
+}
+
+// What participants see while a poll is open: no votes, and no answers for
+// quizzes
+function publicPoll(poll) {
+  return {
+    id: poll.id,
+    question: poll.question,
+    options: poll.options,
+    multipleChoice: poll.multipleChoice,
+    anonymous: poll.anonymous,
+    isQuiz: poll.correctOptions !== null,
+    status: poll.status,
+    openedAt: poll.openedAt,
+    closedAt: poll.closedAt,
+  };
+}
+
+// Full poll details with results, for hosts and for everyone once closed
+function pollWithResults(poll) {
+  return {
+    ...publicPoll(poll),
+    correctOptions: poll.correctOptions,
+    createdBy: poll.createdBy,
+    createdAt: poll.createdAt,
+    results: tallyPoll(poll),
+  };
+}
+
+// One row per poll option
+function pollsToCsv(polls) {
+  const rows = [
+    [
+      "pollId",
+      "question",
+      "status",
+      "anonymous",
+      "totalVotes",
+      "option",
+      "votes",
+      "correct",
+      "voters",
+    ],
+  ];
+
+  polls.forEach((poll) => {
+    const results = tallyPoll(poll);
+
+    poll.options.forEach((option, index) => {
+      const voters = results.voters
+        ? results.voters
+            .filter((voter) => voter.choices.includes(index))
+            .map((voter) => voter.username)
+            .join("; ")
+        : "";
+
+      rows.push([
+        poll.id,
+        poll.question,
+        poll.status,
+        poll.anonymous,
+        results.totalVotes,
+        option,
+        results.counts[index],
+        poll.correctOptions ? poll.correctOptions.includes(index) : "",
+        voters,
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+}
+
+module.exports = {
+  createPoll,
+  normalizeChoices,
+  tallyPoll,
+  publicPoll,
+  pollWithResults,
+  pollsToCsv,
+};
@@ -0,0 +1,37 @@
+// Versions of the socket protocol. A client names the newest version it
+// speaks as protocolVersion in join-room and session-info tells it the
+// version in use, the newest one both sides support. Clients that do not
+// say are on version 1.
+//   1  Failed commands are reported on chat-error, room-error or
+//      signal-error. A command sent with an acknowledgement callback is
+//      answered through it as well.
+//   2  A command sent with an acknowledgement callback is answered only
+//      through it; the error events are kept for commands sent without one.
+// Either way the callback gets { ok: true, data } or { ok: false, error },
+// where error is { code, message } plus details such as the field at
+// fault. Broadcasts to the other participants are the same in every
+// version.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// The version to use with a client asking for `requested`
+function negotiateVersion(requested) {
+  if (requested === undefined) return MIN_PROTOCOL_VERSION;
+  return Math.max(MIN_PROTOCOL_VERSION, Math.min(requested, PROTOCOL_VERSION));
+}
+
+function okResponse(data) {
+  return { ok: true, data: data === undefined ? null : data };
+}
+
+function errorResponse(error) {
+  return { ok: false, error };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  negotiateVersion,
+  okResponse,
+  errorResponse,
+};
@@ -0,0 +1,58 @@
+// Token bucket per key: each key may burst up to `capacity` events, then
+// gets `refillPerSecond` more tokens every second.
+class RateLimiter {
+  constructor({ capacity = 5, refillPerSecond = 1 } = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.buckets = new Map();
+
+    // A bucket left alone this long is full again and can be forgotten
+    const idleMs = Math.ceil((capacity / refillPerSecond) * 1000);
+    this.pruneTimer = setInterval(() => this.prune(), Math.max(idleMs, 1000));
+    this.pruneTimer.unref();
+  }
+
+  refill(key, now) {
+    const bucket = this.buckets.get(key) || {
+      tokens: this.capacity,
+      updatedAt: now,
+    };
+
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(
+      this.capacity,
+      bucket.tokens + elapsedSeconds * this.refillPerSecond
+    );
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Spend a token. Returns 0 if the event is allowed, otherwise how many
+  // milliseconds until the next token is available.
+  take(key) {
+    const bucket = this.refill(key, Date.now());
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - bucket.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  reset(key) {
+    this.buckets.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(key, now).tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,110 @@
+// Participant roles, from most to least privileged
+const ROLES = ["host", "co-host", "panelist", "attendee"];
+
+const RANK = {
+  host: 3,
+  "co-host": 2,
+  panelist: 1,
+  attendee: 0,
+};
+
+// Which roles may perform each action. Every permission check in the server
+// goes through this table.
+const PERMISSIONS = {
+  // Room administration
+  "transfer-host": ["host"],
+  "manage-roles": ["host"],
+  "update-master-controls": ["host", "co-host"],
+  "update-chat-settings": ["host", "co-host"],
+  "manage-security": ["host", "co-host"],
+  "manage-lobby": ["host", "co-host"],
+  "remove-participant": ["host", "co-host"],
+  "control-participant-media": ["host", "co-host"],
+  "manage-raised-hands": ["host", "co-host"],
+  "manage-polls": ["host", "co-host"],
+  "manage-breakouts": ["host", "co-host"],
+  // The host's own mute/camera toggles apply to everyone when the master
+  // controls are on
+  "master-media-control": ["host"],
+
+  // Chat
+  "send-announcement": ["host", "co-host"],
+  "view-host-messages": ["host", "co-host"],
+  "view-private-messages": ["host"],
+  "delete-any-message": ["host", "co-host"],
+  // Approve or reject held chat, and skip the queue when moderation is on
+  "moderate-chat": ["host", "co-host"],
+  // Keep chatting when participant chat or private messages are disabled
+  "bypass-chat-restrictions": ["host", "co-host", "panelist"],
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function roleCan(role, action) {
+  const allowed = PERMISSIONS[action];
+  if (!allowed) {
+    throw new Error(`Unknown permission "${action}"`);
+  }
+  return allowed.includes(role);
+}
+
+// Whether a connected participant may perform an action in the room
+function can(room, participantId, action) {
+  const participant = room.participants[participantId];
+  return Boolean(participant) && roleCan(participant.role, action);
+}
+
+// Whether one participant may act on another, e.g. mute or remove them.
+// The host may act on anyone, everyone else only on lower roles.
+function outranks(actor, target) {
+  if (actor.role === "host") return actor.id !== target.id;
+  return RANK[actor.role] > RANK[target.role];
+}
+
+// Change a participant's role, keeping room.hostId and the participant's
+// isHost flag in step. Making someone host demotes the previous host to
+// attendee; the host themselves cannot be given another role, so that the
+// room is never left without one. Works on connected and disconnected
+// participants alike.
+function setRole(room, participant, role) {
+  if (role === "host") {
+    const previousHost =
+      room.hostId &&
+      room.hostId !== participant.id &&
+      (room.participants[room.hostId] ||
+        room.disconnectedParticipants[room.hostId]);
+
+    if (previousHost) {
+      previousHost.role = "attendee";
+      previousHost.isHost = false;
+    }
+    room.hostId = participant.id;
+  } else if (room.hostId === participant.id) {
+    throw new Error("Transfer host before changing the host's role");
+  }
+
+  participant.role = role;
+  participant.isHost = role === "host";
+}
+
+// When the host leaves, hand over to a co-host if there is one
+function pickNextHost(participants) {
+  return (
+    participants.find((participant) => participant.role === "co-host") ||
+    participants[0] ||
+    null
+  );
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  roleCan,
+  can,
+  outranks,
+  setRole,
+  pickNextHost,
+};
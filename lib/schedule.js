@@ -0,0 +1,141 @@
+const { isValidDate } = require("./validation");
+
+const RECURRENCE_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const MAX_DURATION_MINUTES = 24 * 60;
+const DEFAULT_WARNING_MINUTES = 5;
+
+// Validate a schedule from a request body and fill in defaults. `current` is
+// the existing schedule when updating, so only changed fields need sending.
+// Throws an error with a client-facing message when something is invalid.
+function normalizeSchedule(input, current = {}) {
+  if (!input || typeof input !== "object") {
+    throw new Error("schedule must be an object");
+  }
+
+  const pick = (key, fallback) =>
+    input[key] !== undefined ? input[key] : fallback;
+
+  const schedule = {
+    title: pick("title", current.title || null),
+    startTime: pick("startTime", current.startTime),
+    durationMinutes: pick("durationMinutes", current.durationMinutes),
+    recurrence: pick("recurrence", current.recurrence || null),
+    recurrenceEnd: pick("recurrenceEnd", current.recurrenceEnd || null),
+    warningMinutes: pick(
+      "warningMinutes",
+      current.warningMinutes !== undefined
+        ? current.warningMinutes
+        : DEFAULT_WARNING_MINUTES
+    ),
+    cancelled: Boolean(current.cancelled),
+  };
+
+  if (!isValidDate(schedule.startTime)) {
+    throw new Error(
+      "schedule.startTime must be an ISO date or a time in milliseconds"
+    );
+  }
+  schedule.startTime = new Date(schedule.startTime).toISOString();
+
+  const duration = Number(schedule.durationMinutes);
+  if (
+    !Number.isInteger(duration) ||
+    duration <= 0 ||
+    duration > MAX_DURATION_MINUTES
+  ) {
+    throw new Error(
+      `schedule.durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}`
+    );
+  }
+  schedule.durationMinutes = duration;
+
+  if (schedule.recurrence && !RECURRENCE_PERIOD_MS[schedule.recurrence]) {
+    throw new Error('schedule.recurrence must be "daily", "weekly" or null');
+  }
+  schedule.recurrence = schedule.recurrence || null;
+
+  if (schedule.recurrenceEnd !== null) {
+    if (!isValidDate(schedule.recurrenceEnd)) {
+      throw new Error(
+        "schedule.recurrenceEnd must be an ISO date, a time in milliseconds or null"
+      );
+    }
+    schedule.recurrenceEnd = new Date(schedule.recurrenceEnd).toISOString();
+  }
+
+  const warning = Number(schedule.warningMinutes);
+  if (!Number.isInteger(warning) || warning < 0 || warning >= duration) {
+    throw new Error(
+      "schedule.warningMinutes must be a whole number shorter than the meeting"
+    );
+  }
+  schedule.warningMinutes = warning;
+
+  if (schedule.title !== null && typeof schedule.title !== "string") {
+    throw new Error("schedule.title must be a string");
+  }
+
+  return schedule;
+}
+
+// The occurrence that is running at `now`, or else the next one to start.
+// Returns { start, end } in epoch milliseconds, or null once the schedule has
+// no occurrences left. Recurrence uses fixed 24h/7d steps, so occurrences
+// keep their UTC time across daylight saving changes.
+function getWindow(schedule, now = Date.now()) {
+  if (!schedule || schedule.cancelled) return null;
+
+  const firstStart = Date.parse(schedule.startTime);
+  const duration = schedule.durationMinutes * 60 * 1000;
+
+  if (!schedule.recurrence) {
+    return now < firstStart + duration
+      ? { start: firstStart, end: firstStart + duration }
+      : null;
+  }
+
+  const period = RECURRENCE_PERIOD_MS[schedule.recurrence];
+  const elapsed = Math.max(now - firstStart, 0);
+  let start = firstStart + Math.floor(elapsed / period) * period;
+  if (now >= start + duration) {
+    start += period;
+  }
+
+  if (schedule.recurrenceEnd && start > Date.parse(schedule.recurrenceEnd)) {
+    return null;
+  }
+
+  return { start, end: start + duration };
+}
+
+// "scheduled", "live", "ended" or "cancelled"
+function getStatus(schedule, now = Date.now()) {
+  if (schedule.cancelled) return "cancelled";
+
+  const window = getWindow(schedule, now);
+  if (!window) return "ended";
+  return now >= window.start ? "live" : "scheduled";
+}
+
+// Schedule details as returned by the REST API
+function describeSchedule(schedule, now = Date.now()) {
+  const window = getWindow(schedule, now);
+
+  return {
+    ...schedule,
+    status: getStatus(schedule, now),
+    nextStartTime: window ? new Date(window.start) : null,
+    nextEndTime: window ? new Date(window.end) : null,
+  };
+}
+
+module.exports = {
+  normalizeSchedule,
+  getWindow,
+  getStatus,
+  describeSchedule,
+};
@@ -0,0 +1,306 @@
+const { JOIN_TOKEN_ROLES } = require("./auth");
+const { FILTER_MODES } = require("./contentFilter");
+const { CHAT_MODES } = require("./history");
+const { SIGNAL_STREAMS } = require("./signaling");
+
+// Schemas for every socket event a client may send and every REST body,
+// checked with lib/validation before a handler runs. They pin down which
+// fields exist and their types; limits that depend on the room or server
+// settings are still checked by the handlers, which report them with their
+// own error codes.
+
+const MAX_ID_LENGTH = 128;
+const MAX_USERNAME_LENGTH = 100;
+const MAX_SECRET_LENGTH = 4096;
+const MAX_REASON_LENGTH = 500;
+
+const id = { type: "string", minLength: 1, maxLength: MAX_ID_LENGTH };
+const requiredId = { ...id, required: true };
+const roomId = requiredId;
+const username = {
+  type: "string",
+  minLength: 1,
+  maxLength: MAX_USERNAME_LENGTH,
+};
+const secret = { type: "string", maxLength: MAX_SECRET_LENGTH };
+const reason = { type: "string", maxLength: MAX_REASON_LENGTH };
+const stringList = { type: "array", items: { type: "string" } };
+
+const chatSettings = {
+  type: "object",
+  fields: {
+    allowParticipantChat: { type: "boolean" },
+    allowPrivateMessages: { type: "boolean" },
+    moderateMessages: { type: "boolean" },
+    filterMode: { enum: FILTER_MODES },
+    blockedWords: stringList,
+    blockedPatterns: stringList,
+    historyLimit: { type: "integer" },
+    replayLimit: { type: "integer" },
+  },
+};
+
+const hostMasterControls = {
+  type: "object",
+  fields: {
+    controlAllAudio: { type: "boolean" },
+    controlAllVideo: { type: "boolean" },
+  },
+};
+
+// Fields older clients still send whose values are no longer used, such as
+// the sender's name and time on chat messages, which the server fills in.
+// Anything is accepted so those clients keep working.
+const ignored = { type: "any", nullable: true };
+
+const chatMessage = {
+  roomId,
+  username: ignored,
+  message: { type: "string" },
+  timestamp: ignored,
+  attachmentIds: { type: "array", items: id },
+};
+
+const signal = {
+  roomId,
+  to: requiredId,
+  stream: { enum: SIGNAL_STREAMS },
+};
+
+const participantAction = { roomId, participantId: requiredId };
+const messageAction = { roomId, messageId: requiredId };
+const pollAction = { roomId, pollId: requiredId };
+
+// ping is left out: it carries nothing but an acknowledgement callback
+const socketSchemas = {
+  "join-room": {
+    roomId,
+    username: { ...username, required: true },
+    peerId: id,
+    sessionToken: secret,
+    hostKey: secret,
+    joinToken: secret,
+    passcode: secret,
+    protocolVersion: { type: "integer", min: 1 },
+  },
+  "update-host-master-controls": {
+    roomId,
+    settings: { ...hostMasterControls, required: true },
+  },
+  "toggle-audio": {
+    roomId,
+    peerId: id,
+    enabled: { type: "boolean", required: true },
+  },
+  "toggle-video": {
+    roomId,
+    peerId: id,
+    enabled: { type: "boolean", required: true },
+  },
+  "host-control-audio": {
+    roomId,
+    targetPeerId: requiredId,
+    action: { enum: ["mute", "unmute"], required: true },
+    forced: { type: "boolean" },
+  },
+  "host-control-video": {
+    roomId,
+    targetPeerId: requiredId,
+    action: { enum: ["disable", "enable"], required: true },
+    forced: { type: "boolean" },
+  },
+  "send-chat-message": { ...chatMessage, chatMode: ignored },
+  "send-private-message": {
+    ...chatMessage,
+    recipient: { ...username, nullable: true },
+    toHost: { type: "boolean" },
+  },
+  "send-host-message": chatMessage,
+  "get-chat-history": {
+    roomId,
+    before: id,
+    after: id,
+    limit: { type: "integer" },
+    search: { type: "string", maxLength: 200 },
+    sender: { type: "string", maxLength: MAX_ID_LENGTH },
+    chatMode: {
+      anyOf: [
+        { enum: CHAT_MODES },
+        { type: "array", items: { enum: CHAT_MODES } },
+      ],
+    },
+  },
+  "approve-message": messageAction,
+  "reject-message": { ...messageAction, reason },
+  "edit-message": {
+    ...messageAction,
+    message: { type: "string", required: true },
+  },
+  "delete-message": messageAction,
+  "add-reaction": {
+    ...messageAction,
+    emoji: { type: "string", required: true },
+  },
+  "remove-reaction": {
+    ...messageAction,
+    emoji: { type: "string", required: true },
+  },
+  "send-system-message": {
+    roomId,
+    message: { type: "string", required: true },
+    type: { type: "string", maxLength: 64 },
+  },
+  "update-chat-settings": {
+    roomId,
+    settings: { ...chatSettings, required: true },
+  },
+  "typing-indicator": {
+    roomId,
+    username: ignored,
+    isTyping: { type: "boolean", required: true },
+  },
+  "user-screen-share": {
+    roomId,
+    peerId: id,
+    isSharing: { type: "boolean", required: true },
+  },
+  "get-ice-servers": { roomId },
+  "webrtc-offer": {
+    ...signal,
+    description: { type: "object", required: true },
+  },
+  "webrtc-answer": {
+    ...signal,
+    description: { type: "object", required: true },
+  },
+  "webrtc-ice-candidate": {
+    ...signal,
+    candidate: { type: "object", nullable: true, required: true },
+  },
+  "webrtc-hangup": signal,
+  "raise-hand": { roomId },
+  "lower-hand": { roomId, participantId: id },
+  "acknowledge-hand": { ...participantAction, unmute: { type: "boolean" } },
+  "clear-hands": { roomId },
+  "create-poll": {
+    roomId,
+    poll: {
+      type: "object",
+      required: true,
+      fields: {
+        question: { type: "string", required: true },
+        options: { ...stringList, required: true },
+        multipleChoice: { type: "boolean" },
+        anonymous: { type: "boolean" },
+        correctOptions: {
+          type: "array",
+          items: { type: "integer" },
+          nullable: true,
+        },
+      },
+    },
+  },
+  "open-poll": pollAction,
+  "close-poll": pollAction,
+  "vote-poll": {
+    ...pollAction,
+    choices: { type: "array", items: { type: "integer" }, required: true },
+  },
+  "open-breakouts": {
+    roomId,
+    count: { type: "integer", required: true },
+    mode: { enum: ["auto", "manual"] },
+    assignments: { type: "object", values: { type: "integer", min: 0 } },
+    names: stringList,
+    durationMinutes: { type: "number", min: 0, nullable: true },
+  },
+  "assign-breakout": {
+    ...participantAction,
+    breakoutId: { ...id, nullable: true, required: true },
+  },
+  "broadcast-to-breakouts": {
+    roomId,
+    message: { type: "string", required: true },
+  },
+  "set-breakout-timer": {
+    roomId,
+    durationSeconds: { type: "number", min: 0, nullable: true },
+  },
+  "close-breakouts": { roomId },
+  "remove-participant": { ...participantAction, peerId: ignored },
+  "transfer-host": { roomId, newHostId: requiredId },
+  "promote-cohost": participantAction,
+  "demote-cohost": participantAction,
+  "set-participant-role": {
+    ...participantAction,
+    role: { type: "string", required: true },
+  },
+  "update-room-security": {
+    roomId,
+    locked: { type: "boolean" },
+    passcode: { type: "string", minLength: 4, maxLength: 64, nullable: true },
+  },
+  "update-lobby-settings": {
+    roomId,
+    enabled: { type: "boolean", required: true },
+  },
+  "lobby-admit": participantAction,
+  "lobby-admit-all": { roomId },
+  "lobby-deny": { ...participantAction, reason },
+};
+
+const scheduleFields = {
+  title: { type: "string", nullable: true },
+  startTime: { type: "date" },
+  durationMinutes: { type: "integer" },
+  recurrence: { enum: ["daily", "weekly"], nullable: true },
+  recurrenceEnd: { type: "date", nullable: true },
+  warningMinutes: { type: "integer" },
+};
+
+const webhook = {
+  url: { type: "string", required: true },
+  events: stringList,
+  secret: { type: "string" },
+};
+
+const restSchemas = {
+  createRoom: {
+    requireAuth: { type: "boolean" },
+    lobbyEnabled: { type: "boolean" },
+    locked: { type: "boolean" },
+    passcode: { type: "string" },
+    schedule: {
+      type: "object",
+      nullable: true,
+      fields: {
+        ...scheduleFields,
+        startTime: { ...scheduleFields.startTime, required: true },
+      },
+    },
+    historyLimit: { type: "integer" },
+    replayLimit: { type: "integer" },
+    webhooks: {
+      type: "array",
+      items: { type: "object", fields: webhook },
+    },
+    turnTtlSeconds: { type: "integer", nullable: true },
+  },
+  updateMeeting: scheduleFields,
+  createJoinToken: {
+    role: { enum: JOIN_TOKEN_ROLES },
+    username,
+    expiresIn: { type: "integer" },
+    turnTtlSeconds: { type: "integer", nullable: true },
+  },
+  createWebhook: webhook,
+  adminMessage: { message: { type: "string", required: true } },
+  adminSettings: { chatSettings, hostMasterControls },
+  adminHost: { participantId: requiredId },
+  empty: {},
+};
+
+module.exports = {
+  socketSchemas,
+  restSchemas,
+};
@@ -0,0 +1,99 @@
+// Media streams a participant can negotiate a connection for. Each has its
+// own peer connection, so screen share can be started, renegotiated and
+// stopped without touching the camera connection.
+const SIGNAL_STREAMS = ["camera", "screen"];
+
+// Generous upper bounds; real SDPs are a few kilobytes
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+
+function validateStream(stream) {
+  if (stream === undefined || SIGNAL_STREAMS.includes(stream)) return null;
+  return `stream must be one of ${SIGNAL_STREAMS.join(", ")}`;
+}
+
+// Check an RTCSessionDescription sent with an offer or answer. Returns an
+// error message, or null if it is valid.
+function validateDescription(description, type) {
+  if (!description || typeof description !== "object") {
+    return "description is required";
+  }
+
+  if (description.type !== type) {
+    return `description.type must be "${type}"`;
+  }
+
+  if (
+    typeof description.sdp !== "string" ||
+    description.sdp.length === 0 ||
+    description.sdp.length > MAX_SDP_LENGTH
+  ) {
+    return `description.sdp must be a string of at most ${MAX_SDP_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+// Check an RTCIceCandidate. null marks the end of candidates. Returns an
+// error message, or null if it is valid.
+function validateCandidate(candidate) {
+  if (candidate === null) return null;
+
+  if (!candidate || typeof candidate !== "object") {
+    return "candidate must be an object or null";
+  }
+
+  if (
+    typeof candidate.candidate !== "string" ||
+    candidate.candidate.length > MAX_CANDIDATE_LENGTH
+  ) {
+    return `candidate.candidate must be a string of at most ${MAX_CANDIDATE_LENGTH} characters`;
+  }
+
+  if (
+    candidate.sdpMid !== undefined &&
+    candidate.sdpMid !== null &&
+    typeof candidate.sdpMid !== "string"
+  ) {
+    return "candidate.sdpMid must be a string or null";
+  }
+
+  if (
+    candidate.sdpMLineIndex !== undefined &&
+    candidate.sdpMLineIndex !== null &&
+    !(Number.isInteger(candidate.sdpMLineIndex) && candidate.sdpMLineIndex >= 0)
+  ) {
+    return "candidate.sdpMLineIndex must be a non-negative integer or null";
+  }
+
+  return null;
+}
+
+// Only the fields a browser needs, so clients cannot relay arbitrary data
+function cleanDescription({ type, sdp }) {
+  return { type, sdp };
+}
+
+function cleanCandidate(candidate) {
+  if (candidate === null) return null;
+
+  const orNull = (value) => (value === undefined ? null : value);
+  return {
+    candidate: candidate.candidate,
+    sdpMid: orNull(candidate.sdpMid),
+    sdpMLineIndex: orNull(candidate.sdpMLineIndex),
+    usernameFragment:
+      typeof candidate.usernameFragment === "string"
+        ? candidate.usernameFragment
+        : null,
+  };
+}
+
+module.exports = {
+  SIGNAL_STREAMS,
+  validateStream,
+  validateDescription,
+  validateCandidate,
+  cleanDescription,
+  cleanCandidate,
+};
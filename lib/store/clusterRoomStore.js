@@ -0,0 +1,128 @@
+const cluster = require("cluster");
+const RoomLocks = require("./roomLocks");
+
+const MESSAGE_TYPE = "room-store";
+
+// Used by cluster workers: rooms live in a single store in the primary
+// process and every call is forwarded to it over IPC, so all workers see
+// the same state. Rooms come back as copies, which is why changes must be
+// saved and why read-modify-save sequences take the room's lock.
+class ClusterRoomStore {
+  constructor() {
+    this.pending = new Map();
+    this.nextId = 1;
+    this.onMessage = (message) => {
+      if (!message || message.type !== MESSAGE_TYPE) return;
+
+      const request = this.pending.get(message.id);
+      if (!request) return;
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    };
+    process.on("message", this.onMessage);
+  }
+
+  request(op, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      process.send({ type: MESSAGE_TYPE, id, op, args });
+    });
+  }
+
+  // The primary loads the backing store before starting workers
+  async init() {}
+
+  getRoom(roomId) {
+    return this.request("getRoom", roomId);
+  }
+
+  saveRoom(room) {
+    return this.request("saveRoom", room);
+  }
+
+  deleteRoom(roomId) {
+    return this.request("deleteRoom", roomId);
+  }
+
+  listRooms() {
+    return this.request("listRooms");
+  }
+
+  saveAttendance(record) {
+    return this.request("saveAttendance", record);
+  }
+
+  getAttendance(roomId) {
+    return this.request("getAttendance", roomId);
+  }
+
+  pruneAttendance(cutoff) {
+    return this.request("pruneAttendance", cutoff);
+  }
+
+  async withLock(roomId, fn) {
+    const lockId = await this.request("lock", roomId);
+    try {
+      return await fn();
+    } finally {
+      await this.request("unlock", roomId, lockId);
+    }
+  }
+
+  // The primary flushes the backing store when the cluster shuts down
+  async close() {
+    process.off("message", this.onMessage);
+  }
+}
+
+// Used by the primary: answer ClusterRoomStore calls from every worker out
+// of `store`. Locks held by a worker that exits are released, and any lock
+// held longer than lockTimeoutMs is taken back.
+function serveRoomStore(store, { lockTimeoutMs = 10000 } = {}) {
+  const locks = new RoomLocks({ timeoutMs: lockTimeoutMs });
+
+  const handle = (worker, op, args) => {
+    switch (op) {
+      case "getRoom":
+      case "saveRoom":
+      case "deleteRoom":
+      case "listRooms":
+      case "saveAttendance":
+      case "getAttendance":
+      case "pruneAttendance":
+        return store[op](...args);
+      case "lock":
+        return locks.acquire(args[0], worker.id);
+      case "unlock":
+        return locks.release(args[0], args[1]);
+      default:
+        throw new Error(`Unknown room store operation "${op}"`);
+    }
+  };
+
+  cluster.on("message", (worker, message) => {
+    if (!message || message.type !== MESSAGE_TYPE) return;
+
+    Promise.resolve()
+      .then(() => handle(worker, message.op, message.args))
+      .then(
+        (result) => ({ type: MESSAGE_TYPE, id: message.id, result }),
+        (err) => ({ type: MESSAGE_TYPE, id: message.id, error: err.message })
+      )
+      .then((reply) => {
+        if (worker.isConnected()) worker.send(reply);
+      });
+  });
+
+  cluster.on("exit", (worker) => {
+    locks.releaseOwner(worker.id);
+  });
+}
+
+module.exports = { ClusterRoomStore, serveRoomStore };
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const MemoryRoomStore = require("./memoryRoomStore");
+
+// Serves rooms from memory and snapshots them to a JSON file so they can be
+// reloaded after a restart. Writes are debounced and go through a temp file
+// so a crash mid-write never leaves a truncated snapshot behind.
+class FileRoomStore extends MemoryRoomStore {
+  constructor({ filePath, flushDelay = 250 } = {}) {
+    super();
+    this.filePath = path.resolve(filePath || "data/rooms.json");
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async init() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const snapshot = JSON.parse(raw);
+    (snapshot.rooms || []).forEach((room) => {
+      this.rooms.set(room.id, room);
+    });
+    (snapshot.attendance || []).forEach((record) => {
+      this.attendance.set(record.id, record);
+    });
+    console.log(`Loaded ${this.rooms.size} rooms from ${this.filePath}`);
+  }
+
+  async saveRoom(room) {
+    await super.saveRoom(room);
+    this.scheduleFlush();
+  }
+
+  async deleteRoom(roomId) {
+    await super.deleteRoom(roomId);
+    this.scheduleFlush();
+  }
+
+  async saveAttendance(record) {
+    await super.saveAttendance(record);
+    this.scheduleFlush();
+  }
+
+  async pruneAttendance(cutoff) {
+    const pruned = await super.pruneAttendance(cutoff);
+    if (pruned > 0) this.scheduleFlush();
+    return pruned;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((err) => {
+        console.error(`Failed to write room snapshot: ${err.message}`);
+      });
+    }, this.flushDelay);
+  }
+
+  flush() {
+    const data = JSON.stringify({
+      savedAt: new Date(),
+      rooms: Array.from(this.rooms.values()),
+      attendance: Array.from(this.attendance.values()),
+    });
+    const tmpPath = `${this.filePath}.tmp`;
+
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+        await fs.promises.writeFile(tmpPath, data);
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+
+    return this.pendingWrite;
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = FileRoomStore;
@@ -0,0 +1,29 @@
+const MemoryRoomStore = require("./memoryRoomStore");
+const FileRoomStore = require("./fileRoomStore");
+const { ClusterRoomStore, serveRoomStore } = require("./clusterRoomStore");
+
+// Pick the room store from the environment:
+//   ROOM_STORE=memory (default) keeps rooms in process memory only
+//   ROOM_STORE=file persists rooms to ROOM_STORE_FILE (default data/rooms.json)
+// Workers started by cluster.js always use ClusterRoomStore, and the primary
+// serves it from the store picked here.
+function createRoomStore(env = process.env) {
+  const type = (env.ROOM_STORE || "memory").toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return new MemoryRoomStore();
+    case "file":
+      return new FileRoomStore({ filePath: env.ROOM_STORE_FILE });
+    default:
+      throw new Error(`Unknown ROOM_STORE "${env.ROOM_STORE}"`);
+  }
+}
+
+module.exports = {
+  createRoomStore,
+  MemoryRoomStore,
+  FileRoomStore,
+  ClusterRoomStore,
+  serveRoomStore,
+};
@@ -0,0 +1,64 @@
+const RoomLocks = require("./roomLocks");
+
+// Keeps rooms in process memory. Everything is lost when the process exits,
+// which matches the server's original behaviour.
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map();
+    this.attendance = new Map(); // Attendance logs of removed rooms
+    this.locks = new RoomLocks();
+  }
+
+  async init() {}
+
+  async getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  async saveRoom(room) {
+    this.rooms.set(room.id, room);
+  }
+
+  async deleteRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  // Attendance logs outlive their rooms, for billing and compliance
+  async saveAttendance(record) {
+    this.attendance.set(record.id, record);
+  }
+
+  async getAttendance(roomId) {
+    return this.attendance.get(roomId) || null;
+  }
+
+  // Forget the logs of rooms removed before `cutoff`. Returns how many.
+  async pruneAttendance(cutoff) {
+    let pruned = 0;
+    this.attendance.forEach((record, roomId) => {
+      if (new Date(record.removedAt) < cutoff) {
+        this.attendance.delete(roomId);
+        pruned += 1;
+      }
+    });
+    return pruned;
+  }
+
+  // Run fn while holding the room's lock and return its result
+  async withLock(roomId, fn) {
+    const lockId = await this.locks.acquire(roomId);
+    try {
+      return await fn();
+    } finally {
+      this.locks.release(roomId, lockId);
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryRoomStore;
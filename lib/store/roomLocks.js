@@ -0,0 +1,67 @@
+// First-come, first-served lock per room. Handlers take it around their
+// read-modify-save of a room so two of them never overwrite each other's
+// changes. With timeoutMs set, a holder that does not release in time loses
+// the lock, so one stuck handler cannot stall a room forever.
+class RoomLocks {
+  constructor({ timeoutMs = 0 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.queues = new Map();
+    this.nextId = 1;
+  }
+
+  // Resolves with a lock ID once `owner` holds the room's lock
+  acquire(roomId, owner = null) {
+    return new Promise((resolve) => {
+      const entry = { id: this.nextId++, owner, grant: resolve, timer: null };
+      const queue = this.queues.get(roomId) || [];
+      queue.push(entry);
+      this.queues.set(roomId, queue);
+
+      if (queue.length === 1) this.grant(roomId);
+    });
+  }
+
+  grant(roomId) {
+    const entry = this.queues.get(roomId)[0];
+
+    if (this.timeoutMs > 0) {
+      entry.timer = setTimeout(() => {
+        console.warn(`Lock on room ${roomId} was held too long, releasing it`);
+        this.release(roomId, entry.id);
+      }, this.timeoutMs);
+      entry.timer.unref();
+    }
+
+    entry.grant(entry.id);
+  }
+
+  // Release a held lock or give up a place in the queue. Unknown IDs, such
+  // as a lock that already timed out, are ignored.
+  release(roomId, lockId) {
+    const queue = this.queues.get(roomId);
+    if (!queue) return;
+
+    const index = queue.findIndex((entry) => entry.id === lockId);
+    if (index === -1) return;
+
+    const [entry] = queue.splice(index, 1);
+    clearTimeout(entry.timer);
+
+    if (queue.length === 0) {
+      this.queues.delete(roomId);
+    } else if (index === 0) {
+      this.grant(roomId);
+    }
+  }
+
+  // Drop every lock held or awaited by an owner that has gone away
+  releaseOwner(owner) {
+    this.queues.forEach((queue, roomId) => {
+      queue
+        .filter((entry) => entry.owner === owner)
+        .forEach((entry) => this.release(roomId, entry.id));
+    });
+  }
+}
+
+module.exports = RoomLocks;
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+
+// Time-limited TURN credentials in the shared-secret scheme of coturn's
+// REST API (use-auth-secret with static-auth-secret): the username is
+// "<expiry unix time>:<user ID>" and the password is the base64 HMAC-SHA1
+// of the username under the shared secret. The TURN server checks both
+// without calling back to us.
+function createTurnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto
+    .createHmac("sha1", secret)
+    .update(username)
+    .digest("base64");
+
+  return { username, credential, expiresAt: new Date(expiresAt * 1000) };
+}
+
+// Split a comma separated list of ICE server URLs from the environment
+function parseUrls(value) {
+  return (value || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+// RTCIceServer entries for a participant: the STUN servers, then the TURN
+// servers with fresh credentials when a shared secret is configured
+function buildIceServers({ stunUrls, turnUrls, secret }, userId, ttlSeconds) {
+  const iceServers = [];
+  if (stunUrls.length > 0) {
+    iceServers.push({ urls: stunUrls });
+  }
+
+  let expiresAt = null;
+  if (secret && turnUrls.length > 0) {
+    const credentials = createTurnCredentials(secret, userId, ttlSeconds);
+    expiresAt = credentials.expiresAt;
+    iceServers.push({
+      urls: turnUrls,
+      username: credentials.username,
+      credential: credentials.credential,
+    });
+  }
+
+  return { iceServers, ttlSeconds: expiresAt ? ttlSeconds : null, expiresAt };
+}
+
+// Check a TTL given for a room or in a join token. Returns an error
+// message, or null if it is valid.
+function validateTurnTtl(ttlSeconds, maxTtlSeconds) {
+  if (
+    ttlSeconds !== null &&
+    ttlSeconds !== undefined &&
+    !(
+      Number.isInteger(ttlSeconds) &&
+      ttlSeconds > 0 &&
+      ttlSeconds <= maxTtlSeconds
+    )
+  ) {
+    return `turnTtlSeconds must be between 1 and ${maxTtlSeconds}`;
+  }
+  return null;
+}
+
+module.exports = {
+  createTurnCredentials,
+  parseUrls,
+  buildIceServers,
+  validateTurnTtl,
+};
@@ -0,0 +1,227 @@
+// Declarative checks for socket payloads and REST bodies. A schema maps each
+// field a payload may carry to a rule:
+//   type       "string", "boolean", "integer", "number", "date", "array",
+//              "object" or "any". "date" is an ISO string or epoch millis.
+//   required   the field must be present
+//   nullable   null is accepted as well
+//   enum       allowed values
+//   min, max   bounds for numbers
+//   minLength, maxLength   bounds for strings and arrays
+//   items      rule for each array entry
+//   fields     schema for an object's fields; other fields are rejected
+//   values     rule for every value of an object used as a map
+//   anyOf      list of rules, of which one must match
+// Errors are { code, field, message }, with one of the codes below.
+
+const ERROR_CODES = {
+  payload: "INVALID_PAYLOAD", // Not an object at all
+  missing: "MISSING_FIELD",
+  unknown: "UNKNOWN_FIELD",
+  invalid: "INVALID_FIELD",
+};
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !Buffer.isBuffer(value)
+  );
+}
+
+function lengthRange({ minLength, maxLength }, unit) {
+  if (minLength && maxLength) {
+    return ` of ${minLength} to ${maxLength} ${unit}`;
+  }
+  if (maxLength) return ` of at most ${maxLength} ${unit}`;
+  if (minLength) return ` of at least ${minLength} ${unit}`;
+  return "";
+}
+
+// What a rule accepts, for error messages, e.g. "an integer from 1 to 50"
+function describe(rule) {
+  if (rule.enum) {
+    return `one of ${rule.enum.map((value) => JSON.stringify(value)).join(", ")}`;
+  }
+
+  const bounds =
+    rule.min !== undefined && rule.max !== undefined
+      ? ` from ${rule.min} to ${rule.max}`
+      : rule.min !== undefined
+        ? ` of at least ${rule.min}`
+        : rule.max !== undefined
+          ? ` of at most ${rule.max}`
+          : "";
+
+  switch (rule.type) {
+    case "string":
+      return `a string${lengthRange(rule, "characters")}`;
+    case "boolean":
+      return "true or false";
+    case "integer":
+      return `an integer${bounds}`;
+    case "number":
+      return `a number${bounds}`;
+    case "date":
+      return "an ISO date or a time in milliseconds";
+    case "array":
+      return `a list${lengthRange(rule, "entries")}`;
+    case "object":
+      return "an object";
+    default:
+      return rule.anyOf ? rule.anyOf.map(describe).join(" or ") : "a value";
+  }
+}
+
+// An ISO date string or a time in epoch milliseconds
+function isValidDate(value) {
+  return (
+    (typeof value === "string" || Number.isFinite(value)) &&
+    !Number.isNaN(new Date(value).getTime())
+  );
+}
+
+function invalid(rule, field) {
+  return {
+    code: ERROR_CODES.invalid,
+    field,
+    message: `${field} must be ${describe(rule)}${
+      rule.nullable ? " or null" : ""
+    }`,
+  };
+}
+
+function withinLength(rule, length) {
+  return (
+    (rule.minLength === undefined || length >= rule.minLength) &&
+    (rule.maxLength === undefined || length <= rule.maxLength)
+  );
+}
+
+function withinBounds(rule, value) {
+  return (
+    (rule.min === undefined || value >= rule.min) &&
+    (rule.max === undefined || value <= rule.max)
+  );
+}
+
+// Check one value against its rule. Returns an error, or null if it fits.
+function checkValue(rule, value, field) {
+  if (value === null) {
+    return rule.nullable ? null : invalid(rule, field);
+  }
+
+  if (rule.anyOf) {
+    const fits = rule.anyOf.some((option) => !checkValue(option, value, field));
+    return fits ? null : invalid(rule, field);
+  }
+
+  if (rule.enum) {
+    return rule.enum.includes(value) ? null : invalid(rule, field);
+  }
+
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" && withinLength(rule, value.length)
+        ? null
+        : invalid(rule, field);
+
+    case "boolean":
+      return typeof value === "boolean" ? null : invalid(rule, field);
+
+    case "integer":
+      return Number.isInteger(value) && withinBounds(rule, value)
+        ? null
+        : invalid(rule, field);
+
+    case "number":
+      return Number.isFinite(value) && withinBounds(rule, value)
+        ? null
+        : invalid(rule, field);
+
+    case "date":
+      return isValidDate(value) ? null : invalid(rule, field);
+
+    case "array": {
+      if (!Array.isArray(value) || !withinLength(rule, value.length)) {
+        return invalid(rule, field);
+      }
+      if (!rule.items) return null;
+
+      for (let i = 0; i < value.length; i++) {
+        const error = checkValue(rule.items, value[i], `${field}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    case "object": {
+      if (!isPlainObject(value)) return invalid(rule, field);
+      if (rule.fields) return checkFields(rule.fields, value, `${field}.`);
+      if (!rule.values) return null;
+
+      for (const [key, entry] of Object.entries(value)) {
+        const error = checkValue(rule.values, entry, `${field}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function checkFields(schema, object, prefix = "") {
+  const unknown = Object.keys(object).find(
+    (key) => !Object.prototype.hasOwnProperty.call(schema, key)
+  );
+  if (unknown !== undefined) {
+    return {
+      code: ERROR_CODES.unknown,
+      field: `${prefix}${unknown}`,
+      message: `${prefix}${unknown} is not a recognised field`,
+    };
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = `${prefix}${key}`;
+    if (object[key] === undefined) {
+      if (rule.required) {
+        return {
+          code: ERROR_CODES.missing,
+          field,
+          message: `${field} is required`,
+        };
+      }
+      continue;
+    }
+
+    const error = checkValue(rule, object[key], field);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+// Check a payload against a schema. Returns an error, or null if it is
+// valid. A missing payload counts as an empty object.
+function validate(schema, payload) {
+  if (payload === undefined) payload = {};
+
+  if (!isPlainObject(payload)) {
+    return {
+      code: ERROR_CODES.payload,
+      field: null,
+      message: "Payload must be an object",
+    };
+  }
+
+  return checkFields(schema, payload);
+}
+
+module.exports = {
+  ERROR_CODES,
+  isValidDate,
+  validate,
+};
@@ -0,0 +1,351 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { v4: uuidv4 } = require("uuid");
+
+const WEBHOOK_EVENTS = [
+  "room.created",
+  "room.emptied",
+  "participant.joined",
+  "participant.left",
+  "participant.removed",
+  "host.changed",
+  "chat-settings.updated",
+  "screen-share.started",
+];
+
+const MIN_SECRET_LENGTH = 16;
+
+// Loopback, link-local, private and other non-public ranges. Webhooks are
+// not delivered to them, so a subscription cannot be used to reach services
+// on the server's own network.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6")
+);
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// The host of a URL as used for connecting, without IPv6 brackets
+function urlHost(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+}
+
+// Whether a host is refused before resolving it: localhost names and
+// private IP addresses
+function isPrivateHost(host) {
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+}
+
+// dns.lookup for webhook connections that fails when the name resolves to a
+// private address. Used as the socket's lookup, so the address checked is
+// the one connected to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(
+        new Error(`${hostname} resolves to a private network address`)
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+// Receivers verify a delivery by computing the same HMAC over the
+// X-Webhook-Timestamp header, a dot and the raw request body, and comparing
+// it with X-Webhook-Signature.
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+// Validate a subscription from a request body and fill in defaults. A
+// signing secret is generated when none is given. Throws an error with a
+// client-facing message when the subscription is invalid. URLs on localhost
+// or a private address are refused unless their host is in allowedHosts.
+function createSubscription(
+  { url, events = ["*"], secret } = {},
+  { allowedHosts = [] } = {}
+) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error("url must be an absolute http or https URL");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error("url must be an absolute http or https URL");
+  }
+  const host = urlHost(parsed);
+  if (!allowedHosts.includes(host) && isPrivateHost(host)) {
+    throw new Error("url must not point to a local or private network address");
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every((event) => event === "*" || WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new Error(
+      `events must list "*" or any of ${WEBHOOK_EVENTS.join(", ")}`
+    );
+  }
+
+  if (
+    secret !== undefined &&
+    (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)
+  ) {
+    throw new Error(
+      `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`
+    );
+  }
+
+  return {
+    id: uuidv4(),
+    url: parsed.toString(),
+    events: [...new Set(events)],
+    secret: secret || crypto.randomBytes(32).toString("hex"),
+    createdAt: new Date(),
+  };
+}
+
+function subscribesTo(subscription, event) {
+  return (
+    subscription.events.includes("*") || subscription.events.includes(event)
+  );
+}
+
+// A subscription as listed over REST, without its secret
+function describeSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+// Delivers webhook payloads from an in-memory queue. Failed deliveries are
+// retried with exponential backoff until maxAttempts, and the most recent
+// deliveries are kept in a log for debugging. Pending deliveries do not
+// survive a restart. Receivers must resolve to public addresses unless
+// their host is in allowedHosts; redirects are not followed.
+class WebhookDispatcher {
+  constructor({
+    maxAttempts = 6,
+    baseDelayMs = 1000,
+    maxDelayMs = 5 * 60 * 1000,
+    timeoutMs = 10 * 1000,
+    concurrency = 4,
+    logSize = 500,
+    allowedHosts = [],
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.concurrency = concurrency;
+    this.logSize = logSize;
+    this.allowedHosts = allowedHosts;
+
+    this.queue = [];
+    this.log = [];
+    this.active = 0;
+    this.timer = null;
+  }
+
+  // Queue one payload for each subscription
+  dispatch(subscriptions, payload) {
+    const body = JSON.stringify(payload);
+
+    subscriptions.forEach((subscription) => {
+      const delivery = {
+        id: uuidv4(),
+        webhookId: subscription.id,
+        roomId: payload.roomId || null,
+        event: payload.event,
+        url: subscription.url,
+        status: "pending",
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        createdAt: new Date(),
+        lastAttemptAt: null,
+        nextAttemptAt: Date.now(),
+      };
+
+      this.log.push(delivery);
+      if (this.log.length > this.logSize) {
+        this.log = this.log.slice(-this.logSize);
+      }
+
+      this.queue.push({ delivery, secret: subscription.secret, body });
+    });
+
+    this.pump();
+  }
+
+  // Start every due delivery the concurrency limit allows, then wake up
+  // again when the next retry is due
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    while (this.active < this.concurrency) {
+      const index = this.queue.findIndex(
+        (job) => job.delivery.nextAttemptAt <= now
+      );
+      if (index === -1) break;
+
+      const [job] = this.queue.splice(index, 1);
+      this.active += 1;
+      this.attempt(job).finally(() => {
+        this.active -= 1;
+        this.pump();
+      });
+    }
+
+    if (this.queue.length > 0 && this.active < this.concurrency) {
+      const nextAt = Math.min(
+        ...this.queue.map((job) => job.delivery.nextAttemptAt)
+      );
+      this.timer = setTimeout(() => this.pump(), Math.max(nextAt - now, 0));
+      this.timer.unref();
+    }
+  }
+
+  async attempt(job) {
+    const { delivery, secret, body } = job;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      const status = await this.post(delivery.url, body, {
+        "Content-Type": "application/json",
+        "User-Agent": "meeting-server-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(secret, timestamp, body),
+      });
+
+      delivery.responseStatus = status;
+      if (status >= 200 && status < 300) {
+        delivery.status = "delivered";
+        delivery.error = null;
+        delivery.deliveredAt = new Date();
+        return;
+      }
+      delivery.error = `Receiver responded with ${status}`;
+    } catch (err) {
+      delivery.responseStatus = null;
+      delivery.error = err.message;
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = "failed";
+      console.log(
+        `Webhook ${delivery.event} to ${delivery.url} failed after ${delivery.attempts} attempts: ${delivery.error}`
+      );
+      return;
+    }
+
+    const backoff = Math.min(
+      this.baseDelayMs * 2 ** (delivery.attempts - 1),
+      this.maxDelayMs
+    );
+    delivery.nextAttemptAt = Date.now() + backoff;
+    this.queue.push(job);
+  }
+
+  // POST a body to a receiver and resolve with the response status
+  post(url, body, headers) {
+    const parsed = new URL(url);
+    const host = urlHost(parsed);
+    const checked = !this.allowedHosts.includes(host);
+    if (checked && isPrivateAddress(host)) {
+      return Promise.reject(new Error(`${host} is a private network address`));
+    }
+
+    const transport = parsed.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = transport.request(
+        parsed,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          lookup: checked ? publicLookup : undefined,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        },
+        (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        }
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+
+  // Most recent deliveries first, optionally only those matching a filter
+  getDeliveries(filter = () => true) {
+    return this.log
+      .filter(filter)
+      .reverse()
+      .map(({ nextAttemptAt, ...delivery }) => ({
+        ...delivery,
+        nextAttemptAt:
+          delivery.status === "pending" ? new Date(nextAttemptAt) : null,
+      }));
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  isPrivateAddress,
+  createSubscription,
+  subscribesTo,
+  describeSubscription,
+  WebhookDispatcher,
+};
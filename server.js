@@ -1,8 +1,93 @@
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
+const cluster = require("cluster");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/cluster-adapter");
+const { setupWorker } = require("@socket.io/sticky");
+const { AsyncLocalStorage } = require("async_hooks");
 const cors = require("cors");
 const { v4: uuidv4 } = require("uuid");
+const { createRoomStore, ClusterRoomStore } = require("./lib/store");
+const AttemptLimiter = require("./lib/attemptLimiter");
+const RateLimiter = require("./lib/rateLimiter");
+const metrics = require("./lib/metrics");
+const { AttachmentStore } = require("./lib/attachments");
+const {
+  createSubscription,
+  subscribesTo,
+  describeSubscription,
+  WebhookDispatcher,
+} = require("./lib/webhooks");
+const {
+  recordAttendance,
+  archiveAttendance,
+  summarizeAttendance,
+  attendanceToCsv,
+} = require("./lib/attendance");
+const {
+  filterMessages,
+  queryMessages,
+  formatTranscript,
+  validateRetention,
+} = require("./lib/history");
+const {
+  ContentFilter,
+  validateFilterSettings,
+} = require("./lib/contentFilter");
+const {
+  isValidRole,
+  roleCan,
+  can,
+  outranks,
+  setRole,
+  pickNextHost,
+} = require("./lib/roles");
+const {
+  createPoll,
+  normalizeChoices,
+  tallyPoll,
+  publicPoll,
+  pollWithResults,
+  pollsToCsv,
+} = require("./lib/polls");
+const {
+  breakoutChannel,
+  createBreakouts,
+  splitEvenly,
+  describeBreakouts,
+} = require("./lib/breakouts");
+const { parseUrls, buildIceServers, validateTurnTtl } = require("./lib/turn");
+const {
+  validateStream,
+  validateDescription,
+  validateCandidate,
+  cleanDescription,
+  cleanCandidate,
+} = require("./lib/signaling");
+const {
+  negotiateVersion,
+  okResponse,
+  errorResponse,
+} = require("./lib/protocol");
+const { validate } = require("./lib/validation");
+const { socketSchemas, restSchemas } = require("./lib/schemas");
+const {
+  normalizeSchedule,
+  getWindow,
+  describeSchedule,
+} = require("./lib/schedule");
+const {
+  createHostKey,
+  hashHostKey,
+  verifyHostKey,
+  hashPasscode,
+  verifyPasscode,
+  signJoinToken,
+  verifyJoinToken,
+  signDownloadToken,
+  verifyDownloadToken,
+} = require("./lib/auth");
 
 const app = express();
 app.use(cors());
@@ -16,981 +101,5249 @@ const io = new Server(server, {
   },
 });
 
-// Store active rooms and participants
-const rooms = {};
+// Started as a worker by cluster.js: room state lives in the primary and
+// broadcasts reach sockets on every worker through the cluster adapter.
+// Only one worker runs the startup tasks for rooms left from a previous run.
+const clustered = cluster.isWorker;
+const runsStartupTasks =
+  !clustered || process.env.CLUSTER_STARTUP_TASKS === "1";
+
+if (clustered) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+}
+
+// Active rooms and participants, persisted according to ROOM_STORE
+const roomStore = clustered ? new ClusterRoomStore() : createRoomStore();
+
+// Chat retention defaults for new rooms. Each room can change them through
+// chatSettings.historyLimit and chatSettings.replayLimit.
+const DEFAULT_HISTORY_LIMIT = Number(process.env.DEFAULT_HISTORY_LIMIT) || 100;
+const DEFAULT_REPLAY_LIMIT = Number(process.env.DEFAULT_REPLAY_LIMIT) || 50;
+const MAX_HISTORY_LIMIT = Number(process.env.MAX_HISTORY_LIMIT) || 5000;
+const EMPTY_ROOM_TTL_MS = 60000;
+
+// Attendance logs of removed rooms are kept this long for reporting
+const ATTENDANCE_RETENTION_MS =
+  (Number(process.env.ATTENDANCE_RETENTION_DAYS) || 90) * 24 * 3600 * 1000;
+const ATTENDANCE_PRUNE_INTERVAL_MS = 3600 * 1000;
+
+// How long a dropped participant keeps their seat before they are treated
+// as having left. Set SESSION_GRACE_PERIOD_MS=0 to disable resumption.
+const SESSION_GRACE_PERIOD_MS =
+  process.env.SESSION_GRACE_PERIOD_MS !== undefined
+    ? Number(process.env.SESSION_GRACE_PERIOD_MS)
+    : 30000;
+
+// Secret for signing join tokens and attachment download links. Without a
+// fixed secret, they stop verifying whenever the server restarts.
+const JOIN_TOKEN_SECRET =
+  process.env.JOIN_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+const JOIN_TOKEN_DEFAULT_TTL_SECONDS = 3600;
+const JOIN_TOKEN_MAX_TTL_SECONDS = 24 * 3600;
+
+if (!process.env.JOIN_TOKEN_SECRET) {
+  console.warn(
+    "JOIN_TOKEN_SECRET is not set, join tokens will not survive a restart"
+  );
+}
 
-// API endpoint to create a new room
-app.post("/api/room", (req, res) => {
-  const roomId = uuidv4();
-  rooms[roomId] = {
-    id: roomId,
-    participants: {},
-    messages: [], // Store chat messages
-    hostId: null, // Track room host
-    chatSettings: {
-      allowParticipantChat: true,
-      allowPrivateMessages: true,
-      moderateMessages: false,
-    },
-    hostMasterControls: {
-      controlAllAudio: true, // When host toggles audio, it affects all participants
-      controlAllVideo: true, // When host toggles video, it affects all participants
-    },
-    createdAt: new Date(),
-  };
-  console.log(`Created room: ${roomId}`);
-  res.json({ roomId });
+// Wrong passcodes are limited per room for both the client IP and the
+// socket, so reconnecting or spreading guesses over many sockets both hit it
+const passcodeLimiter = new AttemptLimiter({
+  maxAttempts: Number(process.env.PASSCODE_MAX_ATTEMPTS) || 5,
+  windowMs: Number(process.env.PASSCODE_LOCKOUT_MS) || 15 * 60 * 1000,
 });
 
-app.get("/", (req, res) => {
-  return res.send("Welcome to the Meeting Room API");
+// Per-participant token buckets for events a client can spam. Each can be
+// overridden with RATE_LIMIT_<EVENT>="capacity:perSecond", for example
+// RATE_LIMIT_SEND_CHAT_MESSAGE="5:1". Private and host-only messages share
+// the send-chat-message bucket.
+const RATE_LIMIT_DEFAULTS = {
+  "send-chat-message": { capacity: 5, refillPerSecond: 1 },
+  "typing-indicator": { capacity: 10, refillPerSecond: 2 },
+  "send-system-message": { capacity: 3, refillPerSecond: 0.2 },
+};
+
+function readRateLimit(event, defaults) {
+  const envName = `RATE_LIMIT_${event.toUpperCase().replace(/-/g, "_")}`;
+  const [capacity, refillPerSecond] = (process.env[envName] || "")
+    .split(":")
+    .map(Number);
+
+  return capacity > 0 && refillPerSecond > 0
+    ? { capacity, refillPerSecond }
+    : defaults;
+}
+
+const rateLimiters = {};
+Object.entries(RATE_LIMIT_DEFAULTS).forEach(([event, defaults]) => {
+  rateLimiters[event] = new RateLimiter(readRateLimit(event, defaults));
 });
 
-// Get room info
-app.get("/api/room/:roomId", (req, res) => {
-  const { roomId } = req.params;
-  const room = rooms[roomId];
-
-  if (!room) {
-    return res.status(404).json({ error: "Room not found" });
-  }
+const MAX_MESSAGE_LENGTH = Number(process.env.MAX_MESSAGE_LENGTH) || 2000;
 
-  res.json({
-    roomId: room.id,
-    participantCount: Object.keys(room.participants).length,
-    participants: Object.values(room.participants).map((p) => ({
-      username: p.username,
-      joinedAt: p.joinedAt,
-      isHost: p.id === room.hostId,
-      isScreenSharing: p.isScreenSharing || false,
-    })),
-    messageCount: room.messages.length,
-    hostId: room.hostId,
-    chatSettings: room.chatSettings,
-    hostMasterControls: room.hostMasterControls,
-  });
+// Participants who keep tripping rate limits or the content filter are
+// muted in chat for a while
+const chatViolations = new AttemptLimiter({
+  maxAttempts: Number(process.env.CHAT_MUTE_THRESHOLD) || 5,
+  windowMs: 60 * 1000,
+});
+const CHAT_MUTE_DURATION_MS =
+  Number(process.env.CHAT_MUTE_DURATION_MS) || 5 * 60 * 1000;
+
+const contentFilter = new ContentFilter();
+
+// Chat attachments are stored on local disk. ATTACHMENT_TYPES is a comma
+// separated list of MIME types that replaces the built-in list.
+const attachmentStore = new AttachmentStore({
+  dir: process.env.ATTACHMENTS_DIR,
+  maxBytes: Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+  allowedTypes: process.env.ATTACHMENT_TYPES
+    ? process.env.ATTACHMENT_TYPES.split(",").map((type) => type.trim())
+    : undefined,
+});
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const DOWNLOAD_TOKEN_TTL_SECONDS =
+  Number(process.env.DOWNLOAD_TOKEN_TTL_SECONDS) || 300;
+
+// ADMIN_API_KEY unlocks server-wide endpoints such as global webhooks, the
+// meeting list and the admin API. They are disabled when it is not set.
+const ADMIN_API_KEY_HASH = process.env.ADMIN_API_KEY
+  ? hashHostKey(process.env.ADMIN_API_KEY)
+  : null;
+
+// Outgoing webhooks. Global subscriptions added over REST last until
+// restart; WEBHOOK_URL (with optional WEBHOOK_SECRET and comma separated
+// WEBHOOK_EVENTS) registers one that is always there. Receivers on
+// localhost or private networks are refused unless their host name is in
+// the comma separated WEBHOOK_ALLOWED_HOSTS.
+const webhookOptions = {
+  allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS
+    ? process.env.WEBHOOK_ALLOWED_HOSTS.split(",").map((host) =>
+        host.trim().toLowerCase()
+      )
+    : [],
+};
+const webhookDispatcher = new WebhookDispatcher({
+  ...webhookOptions,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
 });
+const globalWebhooks = new Map();
+
+if (process.env.WEBHOOK_URL) {
+  const subscription = createSubscription(
+    {
+      url: process.env.WEBHOOK_URL,
+      secret: process.env.WEBHOOK_SECRET,
+      events: process.env.WEBHOOK_EVENTS
+        ? process.env.WEBHOOK_EVENTS.split(",").map((event) => event.trim())
+        : undefined,
+    },
+    webhookOptions
+  );
+  globalWebhooks.set(subscription.id, subscription);
+}
+
+// ICE servers handed to participants. STUN_URLS and TURN_URLS are comma
+// separated lists; TURN credentials are derived from TURN_SECRET, the
+// coturn static-auth-secret. They last TURN_TTL_SECONDS unless the room or
+// the participant's join token sets turnTtlSeconds, up to
+// TURN_MAX_TTL_SECONDS.
+const iceConfig = {
+  stunUrls: parseUrls(process.env.STUN_URLS),
+  turnUrls: parseUrls(process.env.TURN_URLS),
+  secret: process.env.TURN_SECRET || null,
+};
+const TURN_MAX_TTL_SECONDS = Number(process.env.TURN_MAX_TTL_SECONDS) || 86400;
+const TURN_TTL_SECONDS = Math.min(
+  Number(process.env.TURN_TTL_SECONDS) || 3600,
+  TURN_MAX_TTL_SECONDS
+);
+
+if (iceConfig.turnUrls.length > 0 && !iceConfig.secret) {
+  console.warn(
+    "TURN_URLS is set without TURN_SECRET, TURN will not be offered"
+  );
+}
 
-// Socket.io connection handling
-io.on("connection", (socket) => {
-  console.log(`User connected: ${socket.id}`);
+// The socket command being handled: { event, ack, error }, for metrics and
+// replies recorded deeper down
+const eventContext = new AsyncLocalStorage();
 
-  // Handle joining a room
-  socket.on("join-room", ({ roomId, username, peerId }) => {
-    console.log(
-      `${username} trying to join room ${roomId} with peer ID ${peerId}`
-    );
+metrics.collectState(async () => ({
+  rooms: await roomStore.listRooms(),
+  sockets: io.engine.clientsCount,
+}));
 
-    // Check if room exists
-    if (!rooms[roomId]) {
-      console.log(`Room ${roomId} does not exist`);
-      socket.emit("room-error", { message: "Room does not exist" });
-      return;
-    }
+// Longest emoji sequence accepted as a reaction
+const MAX_REACTION_LENGTH = 32;
 
-    // Add user to socket room
-    socket.join(roomId);
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 
-    // Store participant info
-    const participantId = socket.id;
-    const isFirstParticipant =
-      Object.keys(rooms[roomId].participants).length === 0;
+// Warning and close timers for scheduled rooms, keyed by room ID
+const scheduleTimers = new Map();
 
-    // Set host if first participant
-    if (isFirstParticipant) {
-      rooms[roomId].hostId = participantId;
-    }
+// Countdown timers for open breakout sessions, keyed by room ID
+const breakoutTimers = new Map();
 
-    rooms[roomId].participants[participantId] = {
-      id: participantId,
-      username,
-      peerId,
-      socketId: socket.id,
-      joinedAt: new Date(),
-      audioEnabled: true,
-      videoEnabled: true,
-      isHost: isFirstParticipant,
-      isScreenSharing: false,
-    };
+// Pending grace period expiries, keyed by `${roomId}:${participantId}`
+const graceTimers = new Map();
 
-    console.log(
-      `${username} joined room ${roomId}. Total participants: ${
-        Object.keys(rooms[roomId].participants).length
-      }. Host: ${isFirstParticipant ? "YES" : "NO"}`
-    );
+// Drop the oldest messages beyond the room's history limit
+function trimHistory(room) {
+  const { historyLimit } = room.chatSettings;
 
-    // Send host status to the joining user
-    socket.emit("host-assigned", { isHost: isFirstParticipant });
-
-    // Send room info and host status
-    socket.emit("room-info", {
-      roomCreatedAt: rooms[roomId].createdAt,
-      isFirstParticipant,
-      hostId: rooms[roomId].hostId,
-      hostMasterControls: rooms[roomId].hostMasterControls,
-    });
-
-    // Send recent chat messages to the new user
-    const recentMessages = rooms[roomId].messages.slice(-50);
-    recentMessages.forEach((message) => {
-      if (shouldReceiveMessage(message, participantId, rooms[roomId])) {
-        if (message.chatMode === "private") {
-          socket.emit("private-message", message);
-        } else if (message.chatMode === "host-only") {
-          if (isFirstParticipant) {
-            socket.emit("host-message", message);
-          }
-        } else {
-          socket.emit("chat-message", message);
+  if (room.messages.length > historyLimit) {
+    room.messages = room.messages.slice(-historyLimit);
+  }
+}
+
+// Append a message to the room history, keeping only the most recent ones
+function pushMessage(room, message) {
+  room.messages.push(message);
+  trimHistory(room);
+  metrics.chatMessages.inc({
+    mode: message.type === "system" ? "system" : message.chatMode,
+  });
+}
+
+function isRoomEmpty(room) {
+  return (
+    Object.keys(room.participants).length === 0 &&
+    Object.keys(room.disconnectedParticipants).length === 0
+  );
+}
+
+// Queue a webhook for every global and room subscription to the event
+function emitWebhook(room, event, data = {}) {
+  const subscriptions = [
+    ...globalWebhooks.values(),
+    ...(room.webhooks || []),
+  ].filter((subscription) => subscribesTo(subscription, event));
+
+  if (subscriptions.length === 0) return;
+
+  webhookDispatcher.dispatch(subscriptions, {
+    id: uuidv4(),
+    event,
+    roomId: room.id,
+    occurredAt: new Date(),
+    data,
+  });
+}
+
+// Log and announce to webhooks that the host role has moved
+function noteHostChange(room, newHost, previousHostId) {
+  if (previousHostId && previousHostId !== newHost.id) {
+    metrics.hostTransfers.inc();
+  }
+  recordAttendance(room, "host-change", newHost, { previousHostId });
+  emitWebhook(room, "host.changed", {
+    participantId: newHost.id,
+    username: newHost.username,
+    previousHostId,
+  });
+}
+
+// Delete a room and its uploaded files. Its attendance log is kept for
+// ATTENDANCE_RETENTION_DAYS.
+async function removeRoom(room) {
+  await roomStore.saveAttendance(archiveAttendance(room));
+  await roomStore.deleteRoom(room.id);
+  metrics.roomLifetime.observe(
+    (Date.now() - new Date(room.createdAt).getTime()) / 1000
+  );
+  await attachmentStore.deleteRoom(room.id);
+}
+
+// Delete a room once it has stayed empty for EMPTY_ROOM_TTL_MS. Scheduled
+// rooms are kept until their last occurrence is over.
+function scheduleRoomCleanup(roomId) {
+  setTimeout(() => {
+    roomStore
+      .withLock(roomId, async () => {
+        const room = await roomStore.getRoom(roomId);
+        if (room && isRoomEmpty(room) && !getWindow(room.schedule)) {
+          await removeRoom(room);
+          console.log(`Room ${roomId} has been removed due to inactivity`);
         }
-      }
-    });
+      })
+      .catch((err) => {
+        console.error(`Failed to clean up room ${roomId}: ${err.message}`);
+      });
+  }, EMPTY_ROOM_TTL_MS);
+}
+
+function createSessionToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// Forget every session token that resumes the given participant
+function revokeSessions(room, participantId) {
+  Object.keys(room.sessions).forEach((token) => {
+    if (room.sessions[token] === participantId) {
+      delete room.sessions[token];
+    }
+  });
+}
+
+function startGracePeriod(roomId, participantId) {
+  const key = `${roomId}:${participantId}`;
+  clearTimeout(graceTimers.get(key));
+
+  graceTimers.set(
+    key,
+    setTimeout(() => {
+      graceTimers.delete(key);
+      roomStore
+        .withLock(roomId, () => expireParticipant(roomId, participantId))
+        .catch((err) => {
+          console.error(`Failed to expire ${participantId}: ${err.message}`);
+        });
+    }, SESSION_GRACE_PERIOD_MS)
+  );
+}
+
+function cancelGracePeriod(roomId, participantId) {
+  const key = `${roomId}:${participantId}`;
+  clearTimeout(graceTimers.get(key));
+  graceTimers.delete(key);
+}
+
+// A disconnected participant did not come back within the grace period:
+// announce that they left and hand the host role on if it was theirs.
+async function expireParticipant(roomId, participantId) {
+  const room = await roomStore.getRoom(roomId);
+  if (!room || !room.disconnectedParticipants[participantId]) return;
+
+  // A timer left on another worker by an earlier drop must not cut short
+  // the grace period of a later one
+  const participant = room.disconnectedParticipants[participantId];
+  const droppedFor =
+    Date.now() - new Date(participant.disconnectedAt).getTime();
+  if (droppedFor < SESSION_GRACE_PERIOD_MS) return;
+  const wasHost = participant.id === room.hostId;
+
+  console.log(
+    `${participant.username} left room ${roomId}${wasHost ? " (was host)" : ""}`
+  );
 
-    // Send chat settings to the new user
-    socket.emit("chat-settings-updated", rooms[roomId].chatSettings);
+  const systemMessage = {
+    id: uuidv4(),
+    message: `${participant.username} left the meeting`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "leave",
+  };
 
-    // Send host master controls settings
-    socket.emit(
-      "host-master-controls-updated",
-      rooms[roomId].hostMasterControls
-    );
+  pushMessage(room, systemMessage);
+  delete room.disconnectedParticipants[participantId];
+  revokeSessions(room, participantId);
+  recordAttendance(room, "leave", participant);
+  emitWebhook(room, "participant.left", {
+    participantId,
+    username: participant.username,
+  });
+  const handLowered = removeRaisedHand(room, participantId);
 
-    // Notify existing participants about the new user
-    socket.to(roomId).emit("user-joined", {
-      participantId,
-      username,
-      peerId,
-      isHost: isFirstParticipant,
-    });
+  let newHost = null;
+  let hostMessage = null;
 
-    // Send current participants to the new user
-    const existingParticipants = {};
-    Object.entries(rooms[roomId].participants).forEach(([id, participant]) => {
-      if (id !== participantId) {
-        existingParticipants[id] = participant;
-      }
-    });
+  if (wasHost) {
+    newHost = pickNextHost(Object.values(room.participants));
+    if (newHost) {
+      setRole(room, newHost, "host");
+      noteHostChange(room, newHost, participantId);
 
-    socket.emit("room-participants", {
-      participants: existingParticipants,
-    });
+      hostMessage = {
+        id: uuidv4(),
+        message: `${newHost.username} is now the host`,
+        timestamp: new Date(),
+        type: "system",
+        systemType: "host-change",
+      };
 
-    console.log(
-      `Sent ${
-        Object.keys(existingParticipants).length
-      } existing participants to ${username}`
-    );
+      pushMessage(room, hostMessage);
+    }
+  }
+
+  await roomStore.saveRoom(room);
+
+  io.to(roomId).emit("chat-system-message", systemMessage);
+
+  io.to(roomId).emit("user-left", {
+    participantId,
+    peerId: participant.peerId,
+    username: participant.username,
   });
 
-  // Helper function to determine if user should receive a message
-  function shouldReceiveMessage(message, participantId, room) {
-    if (message.type === "system") return true;
+  if (handLowered) {
+    sendHandQueue(room);
+  }
+
+  if (participant.breakoutId && room.breakouts) {
+    sendBreakoutLayout(room);
+  }
+
+  if (newHost) {
+    io.to(newHost.id).emit("host-assigned", { isHost: true });
+    io.to(roomId).emit("chat-system-message", hostMessage);
+    io.to(roomId).emit("host-privileges-updated", {
+      newHostId: newHost.id,
+      newHostUsername: newHost.username,
+    });
+    announceRoleChange(room, newHost);
+
+    console.log(`Host privileges transferred to ${newHost.username}`);
+  }
 
-    const participant = room.participants[participantId];
-    const isHost = participant && participant.id === room.hostId;
+  console.log(
+    `Room ${roomId} now has ${
+      Object.keys(room.participants).length
+    } participants`
+  );
 
-    if (message.chatMode === "public") {
-      return room.chatSettings.allowParticipantChat || isHost;
+  if (isRoomEmpty(room)) {
+    emitWebhook(room, "room.emptied");
+    scheduleRoomCleanup(roomId);
+  }
+}
+
+// Work out who is joining from the credentials they present. A valid host
+// key or host token grants the host role, and a token can also fix the
+// display name. Returns { role, username } or { code, message } on failure.
+function authenticateJoin(room, { hostKey, joinToken }) {
+  if (hostKey) {
+    if (!verifyHostKey(hostKey, room.hostKeyHash)) {
+      return {
+        code: "INVALID_HOST_KEY",
+        message: "Host key is not valid for this room",
+      };
     }
+    return { role: "host" };
+  }
 
-    if (message.chatMode === "private") {
-      return (
-        message.senderId === participantId ||
-        message.recipientId === participantId ||
-        (message.toHost && isHost) ||
-        isHost
-      );
+  if (joinToken) {
+    let claims;
+    try {
+      claims = verifyJoinToken(joinToken, JOIN_TOKEN_SECRET);
+    } catch (err) {
+      return { code: err.code, message: err.message };
     }
 
-    if (message.chatMode === "host-only") {
-      return isHost;
+    if (claims.roomId !== room.id) {
+      return {
+        code: "INVALID_TOKEN",
+        message: "Join token was issued for a different room",
+      };
     }
+    // "participant" tokens predate roles and mean a regular attendee
+    const role = claims.role === "participant" ? "attendee" : claims.role;
+    return {
+      role,
+      username: claims.username,
+      turnTtlSeconds: claims.turnTtlSeconds,
+    };
+  }
 
-    return false;
+  if (room.requireAuth) {
+    return {
+      code: "AUTH_REQUIRED",
+      message: "This room requires a host key or join token",
+    };
   }
 
-  // NEW: Handle host master controls settings
-  socket.on("update-host-master-controls", ({ roomId, settings }) => {
-    if (!rooms[roomId]) {
-      return;
-    }
+  return { role: null };
+}
+
+// Client address, honouring X-Forwarded-For only behind a trusted proxy
+function getClientIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+// Apply the room's lock and passcode to a join that passed authentication.
+// Host credentials get past both, and a join token stands in for the
+// passcode since it was issued by the host. Returns null when the join may
+// go ahead, otherwise { code, message } for room-error.
+function checkRoomEntry(socket, room, access, passcode) {
+  if (access.role === "host") return null;
+
+  if (room.locked) {
+    return { code: "ROOM_LOCKED", message: "This room is locked" };
+  }
 
-    const participant = rooms[roomId].participants[socket.id];
-    const isHost = participant && participant.id === rooms[roomId].hostId;
+  if (!room.passcodeHash || access.role) return null;
 
-    // Only host can update master controls
-    if (!isHost) {
-      socket.emit("chat-error", {
-        message: "Only host can update master controls",
-      });
-      return;
-    }
+  const limiterKeys = [
+    `${room.id}:ip:${getClientIp(socket)}`,
+    `${room.id}:socket:${socket.id}`,
+  ];
+  const retryAfterMs = Math.max(
+    ...limiterKeys.map((key) => passcodeLimiter.retryAfter(key))
+  );
 
-    // Update room master controls settings
-    rooms[roomId].hostMasterControls = {
-      ...rooms[roomId].hostMasterControls,
-      ...settings,
+  if (retryAfterMs > 0) {
+    return {
+      code: "TOO_MANY_ATTEMPTS",
+      message: "Too many wrong passcodes, try again later",
+      retryAfterMs,
     };
+  }
 
-    console.log(
-      `Host master controls updated in room ${roomId}:`,
-      rooms[roomId].hostMasterControls
-    );
+  if (!passcode) {
+    return {
+      code: "PASSCODE_REQUIRED",
+      message: "This room requires a passcode",
+    };
+  }
 
-    // Broadcast updated settings to all participants
-    io.to(roomId).emit(
-      "host-master-controls-updated",
-      rooms[roomId].hostMasterControls
+  if (!verifyPasscode(passcode, room.passcodeHash)) {
+    const attemptsRemaining = Math.min(
+      ...limiterKeys.map((key) => passcodeLimiter.recordFailure(key))
     );
+    return {
+      code: "INVALID_PASSCODE",
+      message: "Incorrect passcode",
+      attemptsRemaining,
+    };
+  }
 
-    // Send system message
-    io.to(roomId).emit("chat-system-message", {
-      id: uuidv4(),
-      message: `Host ${
-        settings.controlAllAudio ? "enabled" : "disabled"
-      } master audio control and ${
-        settings.controlAllVideo ? "enabled" : "disabled"
-      } master video control`,
-      timestamp: new Date(),
-      type: "system",
-      systemType: "host-action",
-    });
+  limiterKeys.forEach((key) => passcodeLimiter.reset(key));
+  return null;
+}
+
+function isValidPasscode(passcode) {
+  return (
+    typeof passcode === "string" &&
+    passcode.length >= 4 &&
+    passcode.length <= 64
+  );
+}
+
+// Host key from an `Authorization: Bearer` or `X-Host-Key` header
+function getHostKey(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length);
+  }
+  return req.get("x-host-key");
+}
+
+// Session tokens identify participants on REST calls. They are only read
+// from headers: in a URL they would leak, and whoever holds one can resume
+// the participant's session. Links use download tokens instead.
+function getSessionToken(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length);
+  }
+  return req.get("x-session-token");
+}
+
+// System message for each reason a meeting can be closed
+const MEETING_END_MESSAGES = {
+  ended: "The meeting has ended",
+  cancelled: "The meeting was cancelled",
+  closed: "The meeting was closed by an administrator",
+};
+
+// End the meeting for everyone in a room: participants, people waiting to
+// resume and people in the lobby are all notified and disconnected. The room
+// itself is kept so a scheduled meeting can run again under the same ID.
+async function closeRoom(room, reason) {
+  const roomId = room.id;
+  const lobbyIds = Object.keys(room.lobby);
+  // Rooms closed by an administrator are removed, so nothing comes next
+  const window = reason === "closed" ? null : getWindow(room.schedule);
+
+  const systemMessage = {
+    id: uuidv4(),
+    message: MEETING_END_MESSAGES[reason],
+    timestamp: new Date(),
+    type: "system",
+    systemType: "meeting-ended",
+  };
+  pushMessage(room, systemMessage);
+
+  Object.keys(room.disconnectedParticipants).forEach((participantId) => {
+    cancelGracePeriod(roomId, participantId);
   });
+  const wasOccupied = !isRoomEmpty(room);
+  // People waiting to resume leave too, as they would have when their grace
+  // period ran out
+  [
+    ...Object.values(room.participants),
+    ...Object.values(room.disconnectedParticipants),
+  ].forEach((participant) => {
+    recordAttendance(room, "leave", participant, { reason });
+  });
+  room.participants = {};
+  room.disconnectedParticipants = {};
+  room.sessions = {};
+  room.lobby = {};
+  room.raisedHands = [];
+  room.breakouts = null;
+  room.pendingMessages = [];
+  room.hostId = null;
+  clearBreakoutTimer(roomId);
+
+  await roomStore.saveRoom(room);
+
+  console.log(`Room ${roomId} closed (${reason})`);
+
+  if (wasOccupied) {
+    emitWebhook(room, "room.emptied", { reason });
+  }
 
-  // UPDATED: Handle user muting/unmuting audio with host master control
-  socket.on("toggle-audio", ({ roomId, peerId, enabled }) => {
-    console.log(`Audio toggle: ${socket.id} - ${enabled}`);
+  const notice = {
+    roomId,
+    reason,
+    endedAt: new Date(),
+    nextStartTime: window ? new Date(window.start) : null,
+  };
 
-    if (!rooms[roomId] || !rooms[roomId].participants[socket.id]) {
-      return;
+  io.to(roomId).emit("chat-system-message", systemMessage);
+  io.to(roomId).emit("meeting-ended", notice);
+  lobbyIds.forEach((lobbyId) => io.to(lobbyId).emit("meeting-ended", notice));
+
+  io.in(roomId).disconnectSockets(true);
+  lobbyIds.forEach((lobbyId) => io.in(lobbyId).disconnectSockets(true));
+}
+
+// Room timers are kept by the worker that last set them. Clearing them
+// also tells the other workers to drop theirs, so each timer fires once.
+function clearScheduleTimers(roomId, fromWorker = false) {
+  (scheduleTimers.get(roomId) || []).forEach(clearTimeout);
+  scheduleTimers.delete(roomId);
+  if (clustered && !fromWorker) {
+    io.serverSideEmit("clear-room-timers", { roomId, kind: "schedule" });
+  }
+}
+
+// Set the timers that drive a scheduled room: wake up when the next
+// occurrence starts, then warn participants before it ends and close it at
+// the end. Called again after every occurrence and whenever the schedule
+// changes.
+async function armSchedule(roomId) {
+  clearScheduleTimers(roomId);
+
+  const room = await roomStore.getRoom(roomId);
+  if (!room || !room.schedule) return;
+
+  const window = getWindow(room.schedule);
+  if (!window) {
+    if (isRoomEmpty(room)) scheduleRoomCleanup(roomId);
+    return;
+  }
+
+  const now = Date.now();
+  const timers = [];
+  const runAt = (time, task) => {
+    const delay = Math.min(Math.max(time - now, 0), MAX_TIMER_DELAY_MS);
+    timers.push(
+      setTimeout(() => {
+        roomStore.withLock(roomId, task).catch((err) => {
+          console.error(`Schedule task for ${roomId} failed: ${err.message}`);
+        });
+      }, delay)
+    );
+  };
+
+  if (now < window.start) {
+    runAt(window.start, () => armSchedule(roomId));
+  } else {
+    const warnAt = window.end - room.schedule.warningMinutes * 60 * 1000;
+    if (room.schedule.warningMinutes > 0 && now < warnAt) {
+      runAt(warnAt, () => warnMeetingEnding(roomId, window.end));
     }
+    runAt(window.end, () => endOccurrence(roomId));
+  }
 
-    const participant = rooms[roomId].participants[socket.id];
-    const isHost = participant && participant.id === rooms[roomId].hostId;
-    const hostMasterControls = rooms[roomId].hostMasterControls;
+  scheduleTimers.set(roomId, timers);
+}
 
-    // Update the participant's own state
-    rooms[roomId].participants[socket.id].audioEnabled = enabled;
+async function warnMeetingEnding(roomId, endTime) {
+  const room = await roomStore.getRoom(roomId);
+  if (!room) return;
 
-    // If this is the host and master audio control is enabled
-    if (isHost && hostMasterControls.controlAllAudio) {
-      console.log(`Host is toggling audio for all participants: ${enabled}`);
+  const remainingMs = endTime - Date.now();
+  const minutes = Math.max(Math.round(remainingMs / 60000), 1);
 
-      // Apply to all other participants
-      Object.entries(rooms[roomId].participants).forEach(
-        ([participantId, p]) => {
-          if (participantId !== socket.id) {
-            // Don't affect the host themselves
-            // Update state
-            rooms[roomId].participants[participantId].audioEnabled = enabled;
-
-            // Send force control to each participant
-            io.to(participantId).emit("host-master-audio-control", {
-              enabled,
-              forced: true,
-              hostUsername: participant.username,
-            });
-          }
-        }
-      );
+  const systemMessage = {
+    id: uuidv4(),
+    message: `This meeting will end in ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    }`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "meeting-ending",
+  };
 
-      // Notify all participants about the global change
-      io.to(roomId).emit("user-toggle-audio", {
-        participantId: socket.id,
-        peerId,
-        enabled,
-        isHostMasterControl: true,
-      });
+  pushMessage(room, systemMessage);
+  await roomStore.saveRoom(room);
 
-      // Send system message
-      io.to(roomId).emit("chat-system-message", {
-        id: uuidv4(),
-        message: `Host ${enabled ? "unmuted" : "muted"} everyone's microphone`,
-        timestamp: new Date(),
-        type: "system",
-        systemType: "host-action",
-      });
-    } else {
-      // Normal participant audio toggle or host with master control disabled
-      socket.to(roomId).emit("user-toggle-audio", {
-        participantId: socket.id,
-        peerId,
-        enabled,
-        isHostMasterControl: false,
-      });
-    }
+  io.to(roomId).emit("chat-system-message", systemMessage);
+  io.to(roomId).emit("meeting-ending-soon", {
+    roomId,
+    endTime: new Date(endTime),
+    remainingMs,
   });
+}
 
-  // UPDATED: Handle user muting/unmuting video with host master control
-  socket.on("toggle-video", ({ roomId, peerId, enabled }) => {
-    console.log(`Video toggle: ${socket.id} - ${enabled}`);
+async function endOccurrence(roomId) {
+  const room = await roomStore.getRoom(roomId);
+  if (!room) return;
 
-    if (!rooms[roomId] || !rooms[roomId].participants[socket.id]) {
-      return;
-    }
+  await closeRoom(room, "ended");
+  await armSchedule(roomId);
+}
 
-    const participant = rooms[roomId].participants[socket.id];
-    const isHost = participant && participant.id === rooms[roomId].hostId;
-    const hostMasterControls = rooms[roomId].hostMasterControls;
+// Scheduled rooms only accept joins while an occurrence is running. Hosts
+// may come in early to get ready. Returns null or { code, message }.
+function checkMeetingWindow(room, access) {
+  if (!room.schedule) return null;
 
-    // Update the participant's own state
-    rooms[roomId].participants[socket.id].videoEnabled = enabled;
+  if (room.schedule.cancelled) {
+    return {
+      code: "MEETING_CANCELLED",
+      message: "This meeting was cancelled",
+    };
+  }
 
-    // If this is the host and master video control is enabled
-    if (isHost && hostMasterControls.controlAllVideo) {
-      console.log(`Host is toggling video for all participants: ${enabled}`);
+  const window = getWindow(room.schedule);
+  if (!window) {
+    return { code: "MEETING_ENDED", message: "This meeting has ended" };
+  }
 
-      // Apply to all other participants
-      Object.entries(rooms[roomId].participants).forEach(
-        ([participantId, p]) => {
-          if (participantId !== socket.id) {
-            // Don't affect the host themselves
-            // Update state
-            rooms[roomId].participants[participantId].videoEnabled = enabled;
-
-            // Send force control to each participant
-            io.to(participantId).emit("host-master-video-control", {
-              enabled,
-              forced: true,
-              hostUsername: participant.username,
-            });
-          }
-        }
-      );
+  if (Date.now() < window.start && access.role !== "host") {
+    return {
+      code: "MEETING_NOT_STARTED",
+      message: "This meeting has not started yet",
+      startTime: new Date(window.start),
+    };
+  }
 
-      // Notify all participants about the global change
-      io.to(roomId).emit("user-toggle-video", {
-        participantId: socket.id,
-        peerId,
-        enabled,
-        isHostMasterControl: true,
-      });
+  return null;
+}
 
-      // Send system message
-      io.to(roomId).emit("chat-system-message", {
-        id: uuidv4(),
-        message: `Host ${enabled ? "enabled" : "disabled"} everyone's camera`,
-        timestamp: new Date(),
-        type: "system",
-        systemType: "host-action",
-      });
-    } else {
-      // Normal participant video toggle or host with master control disabled
-      socket.to(roomId).emit("user-toggle-video", {
-        participantId: socket.id,
-        peerId,
-        enabled,
-        isHostMasterControl: false,
-      });
+// Send an event to every connected participant whose role allows an action
+function emitToPermitted(room, action, event, payload) {
+  Object.values(room.participants).forEach((participant) => {
+    if (roleCan(participant.role, action)) {
+      io.to(participant.id).emit(event, payload);
     }
   });
+}
 
-  // Individual host control for audio (existing functionality)
-  socket.on(
-    "host-control-audio",
-    ({ roomId, targetPeerId, action, forced }) => {
-      const room = rooms[roomId];
-      if (!room) return;
+function announceRoleChange(room, participant) {
+  io.to(room.id).emit("participant-role-updated", {
+    participantId: participant.id,
+    username: participant.username,
+    role: participant.role,
+  });
+}
 
-      const hostParticipant = room.participants[socket.id];
+// Take a participant out of the raise-hand queue. Returns whether their hand
+// was up.
+function removeRaisedHand(room, participantId) {
+  const index = room.raisedHands.findIndex(
+    (hand) => hand.participantId === participantId
+  );
+  if (index === -1) return false;
+
+  room.raisedHands.splice(index, 1);
+  return true;
+}
+
+function sendHandQueue(room) {
+  io.to(room.id).emit("hand-queue-updated", { queue: room.raisedHands });
+}
+
+// Ask a participant to turn their microphone back on. They stay muted until
+// they accept.
+function requestUnmute(room, target) {
+  io.to(target.id).emit("host-unmuted-audio");
+
+  io.to(room.id).emit("chat-system-message", {
+    id: uuidv4(),
+    message: `Host requested ${target.username} to unmute`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "host-request",
+  });
+}
+
+// Where a participant's chat and typing events go: their breakout room, or
+// the main room minus everyone who is away in a breakout. Pass a socket as
+// `from` to leave the sender out.
+function conversationTarget(room, participant, from = io) {
+  if (participant.breakoutId) {
+    return from.to(breakoutChannel(room.id, participant.breakoutId));
+  }
 
-      if (!hostParticipant || !hostParticipant.isHost) {
-        socket.emit("chat-error", {
-          message: "Only hosts can control other participants",
-        });
-        return;
-      }
+  const away = room.breakouts
+    ? room.breakouts.rooms.map((breakout) =>
+        breakoutChannel(room.id, breakout.id)
+      )
+    : [];
+  return from.to(room.id).except(away);
+}
+
+// Move a participant's sockets between breakout channels. Everyone stays in
+// the main Socket.IO room, so room-wide events keep reaching them, and their
+// participant record, including audio/video state, is untouched.
+function moveParticipant(room, participant, breakoutId) {
+  if (participant.breakoutId) {
+    io.in(participant.id).socketsLeave(
+      breakoutChannel(room.id, participant.breakoutId)
+    );
+  }
 
-      let targetSocketId = null;
-      for (const [socketId, participant] of Object.entries(room.participants)) {
-        if (participant.peerId === targetPeerId) {
-          targetSocketId = socketId;
-          break;
-        }
-      }
+  participant.breakoutId = breakoutId;
 
-      if (!targetSocketId) {
-        socket.emit("chat-error", { message: "Participant not found" });
-        return;
-      }
+  if (breakoutId) {
+    io.in(participant.id).socketsJoin(breakoutChannel(room.id, breakoutId));
+  }
+}
+
+// Tell a participant which room they are now in and who is with them, so
+// the client can connect to the right peers
+function sendBreakoutAssignment(room, participant) {
+  const breakout = room.breakouts
+    ? room.breakouts.rooms.find((b) => b.id === participant.breakoutId)
+    : null;
+
+  io.to(participant.id).emit("breakout-assigned", {
+    breakoutId: breakout ? breakout.id : null,
+    name: breakout ? breakout.name : null,
+    endsAt: room.breakouts ? room.breakouts.endsAt : null,
+    participants: Object.values(room.participants).filter(
+      (p) =>
+        p.id !== participant.id &&
+        (p.breakoutId || null) === (participant.breakoutId || null)
+    ),
+  });
+}
 
-      if (action === "mute") {
-        room.participants[targetSocketId].audioEnabled = false;
+function sendModerationQueue(room) {
+  emitToPermitted(room, "moderate-chat", "moderation-queue-updated", {
+    pending: room.pendingMessages,
+  });
+}
 
-        io.to(targetSocketId).emit("host-muted-audio", { forced });
+function sendBreakoutLayout(room) {
+  io.to(room.id).emit("breakouts-updated", describeBreakouts(room));
+}
 
-        io.to(roomId).emit("user-toggle-audio", {
-          participantId: targetSocketId,
-          peerId: targetPeerId,
-          enabled: false,
+function clearBreakoutTimer(roomId, fromWorker = false) {
+  clearTimeout(breakoutTimers.get(roomId));
+  breakoutTimers.delete(roomId);
+  if (clustered && !fromWorker) {
+    io.serverSideEmit("clear-room-timers", { roomId, kind: "breakout" });
+  }
+}
+
+// Call everyone back automatically when the countdown runs out
+function armBreakoutTimer(roomId, endsAt) {
+  clearBreakoutTimer(roomId);
+
+  const delay = Math.min(Math.max(endsAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+  breakoutTimers.set(
+    roomId,
+    setTimeout(() => {
+      breakoutTimers.delete(roomId);
+      roomStore
+        .withLock(roomId, async () => {
+          const room = await roomStore.getRoom(roomId);
+          if (room && room.breakouts) {
+            await closeBreakouts(room);
+          }
+        })
+        .catch((err) => {
+          console.error(
+            `Closing breakouts in ${roomId} failed: ${err.message}`
+          );
         });
-
-        io.to(roomId).emit("chat-system-message", {
+    }, delay)
+  );
+}
+
+// Bring everyone back to the main room
+async function closeBreakouts(room) {
+  const moved = Object.values({
+    ...room.participants,
+    ...room.disconnectedParticipants,
+  }).filter((participant) => participant.breakoutId);
+
+  moved.forEach((participant) => moveParticipant(room, participant, null));
+  room.breakouts = null;
+  clearBreakoutTimer(room.id);
+
+  const systemMessage = {
+    id: uuidv4(),
+    message: "Breakout rooms have closed, everyone is back in the main room",
+    timestamp: new Date(),
+    type: "system",
+    systemType: "breakouts-closed",
+  };
+  pushMessage(room, systemMessage);
+
+  await roomStore.saveRoom(room);
+
+  io.to(room.id).emit("chat-system-message", systemMessage);
+  io.to(room.id).emit("breakouts-closed", { roomId: room.id });
+  moved
+    .filter((participant) => room.participants[participant.id])
+    .forEach((participant) => sendBreakoutAssignment(room, participant));
+
+  console.log(`Breakouts closed in room ${room.id}`);
+}
+
+// Take a participant out of the meeting for good and drop their connection.
+// `removedBy` is the participant ID of whoever removed them, or "admin".
+// The remover's own socket, if any, is passed as `from` so it is not told.
+async function removeParticipant(room, participant, removedBy, from = io) {
+  const roomId = room.id;
+  const participantId = participant.id;
+
+  const systemMessage = {
+    id: uuidv4(),
+    message: `${participant.username} was removed from the meeting`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "remove",
+  };
+
+  pushMessage(room, systemMessage);
+  delete room.participants[participantId];
+  delete room.disconnectedParticipants[participantId];
+  cancelGracePeriod(roomId, participantId);
+  revokeSessions(room, participantId);
+  recordAttendance(room, "removed", participant, { removedBy });
+  emitWebhook(room, "participant.removed", {
+    participantId,
+    username: participant.username,
+    removedBy,
+  });
+  const handLowered = removeRaisedHand(room, participantId);
+  await roomStore.saveRoom(room);
+
+  io.to(roomId).emit("chat-system-message", systemMessage);
+
+  io.to(participantId).emit("you-were-removed");
+
+  from.to(roomId).emit("user-removed", {
+    participantId,
+    peerId: participant.peerId,
+  });
+
+  if (handLowered) {
+    sendHandQueue(room);
+  }
+
+  if (participant.breakoutId && room.breakouts) {
+    sendBreakoutLayout(room);
+  }
+
+  io.in(participantId).disconnectSockets(true);
+
+  if (isRoomEmpty(room)) {
+    emitWebhook(room, "room.emptied");
+    scheduleRoomCleanup(roomId);
+  }
+}
+
+// Make a connected participant the host. Whoever held the role before is
+// demoted to attendee.
+async function transferHost(room, newHost) {
+  const roomId = room.id;
+  const previousHostId = room.hostId;
+  const previousHost =
+    previousHostId &&
+    (room.participants[previousHostId] ||
+      room.disconnectedParticipants[previousHostId]);
+
+  setRole(room, newHost, "host");
+  noteHostChange(room, newHost, previousHostId);
+
+  const systemMessage = {
+    id: uuidv4(),
+    message: `${newHost.username} is now the host`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "host-change",
+  };
+
+  pushMessage(room, systemMessage);
+  await roomStore.saveRoom(room);
+
+  if (previousHost) {
+    io.to(previousHost.id).emit("host-assigned", { isHost: false });
+  }
+  io.to(newHost.id).emit("host-assigned", { isHost: true });
+
+  io.to(roomId).emit("chat-system-message", systemMessage);
+
+  io.to(roomId).emit("host-privileges-updated", {
+    newHostId: newHost.id,
+    newHostUsername: newHost.username,
+  });
+  if (previousHost) {
+    announceRoleChange(room, previousHost);
+  }
+  announceRoleChange(room, newHost);
+
+  console.log(
+    `Host transferred from ${
+      previousHost ? previousHost.username : "nobody"
+    } to ${newHost.username} in room ${roomId}`
+  );
+}
+
+// Merge new chat settings into the room and tell everyone. `updatedBy` is a
+// participant ID or "admin". Returns an error message, or null once the
+// settings are applied.
+async function updateChatSettings(room, settings, updatedBy) {
+  const settingsError =
+    validateFilterSettings(settings || {}) ||
+    validateRetention({ ...room.chatSettings, ...settings }, MAX_HISTORY_LIMIT);
+  if (settingsError) return settingsError;
+
+  room.chatSettings = { ...room.chatSettings, ...settings };
+  trimHistory(room);
+  await roomStore.saveRoom(room);
+
+  emitWebhook(room, "chat-settings.updated", {
+    chatSettings: room.chatSettings,
+    updatedBy,
+  });
+
+  console.log(`Chat settings updated in room ${room.id}:`, room.chatSettings);
+
+  io.to(room.id).emit("chat-settings-updated", room.chatSettings);
+  return null;
+}
+
+// Merge new master controls into the room and announce them. `actor` names
+// who made the change in the system message.
+async function updateMasterControls(room, settings, actor) {
+  room.hostMasterControls = {
+    ...room.hostMasterControls,
+    ...settings,
+  };
+  await roomStore.saveRoom(room);
+
+  console.log(
+    `Host master controls updated in room ${room.id}:`,
+    room.hostMasterControls
+  );
+
+  // Broadcast updated settings to all participants
+  io.to(room.id).emit("host-master-controls-updated", room.hostMasterControls);
+
+  // Send system message
+  io.to(room.id).emit("chat-system-message", {
+    id: uuidv4(),
+    message: `${actor} ${
+      room.hostMasterControls.controlAllAudio ? "enabled" : "disabled"
+    } master audio control and ${
+      room.hostMasterControls.controlAllVideo ? "enabled" : "disabled"
+    } master video control`,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "host-action",
+  });
+}
+
+// Route middleware: hold the lock of the room named in the URL until the
+// response has been sent, so changes made by the request cannot race socket
+// handlers for the same room
+function lockRoom(req, res, next) {
+  roomStore
+    .withLock(
+      req.params.roomId,
+      () =>
+        new Promise((resolve) => {
+          res.once("close", resolve);
+          next();
+        })
+    )
+    .catch(next);
+}
+
+// Send a REST error. The body has the same { code, message } shape, plus
+// details such as the field at fault, as errors on the socket; error
+// repeats the message for clients written against the older bodies.
+function restError(res, status, error) {
+  return res.status(status).json({ ...error, error: error.message });
+}
+
+// Route middleware: reject a JSON body that does not match one of the
+// schemas in lib/schemas. A request without a body counts as an empty one.
+function validateBody(schema) {
+  return (req, res, next) => {
+    const error = validate(schema, req.body);
+    if (error) {
+      return restError(res, 400, error);
+    }
+
+    req.body = req.body || {};
+    next();
+  };
+}
+
+// Route middleware: load the room named in the URL into req.room and check
+// that the caller holds its host key
+async function requireHostKey(req, res, next) {
+  const room = await roomStore.getRoom(req.params.roomId);
+
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
+  }
+
+  if (!verifyHostKey(getHostKey(req), room.hostKeyHash)) {
+    return restError(res, 401, {
+      code: "INVALID_HOST_KEY",
+      message: "Invalid host key",
+    });
+  }
+
+  req.room = room;
+  next();
+}
+
+// Route middleware: as requireHostKey, but the admin key will do instead of
+// the room's host key
+async function requireHostOrAdminKey(req, res, next) {
+  if (!hasAdminKey(req)) return requireHostKey(req, res, next);
+
+  const room = await roomStore.getRoom(req.params.roomId);
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
+  }
+
+  req.room = room;
+  next();
+}
+
+function getAdminKey(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length);
+  }
+  return req.get("x-admin-key");
+}
+
+function hasAdminKey(req) {
+  return (
+    Boolean(ADMIN_API_KEY_HASH) &&
+    verifyHostKey(getAdminKey(req), ADMIN_API_KEY_HASH)
+  );
+}
+
+// Route middleware for server-wide endpoints. The key is sent as a bearer
+// token or in X-Admin-Key.
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_API_KEY_HASH) {
+    return restError(res, 404, {
+      code: "ADMIN_API_DISABLED",
+      message: "Admin API is not enabled",
+    });
+  }
+
+  if (!hasAdminKey(req)) {
+    return restError(res, 401, {
+      code: "INVALID_ADMIN_KEY",
+      message: "Invalid admin key",
+    });
+  }
+
+  next();
+}
+
+// Route middleware: load the room named in the URL into req.room and the
+// connected participant whose session token was presented into
+// req.participant
+async function requireParticipant(req, res, next) {
+  const room = await roomStore.getRoom(req.params.roomId);
+
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
+  }
+
+  const token = getSessionToken(req);
+  const participantId = token && room.sessions[token];
+  const participant = participantId && room.participants[participantId];
+
+  if (!participant) {
+    return restError(res, 401, {
+      code: "SESSION_REQUIRED",
+      message: "A session token for a current participant is required",
+    });
+  }
+
+  req.room = room;
+  req.participant = participant;
+  next();
+}
+
+// Whether a participant may download an attachment: they uploaded it, or it
+// is on a message they can see
+function canAccessAttachment(room, participantId, attachmentId) {
+  const attachment = room.attachments[attachmentId];
+  if (!attachment) return false;
+  if (attachment.uploadedBy === participantId) return true;
+
+  const referencesAttachment = (message) =>
+    !message.deleted &&
+    (message.attachments || []).some((a) => a.id === attachmentId);
+
+  return (
+    room.messages.some(
+      (message) =>
+        referencesAttachment(message) &&
+        shouldReceiveMessage(message, participantId, room)
+    ) ||
+    (can(room, participantId, "moderate-chat") &&
+      room.pendingMessages.some(referencesAttachment))
+  );
+}
+
+// ICE servers for a participant, with TURN credentials named after them
+// that last as long as their join token or room says
+function iceServersFor(room, participant) {
+  const ttlSeconds = Math.min(
+    participant.turnTtlSeconds || room.turnTtlSeconds || TURN_TTL_SECONDS,
+    TURN_MAX_TTL_SECONDS
+  );
+  return buildIceServers(iceConfig, participant.id, ttlSeconds);
+}
+
+// Participants cannot keep their sockets across a restart, so anyone who was
+// in a reloaded room is parked as disconnected and gets a fresh grace period
+// to resume their session.
+async function restoreRooms() {
+  const restoredRooms = await roomStore.listRooms();
+
+  for (const room of restoredRooms) {
+    room.disconnectedParticipants = room.disconnectedParticipants || {};
+    room.sessions = room.sessions || {};
+    // Lobby entries belong to sockets that did not survive the restart
+    room.lobby = {};
+    room.raisedHands = room.raisedHands || [];
+    room.polls = room.polls || [];
+    room.breakouts = room.breakouts || null;
+    room.pendingMessages = room.pendingMessages || [];
+    room.attachments = room.attachments || {};
+    room.attendance = room.attendance || [];
+    room.webhooks = room.webhooks || [];
+    room.turnTtlSeconds = room.turnTtlSeconds || null;
+    room.chatSettings = {
+      filterMode: "off",
+      blockedWords: [],
+      blockedPatterns: [],
+      historyLimit: DEFAULT_HISTORY_LIMIT,
+      replayLimit: DEFAULT_REPLAY_LIMIT,
+      ...room.chatSettings,
+    };
+
+    // Rooms saved before roles existed only know about the host
+    [
+      ...Object.values(room.participants),
+      ...Object.values(room.disconnectedParticipants),
+    ].forEach((participant) => {
+      if (!participant.role) {
+        participant.role = participant.id === room.hostId ? "host" : "attendee";
+      }
+    });
+
+    Object.values(room.participants).forEach((participant) => {
+      room.disconnectedParticipants[participant.id] = {
+        ...participant,
+        disconnectedAt: new Date(),
+      };
+      recordAttendance(room, "disconnect", participant, {
+        reason: "server-restart",
+      });
+    });
+    room.participants = {};
+
+    if (room.schedule) {
+      await armSchedule(room.id);
+    }
+
+    if (room.breakouts && room.breakouts.endsAt) {
+      armBreakoutTimer(room.id, Date.parse(room.breakouts.endsAt));
+    }
+
+    // Saved even when nobody is waiting, since stores other than memory
+    // hand out copies and the defaults filled in above would be lost
+    await roomStore.saveRoom(room);
+
+    const awaitingRejoin = Object.keys(room.disconnectedParticipants);
+    if (awaitingRejoin.length === 0) continue;
+
+    awaitingRejoin.forEach((participantId) => {
+      startGracePeriod(room.id, participantId);
+    });
+
+    console.log(
+      `Restored room ${room.id} with ${awaitingRejoin.length} participants awaiting rejoin`
+    );
+  }
+}
+
+// API endpoint to create a new room
+app.post(
+  "/api/room",
+  validateBody(restSchemas.createRoom),
+  async (req, res) => {
+    const {
+      requireAuth = false,
+      lobbyEnabled = false,
+      locked = false,
+      passcode,
+      schedule,
+      historyLimit = DEFAULT_HISTORY_LIMIT,
+      replayLimit = Math.min(DEFAULT_REPLAY_LIMIT, historyLimit),
+      webhooks = [],
+      turnTtlSeconds = null,
+    } = req.body;
+
+    if (passcode !== undefined && !isValidPasscode(passcode)) {
+      return restError(res, 400, {
+        code: "INVALID_FIELD",
+        message: "passcode must be a string of 4 to 64 characters",
+        field: "passcode",
+      });
+    }
+
+    const retentionError = validateRetention(
+      { historyLimit, replayLimit },
+      MAX_HISTORY_LIMIT
+    );
+    if (retentionError) {
+      return restError(res, 400, {
+        code: "INVALID_SETTINGS",
+        message: retentionError,
+      });
+    }
+
+    const turnTtlError = validateTurnTtl(turnTtlSeconds, TURN_MAX_TTL_SECONDS);
+    if (turnTtlError) {
+      return restError(res, 400, {
+        code: "INVALID_FIELD",
+        message: turnTtlError,
+        field: "turnTtlSeconds",
+      });
+    }
+
+    // Anyone may create a room, so webhooks can only be registered with it
+    // by an admin. Hosts add them afterwards with the room's host key.
+    if (webhooks.length > 0 && !hasAdminKey(req)) {
+      return restError(res, 401, {
+        code: "INVALID_ADMIN_KEY",
+        message: "Registering webhooks with a new room requires the admin key",
+        field: "webhooks",
+      });
+    }
+
+    let roomWebhooks;
+    try {
+      if (!Array.isArray(webhooks)) {
+        throw new Error("webhooks must be an array");
+      }
+      roomWebhooks = webhooks.map((webhook) =>
+        createSubscription(webhook, webhookOptions)
+      );
+    } catch (err) {
+      return restError(res, 400, {
+        code: "INVALID_WEBHOOK",
+        message: err.message,
+      });
+    }
+
+    let roomSchedule = null;
+    if (schedule !== undefined && schedule !== null) {
+      try {
+        roomSchedule = normalizeSchedule(schedule);
+      } catch (err) {
+        return restError(res, 400, {
+          code: "INVALID_SCHEDULE",
+          message: err.message,
+        });
+      }
+    }
+
+    const roomId = uuidv4();
+    const hostKey = createHostKey();
+
+    await roomStore.saveRoom({
+      id: roomId,
+      participants: {},
+      disconnectedParticipants: {}, // Participants awaiting rejoin
+      sessions: {}, // Session token -> participant ID, for resuming after a drop
+      messages: [], // Store chat messages
+      hostId: null, // Track room host
+      hostKeyHash: hashHostKey(hostKey), // Joining with the host key grants host
+      requireAuth: Boolean(requireAuth), // Reject joins without a key or token
+      lobbyEnabled: Boolean(lobbyEnabled), // Hold joiners until the host admits them
+      lobby: {}, // Socket ID -> join request waiting for the host
+      locked: Boolean(locked), // Only the host may join a locked room
+      passcodeHash: passcode ? hashPasscode(passcode) : null,
+      schedule: roomSchedule, // Start time, duration and recurrence, if any
+      raisedHands: [], // Participants waiting to speak, oldest first
+      polls: [], // Polls and quizzes with their votes
+      breakouts: null, // { startedAt, endsAt, rooms } while breakouts are open
+      pendingMessages: [], // Chat held for approval while moderateMessages is on
+      attachments: {}, // Attachment ID -> uploaded file metadata
+      attendance: [], // Join, leave and host change log for reporting
+      webhooks: roomWebhooks, // Webhook subscriptions for this room only
+      turnTtlSeconds, // Lifetime of TURN credentials, when not the default
+      chatSettings: {
+        allowParticipantChat: true,
+        allowPrivateMessages: true,
+        moderateMessages: false,
+        filterMode: "off", // "off", "mask" or "block" matches below
+        blockedWords: [],
+        blockedPatterns: [], // RE2 regular expression sources
+        historyLimit, // Messages kept in history
+        replayLimit, // Messages replayed to someone joining
+      },
+      hostMasterControls: {
+        controlAllAudio: true, // When host toggles audio, it affects all participants
+        controlAllVideo: true, // When host toggles video, it affects all participants
+      },
+      createdAt: new Date(),
+    });
+    if (roomSchedule) {
+      await armSchedule(roomId);
+    }
+
+    emitWebhook(await roomStore.getRoom(roomId), "room.created");
+
+    console.log(`Created room: ${roomId}`);
+    res.json({
+      roomId,
+      hostKey,
+      schedule: roomSchedule ? describeSchedule(roomSchedule) : null,
+      // Secrets are only shown here, when the subscriptions are created
+      webhooks: roomWebhooks,
+    });
+  }
+);
+
+// List scheduled meetings, optionally filtered by ?status=. The list names
+// every scheduled room, so it needs the admin key.
+app.get("/api/meetings", requireAdminKey, async (req, res) => {
+  const { status } = req.query;
+
+  const meetings = (await roomStore.listRooms())
+    .filter((room) => room.schedule)
+    .map((room) => ({
+      roomId: room.id,
+      participantCount: Object.keys(room.participants).length,
+      ...describeSchedule(room.schedule),
+    }))
+    .filter((meeting) => !status || meeting.status === status)
+    .sort((a, b) => a.nextStartTime - b.nextStartTime);
+
+  res.json({ meetings });
+});
+
+// Get a scheduled meeting, with the room's host key or the admin key
+app.get("/api/meetings/:roomId", requireHostOrAdminKey, (req, res) => {
+  const room = req.room;
+
+  if (!room.schedule) {
+    return restError(res, 404, {
+      code: "MEETING_NOT_FOUND",
+      message: "Meeting not found",
+    });
+  }
+
+  res.json({ roomId: room.id, ...describeSchedule(room.schedule) });
+});
+
+// Update a scheduled meeting's time, duration, recurrence or title
+app.patch(
+  "/api/meetings/:roomId",
+  lockRoom,
+  requireHostKey,
+  validateBody(restSchemas.updateMeeting),
+  async (req, res) => {
+    const room = req.room;
+
+    if (!room.schedule) {
+      return restError(res, 404, {
+        code: "MEETING_NOT_FOUND",
+        message: "Meeting not found",
+      });
+    }
+
+    if (room.schedule.cancelled) {
+      return restError(res, 409, {
+        code: "MEETING_CANCELLED",
+        message: "Meeting was cancelled",
+      });
+    }
+
+    try {
+      room.schedule = normalizeSchedule(req.body, room.schedule);
+    } catch (err) {
+      return restError(res, 400, {
+        code: "INVALID_SCHEDULE",
+        message: err.message,
+      });
+    }
+
+    await roomStore.saveRoom(room);
+    await armSchedule(room.id);
+
+    const details = describeSchedule(room.schedule);
+    io.to(room.id).emit("meeting-schedule-updated", details);
+
+    console.log(`Meeting ${room.id} rescheduled to ${details.nextStartTime}`);
+    res.json({ roomId: room.id, ...details });
+  }
+);
+
+// Cancel a scheduled meeting, ending it for anyone already in it
+app.delete(
+  "/api/meetings/:roomId",
+  lockRoom,
+  requireHostKey,
+  async (req, res) => {
+    const room = req.room;
+
+    if (!room.schedule) {
+      return restError(res, 404, {
+        code: "MEETING_NOT_FOUND",
+        message: "Meeting not found",
+      });
+    }
+
+    room.schedule.cancelled = true;
+    clearScheduleTimers(room.id);
+    await closeRoom(room, "cancelled");
+    scheduleRoomCleanup(room.id);
+
+    console.log(`Meeting ${room.id} cancelled`);
+    res.json({ roomId: room.id, ...describeSchedule(room.schedule) });
+  }
+);
+
+// Issue a signed join token for a room. Requires the room's host key.
+app.post(
+  "/api/room/:roomId/join-tokens",
+  requireHostKey,
+  validateBody(restSchemas.createJoinToken),
+  (req, res) => {
+    const roomId = req.room.id;
+    const {
+      role = "attendee",
+      username,
+      expiresIn = JOIN_TOKEN_DEFAULT_TTL_SECONDS,
+      turnTtlSeconds,
+    } = req.body;
+
+    const ttlSeconds = expiresIn;
+    if (ttlSeconds <= 0 || ttlSeconds > JOIN_TOKEN_MAX_TTL_SECONDS) {
+      return restError(res, 400, {
+        code: "INVALID_FIELD",
+        message: `expiresIn must be between 1 and ${JOIN_TOKEN_MAX_TTL_SECONDS} seconds`,
+        field: "expiresIn",
+      });
+    }
+
+    const turnTtlError = validateTurnTtl(turnTtlSeconds, TURN_MAX_TTL_SECONDS);
+    if (turnTtlError) {
+      return restError(res, 400, {
+        code: "INVALID_FIELD",
+        message: turnTtlError,
+        field: "turnTtlSeconds",
+      });
+    }
+
+    const token = signJoinToken(
+      { roomId, role, username, turnTtlSeconds },
+      JOIN_TOKEN_SECRET,
+      ttlSeconds
+    );
+
+    res.json({
+      token,
+      role,
+      username,
+      turnTtlSeconds: turnTtlSeconds || null,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    });
+  }
+);
+
+app.get("/", (req, res) => {
+  return res.send("Welcome to the Meeting Room API");
+});
+
+// Get room info
+app.get("/api/room/:roomId", async (req, res) => {
+  const { roomId } = req.params;
+  const room = await roomStore.getRoom(roomId);
+
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
+  }
+
+  res.json({
+    roomId: room.id,
+    participantCount: Object.keys(room.participants).length,
+    participants: Object.values(room.participants).map((p) => ({
+      username: p.username,
+      joinedAt: p.joinedAt,
+      isHost: p.id === room.hostId,
+      role: p.role,
+      isScreenSharing: p.isScreenSharing || false,
+      breakoutId: p.breakoutId || null,
+    })),
+    disconnectedCount: Object.keys(room.disconnectedParticipants).length,
+    messageCount: room.messages.length,
+    hostId: room.hostId,
+    breakouts: describeBreakouts(room),
+    requireAuth: room.requireAuth,
+    lobbyEnabled: room.lobbyEnabled,
+    lobbyCount: Object.keys(room.lobby).length,
+    locked: room.locked,
+    hasPasscode: Boolean(room.passcodeHash),
+    schedule: room.schedule ? describeSchedule(room.schedule) : null,
+    raisedHands: room.raisedHands,
+    chatSettings: room.chatSettings,
+    hostMasterControls: room.hostMasterControls,
+  });
+});
+
+// Helper function to determine if user should receive a message
+function shouldReceiveMessage(message, participantId, room) {
+  if (message.type === "system") return true;
+
+  if (message.chatMode === "public") {
+    // Breakout chat stays within the breakout
+    if (message.breakoutId) {
+      const participant = room.participants[participantId];
+      if (!participant || participant.breakoutId !== message.breakoutId) {
+        return false;
+      }
+    }
+
+    return (
+      room.chatSettings.allowParticipantChat ||
+      can(room, participantId, "bypass-chat-restrictions")
+    );
+  }
+
+  if (message.chatMode === "private") {
+    return (
+      message.senderId === participantId ||
+      message.recipientId === participantId ||
+      (message.toHost && participantId === room.hostId) ||
+      can(room, participantId, "view-private-messages")
+    );
+  }
+
+  if (message.chatMode === "host-only") {
+    return can(room, participantId, "view-host-messages");
+  }
+
+  return false;
+}
+
+// A stored message as clients see it: reactions are sent as counts per
+// emoji rather than lists of who reacted
+function serializeMessage(message) {
+  if (!message.reactions) return message;
+
+  const reactions = {};
+  Object.entries(message.reactions).forEach(([emoji, participantIds]) => {
+    reactions[emoji] = participantIds.length;
+  });
+  return { ...message, reactions };
+}
+
+// Send an update about a message to everyone who can see that message
+function emitToMessageAudience(room, message, event, payload) {
+  Object.keys(room.participants).forEach((participantId) => {
+    if (shouldReceiveMessage(message, participantId, room)) {
+      io.to(participantId).emit(event, payload);
+    }
+  });
+}
+
+// Send everything a participant needs to render the room after joining
+// or resuming their session
+function sendRoomBootstrap(socket, room, participant, isFirstParticipant) {
+  const isHost = participant.id === room.hostId;
+
+  // Send host status to the joining user
+  socket.emit("host-assigned", { isHost });
+
+  // Send room info and host status
+  socket.emit("room-info", {
+    roomCreatedAt: room.createdAt,
+    isFirstParticipant,
+    hostId: room.hostId,
+    hostMasterControls: room.hostMasterControls,
+    locked: room.locked,
+    hasPasscode: Boolean(room.passcodeHash),
+    schedule: room.schedule ? describeSchedule(room.schedule) : null,
+  });
+
+  // Send recent chat messages to the new user
+  const { replayLimit } = room.chatSettings;
+  const replay =
+    replayLimit > 0
+      ? queryMessages(room.messages, { limit: replayLimit }, (message) =>
+          shouldReceiveMessage(message, participant.id, room)
+        )
+      : { messages: [], hasMore: room.messages.length > 0 };
+
+  replay.messages.map(serializeMessage).forEach((message) => {
+    if (message.chatMode === "private") {
+      socket.emit("private-message", message);
+    } else if (message.chatMode === "host-only") {
+      socket.emit("host-message", message);
+    } else {
+      socket.emit("chat-message", message);
+    }
+  });
+
+  // Older messages can be fetched with get-chat-history before this ID
+  socket.emit("chat-history-replayed", {
+    count: replay.messages.length,
+    hasMore: replay.hasMore,
+    before: replay.messages.length > 0 ? replay.messages[0].id : null,
+  });
+
+  // Send chat settings to the new user
+  socket.emit("chat-settings-updated", room.chatSettings);
+
+  // Send host master controls settings
+  socket.emit("host-master-controls-updated", room.hostMasterControls);
+
+  socket.emit("hand-queue-updated", { queue: room.raisedHands });
+
+  if (room.breakouts) {
+    socket.emit("breakouts-updated", describeBreakouts(room));
+  }
+
+  if (roleCan(participant.role, "moderate-chat")) {
+    socket.emit("moderation-queue-updated", { pending: room.pendingMessages });
+  }
+
+  // Poll managers see every poll with live results. Everyone else sees open
+  // polls without results and closed polls with them.
+  const managesPolls = roleCan(participant.role, "manage-polls");
+  socket.emit("polls-state", {
+    polls: room.polls
+      .filter((poll) => managesPolls || poll.status !== "draft")
+      .map((poll) =>
+        managesPolls || poll.status === "closed"
+          ? pollWithResults(poll)
+          : publicPoll(poll)
+      ),
+    votedPollIds: room.polls
+      .filter((poll) => poll.votes[participant.id])
+      .map((poll) => poll.id),
+  });
+
+  // Whoever runs the lobby also needs to know who is waiting to be let in
+  if (roleCan(participant.role, "manage-lobby")) {
+    socket.emit("lobby-updated", {
+      enabled: room.lobbyEnabled,
+      pending: getLobbyList(room),
+    });
+  }
+
+  // Send current participants to the new user
+  const existingParticipants = {};
+  Object.entries(room.participants).forEach(([id, p]) => {
+    if (id !== participant.id) {
+      existingParticipants[id] = p;
+    }
+  });
+
+  socket.emit("room-participants", {
+    participants: existingParticipants,
+  });
+
+  console.log(
+    `Sent ${
+      Object.keys(existingParticipants).length
+    } existing participants to ${participant.username}`
+  );
+}
+
+// Reattach this socket to a participant record held by a session token.
+// Returns the session info sent to the socket.
+async function resumeSession(
+  socket,
+  room,
+  participantId,
+  peerId,
+  sessionToken
+) {
+  const participant =
+    room.participants[participantId] ||
+    room.disconnectedParticipants[participantId];
+  const previousSocketId = participant.socketId;
+  const previousPeerId = participant.peerId;
+
+  // A client replacing a connection that has not dropped yet carries on
+  // its current session
+  if (room.disconnectedParticipants[participantId]) {
+    recordAttendance(room, "rejoin", participant);
+  }
+
+  cancelGracePeriod(room.id, participantId);
+  delete room.disconnectedParticipants[participantId];
+  delete participant.disconnectedAt;
+
+  participant.socketId = socket.id;
+  participant.peerId = peerId || participant.peerId;
+  room.participants[participantId] = participant;
+
+  // Messages are addressed to the participant ID, which is no longer this
+  // socket's ID, so join a socket room under that name to keep receiving them
+  socket.join(room.id);
+  socket.join(participantId);
+  if (participant.breakoutId) {
+    socket.join(breakoutChannel(room.id, participant.breakoutId));
+  }
+  socket.data.roomId = room.id;
+  socket.data.participantId = participantId;
+
+  await roomStore.saveRoom(room);
+
+  // A stale connection may still be open if the client reconnected before
+  // the old transport timed out; its disconnect is ignored below. It may be
+  // on another worker, and this socket has just joined a room of the same
+  // name, so it is excluded by ID.
+  if (previousSocketId !== socket.id) {
+    io.in(previousSocketId).except(socket.id).disconnectSockets(true);
+  }
+
+  console.log(
+    `${participant.username} resumed their session in room ${room.id}`
+  );
+
+  const sessionInfo = {
+    participantId,
+    sessionToken,
+    role: participant.role,
+    gracePeriodMs: SESSION_GRACE_PERIOD_MS,
+    resumed: true,
+    protocolVersion: socket.data.protocolVersion,
+  };
+  socket.emit("session-info", sessionInfo);
+
+  sendRoomBootstrap(socket, room, participant, false);
+
+  socket.to(room.id).emit("user-reconnected", {
+    participantId,
+    username: participant.username,
+    peerId: participant.peerId,
+    previousPeerId,
+    isHost: participantId === room.hostId,
+    role: participant.role,
+    audioEnabled: participant.audioEnabled,
+    videoEnabled: participant.videoEnabled,
+    isScreenSharing: participant.isScreenSharing,
+  });
+
+  return sessionInfo;
+}
+
+// Add a socket to the room as a participant and send it the usual bootstrap.
+// Used both for direct joins and for people admitted from the lobby.
+// Returns the session info sent to the socket.
+async function admitToRoom(
+  socket,
+  room,
+  { username, peerId, role, turnTtlSeconds }
+) {
+  const roomId = room.id;
+
+  // Add user to socket room
+  socket.join(roomId);
+
+  // Store participant info
+  const participantId = socket.id;
+  socket.data.roomId = roomId;
+  socket.data.participantId = participantId;
+
+  // Roles come from a host key or join token. Anonymous joins to an open
+  // room are always attendees, however early they arrive.
+  const isFirstParticipant = Object.keys(room.participants).length === 0;
+  const assignedRole = role || "attendee";
+  const isHost = assignedRole === "host";
+
+  // A verified host takes the role over from whoever holds it
+  const previousHost =
+    isHost && room.hostId
+      ? room.participants[room.hostId] ||
+        room.disconnectedParticipants[room.hostId]
+      : null;
+
+  const participant = {
+    id: participantId,
+    username,
+    peerId,
+    socketId: socket.id,
+    joinedAt: new Date(),
+    audioEnabled: true,
+    videoEnabled: true,
+    role: assignedRole,
+    isHost,
+    isScreenSharing: false,
+    breakoutId: null, // Breakout room the participant is in, if any
+    turnTtlSeconds: turnTtlSeconds || null, // From the join token, if set
+  };
+  const previousHostId = room.hostId;
+  room.participants[participantId] = participant;
+  setRole(room, participant, assignedRole);
+
+  recordAttendance(room, "join", participant);
+  emitWebhook(room, "participant.joined", {
+    participantId,
+    username,
+    role: assignedRole,
+  });
+  if (isHost) {
+    noteHostChange(room, participant, previousHostId);
+  }
+
+  const newSessionToken = createSessionToken();
+  room.sessions[newSessionToken] = participantId;
+
+  let hostMessage = null;
+  if (previousHost) {
+    hostMessage = {
+      id: uuidv4(),
+      message: `${username} is now the host`,
+      timestamp: new Date(),
+      type: "system",
+      systemType: "host-change",
+    };
+    pushMessage(room, hostMessage);
+  }
+
+  await roomStore.saveRoom(room);
+
+  console.log(
+    `${username} joined room ${roomId}. Total participants: ${
+      Object.keys(room.participants).length
+    }. Host: ${isHost ? "YES" : "NO"}`
+  );
+
+  const sessionInfo = {
+    participantId,
+    sessionToken: newSessionToken,
+    role: participant.role,
+    gracePeriodMs: SESSION_GRACE_PERIOD_MS,
+    resumed: false,
+    protocolVersion: socket.data.protocolVersion,
+  };
+  socket.emit("session-info", sessionInfo);
+
+  sendRoomBootstrap(socket, room, participant, isFirstParticipant);
+
+  // Notify existing participants about the new user
+  socket.to(roomId).emit("user-joined", {
+    participantId,
+    username,
+    peerId,
+    isHost,
+    role: assignedRole,
+  });
+
+  if (previousHost) {
+    io.to(previousHost.id).emit("host-assigned", { isHost: false });
+    announceRoleChange(room, previousHost);
+    io.to(roomId).emit("chat-system-message", hostMessage);
+    io.to(roomId).emit("host-privileges-updated", {
+      newHostId: participantId,
+      newHostUsername: username,
+    });
+
+    console.log(
+      `Host privileges transferred from ${previousHost.username} to ${username}`
+    );
+  }
+
+  return sessionInfo;
+}
+
+function getLobbyList(room) {
+  return Object.values(room.lobby).map(({ id, username, requestedAt }) => ({
+    id,
+    username,
+    requestedAt,
+  }));
+}
+
+// Tell the hosts and co-hosts who is currently waiting in the lobby
+function sendLobbyUpdate(room) {
+  emitToPermitted(room, "manage-lobby", "lobby-updated", {
+    enabled: room.lobbyEnabled,
+    pending: getLobbyList(room),
+  });
+}
+
+// Hold a socket in the lobby until the host admits or denies it. Waiting
+// sockets are not in the Socket.IO room, so they see none of the meeting.
+// Returns what join-room answers with.
+async function parkInLobby(
+  socket,
+  room,
+  { username, peerId, role, turnTtlSeconds }
+) {
+  const entry = {
+    id: socket.id,
+    username,
+    peerId,
+    role,
+    turnTtlSeconds,
+    requestedAt: new Date(),
+  };
+
+  room.lobby[socket.id] = entry;
+  socket.data.roomId = room.id;
+  socket.data.inLobby = true;
+
+  await roomStore.saveRoom(room);
+
+  console.log(`${username} is waiting in the lobby of room ${room.id}`);
+
+  const waiting = {
+    roomId: room.id,
+    message: "Waiting for the host to let you in",
+  };
+  socket.emit("lobby-waiting", waiting);
+
+  emitToPermitted(room, "manage-lobby", "lobby-participant-joined", {
+    id: entry.id,
+    username: entry.username,
+    requestedAt: entry.requestedAt,
+  });
+  sendLobbyUpdate(room);
+
+  return {
+    ...waiting,
+    inLobby: true,
+    protocolVersion: socket.data.protocolVersion,
+  };
+}
+
+// Move a waiting socket from the lobby into the meeting. A socket held by
+// another worker is admitted there once this handler has released the room.
+async function admitFromLobby(room, lobbyId) {
+  const entry = room.lobby[lobbyId];
+  delete room.lobby[lobbyId];
+
+  const socket = io.sockets.sockets.get(lobbyId);
+  if (!socket) {
+    await roomStore.saveRoom(room);
+    if (clustered) {
+      io.serverSideEmit("admit-from-lobby", { roomId: room.id, entry });
+    }
+    return;
+  }
+
+  socket.data.inLobby = false;
+  console.log(`${entry.username} was admitted to room ${room.id}`);
+
+  await admitToRoom(socket, room, entry);
+}
+
+// Turn a waiting socket away and drop its connection
+function denyFromLobby(room, lobbyId, reason) {
+  const entry = room.lobby[lobbyId];
+  delete room.lobby[lobbyId];
+
+  console.log(`${entry.username} was denied entry to room ${room.id}`);
+
+  io.to(lobbyId).emit("lobby-denied", {
+    roomId: room.id,
+    reason: reason || "The host did not let you in",
+  });
+  io.in(lobbyId).disconnectSockets(true);
+}
+
+// Messages between cluster workers
+io.on("clear-room-timers", ({ roomId, kind }) => {
+  if (kind === "schedule") {
+    clearScheduleTimers(roomId, true);
+  } else {
+    clearBreakoutTimer(roomId, true);
+  }
+});
+
+io.on("admit-from-lobby", ({ roomId, entry }) => {
+  const socket = io.sockets.sockets.get(entry.id);
+  if (!socket) return;
+
+  roomStore
+    .withLock(roomId, async () => {
+      const room = await roomStore.getRoom(roomId);
+      if (!room || !socket.connected) return;
+
+      socket.data.inLobby = false;
+      console.log(`${entry.username} was admitted to room ${room.id}`);
+      await admitToRoom(socket, room, entry);
+    })
+    .catch((err) => {
+      console.error(`Failed to admit ${entry.id}: ${err.message}`);
+    });
+});
+
+io.on("global-webhooks-changed", ({ added, removedId }) => {
+  if (added) globalWebhooks.set(added.id, added);
+  if (removedId) globalWebhooks.delete(removedId);
+});
+
+// Socket.io connection handling
+io.on("connection", (socket) => {
+  console.log(`User connected: ${socket.id}`);
+
+  // Report a failed command to this socket (see lib/protocol): through its
+  // acknowledgement callback if it gave one, and on `errorEvent` unless the
+  // callback alone is enough for the client's protocol version. Failures
+  // that used to go unreported pass a null `errorEvent`.
+  function fail(errorEvent, error) {
+    const call = eventContext.getStore();
+    if (call && error.code === "FORBIDDEN") {
+      metrics.permissionDenials.inc({ event: call.event });
+    }
+
+    if (call && call.ack) {
+      call.error = call.error || error;
+      if (socket.data.protocolVersion >= 2) return;
+    }
+
+    if (errorEvent) {
+      socket.emit(errorEvent, error);
+    }
+  }
+
+  // Central permission check for this socket's participant. Reports a
+  // chat-error and returns false when their role does not allow the action.
+  function authorize(room, action, message) {
+    if (can(room, socket.data.participantId, action)) return true;
+
+    fail("chat-error", { code: "FORBIDDEN", message });
+    return false;
+  }
+
+  // Register an event handler that runs under the lock of the room it acts
+  // on, so handlers on any worker apply their changes to a room one at a
+  // time. Commands other than join-room are refused unless the socket has
+  // joined that room.
+  function roomEvent(event, handler) {
+    handleEvent(event, (...args) => {
+      const payload = args[0];
+      const roomId =
+        (payload && typeof payload === "object" && payload.roomId) ||
+        socket.data.roomId;
+
+      const isCommand = Boolean(socketSchemas[event]);
+      if (
+        isCommand &&
+        event !== "join-room" &&
+        (roomId !== socket.data.roomId || !socket.data.participantId)
+      ) {
+        fail(null, {
+          code: "NOT_IN_ROOM",
+          message: "Join the room before sending this",
+        });
+        return null;
+      }
+
+      return roomId
+        ? roomStore.withLock(roomId, () => handler(...args))
+        : handler(...args);
+    });
+  }
+
+  // Payload errors are sent on the error event clients already watch for
+  // that kind of request
+  const payloadErrorEvent = (event) => {
+    if (event === "join-room") return "room-error";
+    if (event.startsWith("webrtc-") || event === "get-ice-servers") {
+      return "signal-error";
+    }
+    return "chat-error";
+  };
+
+  // Register an event handler that is counted and timed in the metrics.
+  // Commands, the events with a schema, are checked against it before the
+  // handler runs and may end with an acknowledgement callback, which gets
+  // the handler's return value as data or the first failure it reported.
+  // Failures are logged rather than left as unhandled rejections.
+  function handleEvent(event, handler) {
+    const schema = socketSchemas[event];
+
+    socket.on(event, (...args) => {
+      const endTimer = metrics.socketEventDuration.startTimer({ event });
+      metrics.socketEvents.inc({ event });
+
+      const ack =
+        schema && typeof args[args.length - 1] === "function"
+          ? args.pop()
+          : null;
+      const call = { event, ack, error: null };
+
+      eventContext
+        .run(call, async () => {
+          const error = schema && validate(schema, args[0]);
+          if (error) {
+            fail(payloadErrorEvent(event), { ...error, event });
+            return null;
+          }
+          return handler(...args);
+        })
+        .catch((err) => {
+          metrics.socketEventErrors.inc({ event });
+          console.error(`Handling ${event} from ${socket.id} failed:`, err);
+          call.error = call.error || {
+            code: "INTERNAL_ERROR",
+            message: "The server could not handle this request",
+          };
+        })
+        .then((data) => {
+          if (!ack) return;
+          ack(call.error ? errorResponse(call.error) : okResponse(data));
+        })
+        .finally(endTimer);
+    });
+  }
+
+  // Handle joining a room
+  roomEvent(
+    "join-room",
+    async ({
+      roomId,
+      username,
+      peerId,
+      sessionToken,
+      hostKey,
+      joinToken,
+      passcode,
+      protocolVersion,
+    }) => {
+      console.log(
+        `${username} trying to join room ${roomId} with peer ID ${peerId}`
+      );
+
+      // One seat per connection: joining again would add a second
+      // participant for this socket and could take the host role away
+      if (socket.data.participantId || socket.data.inLobby) {
+        fail("room-error", {
+          code: "ALREADY_JOINED",
+          message: "This connection has already joined a room",
+        });
+        return;
+      }
+
+      socket.data.protocolVersion = negotiateVersion(protocolVersion);
+
+      const room = await roomStore.getRoom(roomId);
+
+      // Check if room exists
+      if (!room) {
+        console.log(`Room ${roomId} does not exist`);
+        metrics.joinFailures.inc({ reason: "ROOM_NOT_FOUND" });
+        fail("room-error", {
+          code: "ROOM_NOT_FOUND",
+          message: "Room does not exist",
+        });
+        return;
+      }
+
+      // Reclaim an earlier identity if the session token is still valid
+      const resumeId = sessionToken && room.sessions[sessionToken];
+      if (
+        resumeId &&
+        (room.participants[resumeId] || room.disconnectedParticipants[resumeId])
+      ) {
+        return resumeSession(socket, room, resumeId, peerId, sessionToken);
+      }
+
+      const access = authenticateJoin(room, { hostKey, joinToken });
+      if (access.code) {
+        console.log(`Join to room ${roomId} refused: ${access.code}`);
+        metrics.joinFailures.inc({ reason: access.code });
+        fail("room-error", {
+          code: access.code,
+          message: access.message,
+        });
+        return;
+      }
+
+      const windowError = checkMeetingWindow(room, access);
+      if (windowError) {
+        console.log(`Join to room ${roomId} refused: ${windowError.code}`);
+        metrics.joinFailures.inc({ reason: windowError.code });
+        fail("room-error", windowError);
+        return;
+      }
+
+      const entryError = checkRoomEntry(socket, room, access, passcode);
+      if (entryError) {
+        console.log(`Join to room ${roomId} refused: ${entryError.code}`);
+        metrics.joinFailures.inc({ reason: entryError.code });
+        fail("room-error", entryError);
+        return;
+      }
+
+      // A token may pin the display name the participant is shown under
+      const displayName = access.username || username;
+
+      // Hosts skip the lobby, everyone else waits there while it is on
+      if (room.lobbyEnabled && access.role !== "host") {
+        return parkInLobby(socket, room, {
+          username: displayName,
+          peerId,
+          role: access.role,
+          turnTtlSeconds: access.turnTtlSeconds,
+        });
+      }
+
+      return admitToRoom(socket, room, {
+        username: displayName,
+        peerId,
+        role: access.role,
+        turnTtlSeconds: access.turnTtlSeconds,
+      });
+    }
+  );
+
+  // NEW: Handle host master controls settings
+  roomEvent("update-host-master-controls", async ({ roomId, settings }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    // Only hosts and co-hosts can update master controls
+    if (
+      !authorize(
+        room,
+        "update-master-controls",
+        "Only hosts and co-hosts can update master controls"
+      )
+    ) {
+      return;
+    }
+
+    await updateMasterControls(room, settings, "Host");
+  });
+
+  // UPDATED: Handle user muting/unmuting audio with host master control
+  roomEvent("toggle-audio", async ({ roomId, peerId, enabled }) => {
+    console.log(`Audio toggle: ${socket.data.participantId} - ${enabled}`);
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room || !room.participants[socket.data.participantId]) {
+      return;
+    }
+
+    const participant = room.participants[socket.data.participantId];
+    const isHost = can(room, participant.id, "master-media-control");
+    const hostMasterControls = room.hostMasterControls;
+
+    // Update the participant's own state
+    room.participants[socket.data.participantId].audioEnabled = enabled;
+
+    // If this is the host and master audio control is enabled
+    if (isHost && hostMasterControls.controlAllAudio) {
+      console.log(`Host is toggling audio for all participants: ${enabled}`);
+
+      // Apply to all other participants
+      Object.entries(room.participants).forEach(([participantId, p]) => {
+        if (participantId !== socket.data.participantId) {
+          // Don't affect the host themselves
+          // Update state
+          room.participants[participantId].audioEnabled = enabled;
+
+          // Send force control to each participant
+          io.to(participantId).emit("host-master-audio-control", {
+            enabled,
+            forced: true,
+            hostUsername: participant.username,
+          });
+        }
+      });
+
+      await roomStore.saveRoom(room);
+
+      // Notify all participants about the global change
+      io.to(roomId).emit("user-toggle-audio", {
+        participantId: socket.data.participantId,
+        peerId,
+        enabled,
+        isHostMasterControl: true,
+      });
+
+      // Send system message
+      io.to(roomId).emit("chat-system-message", {
+        id: uuidv4(),
+        message: `Host ${enabled ? "unmuted" : "muted"} everyone's microphone`,
+        timestamp: new Date(),
+        type: "system",
+        systemType: "host-action",
+      });
+    } else {
+      // Normal participant audio toggle or host with master control disabled
+      await roomStore.saveRoom(room);
+
+      socket.to(roomId).emit("user-toggle-audio", {
+        participantId: socket.data.participantId,
+        peerId,
+        enabled,
+        isHostMasterControl: false,
+      });
+    }
+  });
+
+  // UPDATED: Handle user muting/unmuting video with host master control
+  roomEvent("toggle-video", async ({ roomId, peerId, enabled }) => {
+    console.log(`Video toggle: ${socket.data.participantId} - ${enabled}`);
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room || !room.participants[socket.data.participantId]) {
+      return;
+    }
+
+    const participant = room.participants[socket.data.participantId];
+    const isHost = can(room, participant.id, "master-media-control");
+    const hostMasterControls = room.hostMasterControls;
+
+    // Update the participant's own state
+    room.participants[socket.data.participantId].videoEnabled = enabled;
+
+    // If this is the host and master video control is enabled
+    if (isHost && hostMasterControls.controlAllVideo) {
+      console.log(`Host is toggling video for all participants: ${enabled}`);
+
+      // Apply to all other participants
+      Object.entries(room.participants).forEach(([participantId, p]) => {
+        if (participantId !== socket.data.participantId) {
+          // Don't affect the host themselves
+          // Update state
+          room.participants[participantId].videoEnabled = enabled;
+
+          // Send force control to each participant
+          io.to(participantId).emit("host-master-video-control", {
+            enabled,
+            forced: true,
+            hostUsername: participant.username,
+          });
+        }
+      });
+
+      await roomStore.saveRoom(room);
+
+      // Notify all participants about the global change
+      io.to(roomId).emit("user-toggle-video", {
+        participantId: socket.data.participantId,
+        peerId,
+        enabled,
+        isHostMasterControl: true,
+      });
+
+      // Send system message
+      io.to(roomId).emit("chat-system-message", {
+        id: uuidv4(),
+        message: `Host ${enabled ? "enabled" : "disabled"} everyone's camera`,
+        timestamp: new Date(),
+        type: "system",
+        systemType: "host-action",
+      });
+    } else {
+      // Normal participant video toggle or host with master control disabled
+      await roomStore.saveRoom(room);
+
+      socket.to(roomId).emit("user-toggle-video", {
+        participantId: socket.data.participantId,
+        peerId,
+        enabled,
+        isHostMasterControl: false,
+      });
+    }
+  });
+
+  // Individual host control for audio (existing functionality)
+  roomEvent(
+    "host-control-audio",
+    async ({ roomId, targetPeerId, action, forced }) => {
+      const room = await roomStore.getRoom(roomId);
+      if (!room) return;
+
+      if (
+        !authorize(
+          room,
+          "control-participant-media",
+          "Only hosts and co-hosts can control other participants"
+        )
+      ) {
+        return;
+      }
+
+      const hostParticipant = room.participants[socket.data.participantId];
+
+      let targetSocketId = null;
+      for (const [socketId, participant] of Object.entries(room.participants)) {
+        if (participant.peerId === targetPeerId) {
+          targetSocketId = socketId;
+          break;
+        }
+      }
+
+      if (!targetSocketId) {
+        fail("chat-error", {
+          code: "PARTICIPANT_NOT_FOUND",
+          message: "Participant not found",
+        });
+        return;
+      }
+
+      if (!outranks(hostParticipant, room.participants[targetSocketId])) {
+        fail("chat-error", {
+          code: "FORBIDDEN",
+          message: "You cannot control this participant",
+        });
+        return;
+      }
+
+      if (action === "mute") {
+        room.participants[targetSocketId].audioEnabled = false;
+        await roomStore.saveRoom(room);
+
+        io.to(targetSocketId).emit("host-muted-audio", { forced });
+
+        io.to(roomId).emit("user-toggle-audio", {
+          participantId: targetSocketId,
+          peerId: targetPeerId,
+          enabled: false,
+        });
+
+        io.to(roomId).emit("chat-system-message", {
           id: uuidv4(),
           message: `${room.participants[targetSocketId].username} was muted by host`,
           timestamp: new Date(),
           type: "system",
           systemType: "host-action",
         });
-      } else if (action === "unmute") {
-        io.to(targetSocketId).emit("host-unmuted-audio");
+      } else if (action === "unmute") {
+        requestUnmute(room, room.participants[targetSocketId]);
+      }
+    }
+  );
+
+  // Individual host control for video (existing functionality)
+  roomEvent(
+    "host-control-video",
+    async ({ roomId, targetPeerId, action, forced }) => {
+      const room = await roomStore.getRoom(roomId);
+      if (!room) return;
+
+      if (
+        !authorize(
+          room,
+          "control-participant-media",
+          "Only hosts and co-hosts can control other participants"
+        )
+      ) {
+        return;
+      }
+
+      const hostParticipant = room.participants[socket.data.participantId];
+
+      let targetSocketId = null;
+      for (const [socketId, participant] of Object.entries(room.participants)) {
+        if (participant.peerId === targetPeerId) {
+          targetSocketId = socketId;
+          break;
+        }
+      }
+
+      if (!targetSocketId) {
+        fail("chat-error", {
+          code: "PARTICIPANT_NOT_FOUND",
+          message: "Participant not found",
+        });
+        return;
+      }
+
+      if (!outranks(hostParticipant, room.participants[targetSocketId])) {
+        fail("chat-error", {
+          code: "FORBIDDEN",
+          message: "You cannot control this participant",
+        });
+        return;
+      }
+
+      if (action === "disable") {
+        room.participants[targetSocketId].videoEnabled = false;
+        await roomStore.saveRoom(room);
+
+        io.to(targetSocketId).emit("host-disabled-video", { forced });
+
+        io.to(roomId).emit("user-toggle-video", {
+          participantId: targetSocketId,
+          peerId: targetPeerId,
+          enabled: false,
+        });
+
+        io.to(roomId).emit("chat-system-message", {
+          id: uuidv4(),
+          message: `${room.participants[targetSocketId].username}'s camera was turned off by host`,
+          timestamp: new Date(),
+          type: "system",
+          systemType: "host-action",
+        });
+      } else if (action === "enable") {
+        io.to(targetSocketId).emit("host-enabled-video");
+
+        io.to(roomId).emit("chat-system-message", {
+          id: uuidv4(),
+          message: `Host requested ${room.participants[targetSocketId].username} to turn on camera`,
+          timestamp: new Date(),
+          type: "system",
+          systemType: "host-request",
+        });
+      }
+    }
+  );
+
+  // Count a rate limit or content violation against the participant and
+  // mute them in chat once they reach the threshold. Moderators are exempt.
+  const recordChatViolation = async (room, participant) => {
+    if (roleCan(participant.role, "moderate-chat")) return;
+    if (Date.parse(participant.chatMutedUntil) > Date.now()) return;
+    if (chatViolations.recordFailure(`${room.id}:${participant.id}`) > 0) {
+      return;
+    }
+
+    chatViolations.reset(`${room.id}:${participant.id}`);
+    participant.chatMutedUntil = new Date(Date.now() + CHAT_MUTE_DURATION_MS);
+    await roomStore.saveRoom(room);
+
+    console.log(
+      `${participant.username} muted in chat in room ${room.id} until ${participant.chatMutedUntil.toISOString()}`
+    );
+
+    io.to(participant.id).emit("chat-muted", {
+      mutedUntil: participant.chatMutedUntil,
+    });
+    emitToPermitted(room, "moderate-chat", "participant-chat-muted", {
+      participantId: participant.id,
+      username: participant.username,
+      mutedUntil: participant.chatMutedUntil,
+    });
+  };
+
+  // Spend a token from this participant's bucket for an event. Reports
+  // RATE_LIMITED and returns false when the bucket is empty.
+  const rateLimit = (event) => {
+    const key = socket.data.participantId || socket.id;
+    const retryAfterMs = rateLimiters[event].take(key);
+    if (retryAfterMs === 0) return true;
+
+    fail("chat-error", {
+      code: "RATE_LIMITED",
+      message: "You are sending too fast, slow down",
+      event,
+      retryAfterMs,
+    });
+
+    // Flooding the chat counts towards an automatic mute. This runs once
+    // the current handler has released the room.
+    const { roomId, participantId } = socket.data;
+    if (event !== "typing-indicator" && participantId) {
+      roomStore
+        .withLock(roomId, async () => {
+          const room = await roomStore.getRoom(roomId);
+          const participant = room && room.participants[participantId];
+          if (participant) await recordChatViolation(room, participant);
+        })
+        .catch((err) => {
+          console.error(`Recording chat violation failed: ${err.message}`);
+        });
+    }
+    return false;
+  };
+
+  // Look up the attachments a message refers to. Only the sender's own
+  // uploads can be attached. Returns the metadata to put on the message, or
+  // null after reporting an error.
+  const resolveAttachments = (room, participant, attachmentIds) => {
+    if (attachmentIds === undefined) return [];
+
+    if (
+      !Array.isArray(attachmentIds) ||
+      attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE
+    ) {
+      fail("chat-error", {
+        code: "INVALID_ATTACHMENT",
+        message: `A message can carry up to ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`,
+      });
+      return null;
+    }
+
+    const attachments = [];
+    for (const attachmentId of attachmentIds) {
+      const attachment = room.attachments[attachmentId];
+      if (!attachment || attachment.uploadedBy !== participant.id) {
+        fail("chat-error", {
+          code: "INVALID_ATTACHMENT",
+          message: "Attachment not found",
+        });
+        return null;
+      }
+
+      const { id, filename, mimeType, size } = attachment;
+      attachments.push({ id, filename, mimeType, size });
+    }
+    return attachments;
+  };
+
+  // Apply mute, length and content rules to a message body. Returns the
+  // text to send, possibly masked, or null after reporting why not.
+  const checkChatMessage = async (
+    room,
+    participant,
+    text,
+    allowEmpty = false
+  ) => {
+    const mutedFor = participant.chatMutedUntil
+      ? Date.parse(participant.chatMutedUntil) - Date.now()
+      : 0;
+    if (mutedFor > 0) {
+      fail("chat-error", {
+        code: "CHAT_MUTED",
+        message: "You have been muted in chat",
+        retryAfterMs: mutedFor,
+      });
+      return null;
+    }
+
+    if (allowEmpty && (text === undefined || text === "")) return "";
+
+    if (typeof text !== "string" || !text.trim()) {
+      fail("chat-error", {
+        code: "INVALID_MESSAGE",
+        message: "Message cannot be empty",
+      });
+      return null;
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      fail("chat-error", {
+        code: "MESSAGE_TOO_LONG",
+        message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`,
+        maxLength: MAX_MESSAGE_LENGTH,
+      });
+      await recordChatViolation(room, participant);
+      return null;
+    }
+
+    const { filterMode } = room.chatSettings;
+    if (!filterMode || filterMode === "off") return text;
+
+    const result = contentFilter.apply(text, room.chatSettings);
+    if (result.matched && filterMode === "block") {
+      fail("chat-error", {
+        code: "MESSAGE_BLOCKED",
+        message: "Your message contains blocked content",
+      });
+      await recordChatViolation(room, participant);
+      return null;
+    }
+
+    return result.text;
+  };
+
+  // Handle public chat messages
+  roomEvent("send-chat-message", async ({ roomId, message, attachmentIds }) => {
+    if (!rateLimit("send-chat-message")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      console.log(`Room ${roomId} does not exist for chat message`);
+      return;
+    }
+
+    const participant = room.participants[socket.data.participantId];
+
+    // Sockets still waiting in the lobby are not part of the conversation
+    if (!participant) return;
+
+    console.log(
+      `Public chat message from ${participant.username} in room ${roomId}: ${message}`
+    );
+
+    if (
+      !room.chatSettings.allowParticipantChat &&
+      !can(room, participant.id, "bypass-chat-restrictions")
+    ) {
+      fail("chat-error", {
+        code: "CHAT_DISABLED",
+        message: "Public chat is disabled",
+      });
+      return;
+    }
+
+    const attachments = resolveAttachments(room, participant, attachmentIds);
+    if (!attachments) return;
+
+    const text = await checkChatMessage(
+      room,
+      participant,
+      message,
+      attachments.length > 0
+    );
+    if (text === null) return;
+
+    const messageData = {
+      id: uuidv4(),
+      username: participant.username,
+      message: text,
+      timestamp: new Date(),
+      type: "user",
+      chatMode: "public",
+      senderId: socket.data.participantId,
+      breakoutId: participant.breakoutId || null,
+      attachments,
+    };
+
+    // Hold the message until a moderator approves it
+    if (
+      room.chatSettings.moderateMessages &&
+      !can(room, participant.id, "moderate-chat")
+    ) {
+      room.pendingMessages.push(messageData);
+      await roomStore.saveRoom(room);
+
+      socket.emit("message-pending", messageData);
+      sendModerationQueue(room);
+      return { message: messageData, pending: true };
+    }
+
+    pushMessage(room, messageData);
+    await roomStore.saveRoom(room);
+
+    conversationTarget(room, participant).emit("chat-message", messageData);
+    return { message: messageData, pending: false };
+  });
+
+  // Handle private messages
+  roomEvent(
+    "send-private-message",
+    async ({ roomId, message, recipient, toHost, attachmentIds }) => {
+      if (!rateLimit("send-chat-message")) return;
+
+      const room = await roomStore.getRoom(roomId);
+      if (!room) {
+        return;
+      }
+
+      const participant = room.participants[socket.data.participantId];
+
+      if (!participant) return;
+
+      console.log(
+        `Private message from ${participant.username} in room ${roomId} to ${
+          recipient || "host"
+        }: ${message}`
+      );
+
+      const isHost = participant.id === room.hostId;
+
+      if (
+        !room.chatSettings.allowPrivateMessages &&
+        !can(room, participant.id, "bypass-chat-restrictions")
+      ) {
+        fail("chat-error", {
+          code: "PRIVATE_CHAT_DISABLED",
+          message: "Private messages are disabled",
+        });
+        return;
+      }
+
+      const attachments = resolveAttachments(room, participant, attachmentIds);
+      if (!attachments) return;
+
+      const text = await checkChatMessage(
+        room,
+        participant,
+        message,
+        attachments.length > 0
+      );
+      if (text === null) return;
+
+      let recipientId = null;
+
+      if (toHost) {
+        recipientId = room.hostId;
+      } else if (recipient) {
+        // Participants in their grace period get the message on resume
+        const recipientParticipant = Object.values({
+          ...room.participants,
+          ...room.disconnectedParticipants,
+        }).find((p) => p.username === recipient);
+        recipientId = recipientParticipant ? recipientParticipant.id : null;
+      }
+
+      if (!recipientId) {
+        fail("chat-error", {
+          code: "RECIPIENT_NOT_FOUND",
+          message: "Recipient not found",
+        });
+        return;
+      }
+
+      const messageData = {
+        id: uuidv4(),
+        username: participant.username,
+        message: text,
+        timestamp: new Date(),
+        type: "user",
+        chatMode: "private",
+        senderId: socket.data.participantId,
+        recipientId,
+        recipient,
+        toHost,
+        attachments,
+      };
+
+      pushMessage(room, messageData);
+      await roomStore.saveRoom(room);
+
+      socket.emit("private-message", messageData);
+
+      if (recipientId !== socket.data.participantId) {
+        io.to(recipientId).emit("private-message", messageData);
+      }
+
+      if (toHost && !isHost) {
+        io.to(room.hostId).emit("private-message", messageData);
+      }
+
+      return { message: messageData, pending: false };
+    }
+  );
+
+  // Handle host-only messages
+  roomEvent("send-host-message", async ({ roomId, message, attachmentIds }) => {
+    if (!rateLimit("send-chat-message")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (
+      !authorize(
+        room,
+        "send-announcement",
+        "Only hosts and co-hosts can send announcements"
+      )
+    ) {
+      return;
+    }
+
+    const sender = room.participants[socket.data.participantId];
+    console.log(
+      `Host message from ${sender.username} in room ${roomId}: ${message}`
+    );
+
+    const attachments = resolveAttachments(room, sender, attachmentIds);
+    if (!attachments) return;
+
+    const text = await checkChatMessage(
+      room,
+      sender,
+      message,
+      attachments.length > 0
+    );
+    if (text === null) return;
+
+    const messageData = {
+      id: uuidv4(),
+      username: sender.username,
+      message: text,
+      timestamp: new Date(),
+      type: "user",
+      chatMode: "host-only",
+      senderId: socket.data.participantId,
+      attachments,
+    };
+
+    pushMessage(room, messageData);
+    await roomStore.saveRoom(room);
+
+    emitToPermitted(room, "view-host-messages", "host-message", messageData);
+    return { message: messageData, pending: false };
+  });
+
+  // Page through the chat history this participant can see
+  roomEvent(
+    "get-chat-history",
+    async ({ roomId, before, after, limit, search, sender, chatMode }) => {
+      const room = await roomStore.getRoom(roomId);
+      const participantId = socket.data.participantId;
+      if (!room || !room.participants[participantId]) return;
+
+      let page;
+      try {
+        page = queryMessages(
+          room.messages,
+          { before, after, limit, search, sender, chatMode },
+          (message) => shouldReceiveMessage(message, participantId, room)
+        );
+      } catch (err) {
+        fail("chat-error", { code: err.code, message: err.message });
+        return;
+      }
+
+      const history = {
+        messages: page.messages.map(serializeMessage),
+        hasMore: page.hasMore,
+        before: before || null,
+        after: after || null,
+      };
+      socket.emit("chat-history", history);
+      return history;
+    }
+  );
+
+  // Look up a chat message the requester is allowed to see, reporting an
+  // error if there is none
+  const findVisibleMessage = (room, messageId) => {
+    const message = room.messages.find(
+      (m) => m.id === messageId && m.type === "user"
+    );
+
+    if (
+      !message ||
+      !shouldReceiveMessage(message, socket.data.participantId, room)
+    ) {
+      fail("chat-error", {
+        code: "MESSAGE_NOT_FOUND",
+        message: "Message not found",
+      });
+      return null;
+    }
+
+    if (message.deleted) {
+      fail("chat-error", {
+        code: "MESSAGE_DELETED",
+        message: "This message was deleted",
+      });
+      return null;
+    }
+
+    return message;
+  };
+
+  // Take a held message off the moderation queue, reporting an error if
+  // it is not there
+  const takePendingMessage = (room, messageId) => {
+    const index = room.pendingMessages.findIndex((m) => m.id === messageId);
+    if (index === -1) {
+      fail("chat-error", {
+        code: "MESSAGE_NOT_FOUND",
+        message: "Message is not awaiting moderation",
+      });
+      return null;
+    }
+    return room.pendingMessages.splice(index, 1)[0];
+  };
+
+  // Publish a held message as if it had just been sent
+  roomEvent("approve-message", async ({ roomId, messageId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "moderate-chat",
+        "Only hosts and co-hosts can moderate messages"
+      )
+    ) {
+      return;
+    }
+
+    const message = takePendingMessage(room, messageId);
+    if (!message) return;
+
+    pushMessage(room, message);
+    await roomStore.saveRoom(room);
+
+    // The message carries the breakout it was sent from, which is where it
+    // belongs even if the sender has moved since
+    conversationTarget(room, message).emit("chat-message", message);
+    sendModerationQueue(room);
+  });
+
+  // Drop a held message and tell the sender why
+  roomEvent("reject-message", async ({ roomId, messageId, reason }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "moderate-chat",
+        "Only hosts and co-hosts can moderate messages"
+      )
+    ) {
+      return;
+    }
+
+    const message = takePendingMessage(room, messageId);
+    if (!message) return;
+
+    await roomStore.saveRoom(room);
+
+    io.to(message.senderId).emit("message-rejected", {
+      messageId,
+      message: message.message,
+      reason: typeof reason === "string" ? reason : null,
+    });
+    sendModerationQueue(room);
+  });
+
+  // Senders may edit their own messages
+  roomEvent("edit-message", async ({ roomId, messageId, message: edited }) => {
+    if (!rateLimit("send-chat-message")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    const participant = room && room.participants[socket.data.participantId];
+    if (!participant) return;
+
+    const message = findVisibleMessage(room, messageId);
+    if (!message) return;
+
+    if (message.senderId !== socket.data.participantId) {
+      fail("chat-error", {
+        code: "FORBIDDEN",
+        message: "You can only edit your own messages",
+      });
+      return;
+    }
+
+    const text = await checkChatMessage(
+      room,
+      participant,
+      edited,
+      (message.attachments || []).length > 0
+    );
+    if (text === null) return;
+
+    message.message = text;
+    message.editedAt = new Date();
+    await roomStore.saveRoom(room);
+
+    emitToMessageAudience(room, message, "message-edited", {
+      messageId,
+      message: text,
+      editedAt: message.editedAt,
+    });
+  });
+
+  // Senders may delete their own messages, and hosts anyone's they can see.
+  // The message stays in history as a tombstone so replies still make sense.
+  roomEvent("delete-message", async ({ roomId, messageId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    const requester = room.participants[socket.data.participantId];
+    if (!requester) return;
+
+    const message = findVisibleMessage(room, messageId);
+    if (!message) return;
+
+    if (
+      message.senderId !== requester.id &&
+      !authorize(
+        room,
+        "delete-any-message",
+        "Only hosts and co-hosts can delete other people's messages"
+      )
+    ) {
+      return;
+    }
+
+    message.message = "";
+    message.deleted = true;
+    message.deletedAt = new Date();
+    message.deletedBy = requester.username;
+    delete message.reactions;
+    await roomStore.saveRoom(room);
+
+    emitToMessageAudience(room, message, "message-deleted", {
+      messageId,
+      deletedAt: message.deletedAt,
+      deletedBy: message.deletedBy,
+    });
+  });
+
+  // Anyone who can see a message may react to it, once per emoji
+  const updateReaction = async ({ roomId, messageId, emoji }, add) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    const participantId = socket.data.participantId;
+    if (!room.participants[participantId]) return;
+
+    if (
+      typeof emoji !== "string" ||
+      !emoji.trim() ||
+      emoji.length > MAX_REACTION_LENGTH
+    ) {
+      fail("chat-error", {
+        code: "INVALID_REACTION",
+        message: "Reaction must be a short emoji string",
+      });
+      return;
+    }
+
+    const message = findVisibleMessage(room, messageId);
+    if (!message) return;
+
+    const reactions = message.reactions || {};
+    const reactedBy = reactions[emoji] || [];
+    const hasReacted = reactedBy.includes(participantId);
+
+    if (add === hasReacted) return;
+
+    if (add) {
+      reactions[emoji] = [...reactedBy, participantId];
+    } else if (reactedBy.length === 1) {
+      delete reactions[emoji];
+    } else {
+      reactions[emoji] = reactedBy.filter((id) => id !== participantId);
+    }
+    message.reactions = reactions;
+    await roomStore.saveRoom(room);
+
+    emitToMessageAudience(room, message, "message-reactions-updated", {
+      messageId,
+      reactions: serializeMessage(message).reactions,
+      emoji,
+      participantId,
+      action: add ? "add" : "remove",
+    });
+  };
+
+  roomEvent("add-reaction", (payload) => updateReaction(payload, true));
+  roomEvent("remove-reaction", (payload) => updateReaction(payload, false));
+
+  // Handle system messages
+  roomEvent("send-system-message", async ({ roomId, message, type }) => {
+    console.log(`System message in room ${roomId}: ${message}`);
+
+    if (!rateLimit("send-system-message")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    const participant = room && room.participants[socket.data.participantId];
+    if (!participant) {
+      return;
+    }
+
+    const text = await checkChatMessage(room, participant, message);
+    if (text === null) return;
+
+    const messageData = {
+      id: uuidv4(),
+      message: text,
+      timestamp: new Date(),
+      type: "system",
+      systemType: type,
+    };
+
+    pushMessage(room, messageData);
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("chat-system-message", messageData);
+  });
+
+  // Handle chat settings updates
+  roomEvent("update-chat-settings", async ({ roomId, settings }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (
+      !authorize(
+        room,
+        "update-chat-settings",
+        "Only hosts and co-hosts can update chat settings"
+      )
+    ) {
+      return;
+    }
+
+    const settingsError = await updateChatSettings(
+      room,
+      settings,
+      socket.data.participantId
+    );
+    if (settingsError) {
+      fail("chat-error", {
+        code: "INVALID_SETTINGS",
+        message: settingsError,
+      });
+    }
+  });
+
+  // Handle typing indicators
+  roomEvent("typing-indicator", async ({ roomId, isTyping }) => {
+    if (!rateLimit("typing-indicator")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    const participant = room && room.participants[socket.data.participantId];
+    if (!participant) {
+      return;
+    }
+
+    conversationTarget(room, participant, socket).emit("user-typing", {
+      username: participant.username,
+      isTyping,
+    });
+  });
+
+  // Handle screen sharing events
+  roomEvent("user-screen-share", async ({ roomId, peerId, isSharing }) => {
+    console.log(
+      `Screen share toggle: ${socket.data.participantId} - ${isSharing}`
+    );
+
+    const room = await roomStore.getRoom(roomId);
+    if (room && room.participants[socket.data.participantId]) {
+      room.participants[socket.data.participantId].isScreenSharing = isSharing;
+      await roomStore.saveRoom(room);
+
+      if (isSharing) {
+        emitWebhook(room, "screen-share.started", {
+          participantId: socket.data.participantId,
+          username: room.participants[socket.data.participantId].username,
+        });
+      }
+
+      socket.to(roomId).emit("user-screen-share", {
+        participantId: socket.data.participantId,
+        peerId,
+        isSharing,
+      });
+
+      console.log(
+        `User ${room.participants[socket.data.participantId].username} ${
+          isSharing ? "started" : "stopped"
+        } screen sharing in room ${roomId}`
+      );
+    }
+  });
+
+  // WebRTC signaling relay. Offers, answers, ICE candidates and hangups are
+  // addressed to a participant ID and only delivered to someone in the
+  // sender's room, and in the same breakout room if either is in one. The
+  // receiver gets the sender's participant ID as `from`. Signaling only
+  // reads the room, so it does not wait for the room lock.
+  const relaySignal = (event, validate, clean) => {
+    handleEvent(event, async (payload) => {
+      const to = payload && typeof payload === "object" ? payload.to : null;
+      const reject = (code, message) => {
+        fail("signal-error", { code, message, event, to });
+      };
+
+      const { roomId, participantId } = socket.data;
+      const room =
+        participantId && payload && payload.roomId === roomId
+          ? await roomStore.getRoom(roomId)
+          : null;
+      const sender = room && room.participants[participantId];
+      if (!sender) {
+        return reject("NOT_IN_ROOM", "Join the room before signaling");
+      }
+
+      const target =
+        typeof to === "string" && to !== participantId
+          ? room.participants[to]
+          : null;
+      if (
+        !target ||
+        (target.breakoutId || null) !== (sender.breakoutId || null)
+      ) {
+        return reject("PEER_NOT_FOUND", "That participant is not in your room");
+      }
+
+      const { stream = "camera" } = payload;
+      const error = validateStream(stream) || validate(payload);
+      if (error) {
+        return reject("INVALID_SIGNAL", error);
+      }
+
+      io.to(target.id).emit(event, {
+        roomId,
+        from: participantId,
+        stream,
+        ...clean(payload),
+      });
+    });
+  };
+
+  // ICE servers for setting up peer connections, only for participants who
+  // have completed join-room
+  handleEvent("get-ice-servers", async (payload) => {
+    const { roomId, participantId } = socket.data;
+    const room =
+      participantId && payload && payload.roomId === roomId
+        ? await roomStore.getRoom(roomId)
+        : null;
+    const participant = room && room.participants[participantId];
+    if (!participant) {
+      fail("signal-error", {
+        code: "NOT_IN_ROOM",
+        message: "Join the room before requesting ICE servers",
+        event: "get-ice-servers",
+      });
+      return;
+    }
+
+    const iceServers = iceServersFor(room, participant);
+    socket.emit("ice-servers", iceServers);
+    return iceServers;
+  });
+
+  relaySignal(
+    "webrtc-offer",
+    ({ description }) => validateDescription(description, "offer"),
+    ({ description }) => ({ description: cleanDescription(description) })
+  );
+  relaySignal(
+    "webrtc-answer",
+    ({ description }) => validateDescription(description, "answer"),
+    ({ description }) => ({ description: cleanDescription(description) })
+  );
+  relaySignal(
+    "webrtc-ice-candidate",
+    ({ candidate }) => validateCandidate(candidate),
+    ({ candidate }) => ({ candidate: cleanCandidate(candidate) })
+  );
+  // Tear down one stream's connection, such as when screen share stops
+  relaySignal(
+    "webrtc-hangup",
+    () => null,
+    () => ({})
+  );
+
+  // Raise your hand to ask to speak. Hands are queued in the order raised.
+  roomEvent("raise-hand", async ({ roomId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    const participant = room.participants[socket.data.participantId];
+    if (!participant) return;
+
+    if (
+      room.raisedHands.some((hand) => hand.participantId === participant.id)
+    ) {
+      return;
+    }
+
+    room.raisedHands.push({
+      participantId: participant.id,
+      username: participant.username,
+      peerId: participant.peerId,
+      raisedAt: new Date(),
+    });
+    await roomStore.saveRoom(room);
+
+    sendHandQueue(room);
+    console.log(`${participant.username} raised their hand in room ${roomId}`);
+  });
+
+  // Lower your own hand, or someone else's if you run the queue
+  roomEvent("lower-hand", async ({ roomId, participantId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    const requester = room.participants[socket.data.participantId];
+    if (!requester) return;
+
+    const targetId = participantId || requester.id;
+    if (
+      targetId !== requester.id &&
+      !authorize(
+        room,
+        "manage-raised-hands",
+        "Only hosts and co-hosts can lower other participants' hands"
+      )
+    ) {
+      return;
+    }
+
+    if (!removeRaisedHand(room, targetId)) return;
+    await roomStore.saveRoom(room);
+
+    sendHandQueue(room);
+
+    if (targetId !== requester.id) {
+      io.to(targetId).emit("hand-lowered", {
+        loweredBy: requester.username,
+      });
+    }
+  });
+
+  // Call on someone whose hand is up, optionally asking them to unmute
+  roomEvent("acknowledge-hand", async ({ roomId, participantId, unmute }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "manage-raised-hands",
+        "Only hosts and co-hosts can acknowledge raised hands"
+      )
+    ) {
+      return;
+    }
+
+    const requester = room.participants[socket.data.participantId];
+    const target =
+      room.participants[participantId] ||
+      room.disconnectedParticipants[participantId];
+
+    if (
+      !target ||
+      !room.raisedHands.some((h) => h.participantId === target.id)
+    ) {
+      fail("chat-error", {
+        code: "HAND_NOT_RAISED",
+        message: "That participant's hand is not raised",
+      });
+      return;
+    }
+
+    const canUnmute =
+      roleCan(requester.role, "control-participant-media") &&
+      outranks(requester, target);
+    if (unmute && !canUnmute) {
+      fail("chat-error", {
+        code: "FORBIDDEN",
+        message: "You cannot control this participant",
+      });
+      return;
+    }
+
+    removeRaisedHand(room, target.id);
+    await roomStore.saveRoom(room);
+
+    sendHandQueue(room);
+
+    io.to(target.id).emit("hand-acknowledged", {
+      acknowledgedBy: requester.username,
+      unmuteRequested: Boolean(unmute),
+    });
+
+    io.to(roomId).emit("chat-system-message", {
+      id: uuidv4(),
+      message: `${requester.username} called on ${target.username}`,
+      timestamp: new Date(),
+      type: "system",
+      systemType: "host-action",
+    });
+
+    if (unmute) {
+      requestUnmute(room, target);
+    }
+  });
+
+  // Lower every hand at once
+  roomEvent("clear-hands", async ({ roomId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "manage-raised-hands",
+        "Only hosts and co-hosts can clear raised hands"
+      )
+    ) {
+      return;
+    }
+
+    if (room.raisedHands.length === 0) return;
+
+    room.raisedHands = [];
+    await roomStore.saveRoom(room);
+
+    sendHandQueue(room);
+
+    io.to(roomId).emit("chat-system-message", {
+      id: uuidv4(),
+      message: "All raised hands were lowered",
+      timestamp: new Date(),
+      type: "system",
+      systemType: "host-action",
+    });
+  });
+
+  // Polls: hosts and co-hosts create a draft, open it for voting and close
+  // it to publish the results
+  roomEvent("create-poll", async ({ roomId, poll: definition }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(room, "manage-polls", "Only hosts and co-hosts can run polls")
+    ) {
+      return;
+    }
+
+    let poll;
+    try {
+      poll = createPoll(
+        definition,
+        room.participants[socket.data.participantId]
+      );
+    } catch (err) {
+      fail("chat-error", { code: "INVALID_POLL", message: err.message });
+      return;
+    }
+
+    room.polls.push(poll);
+    await roomStore.saveRoom(room);
+
+    emitToPermitted(
+      room,
+      "manage-polls",
+      "poll-created",
+      pollWithResults(poll)
+    );
+    console.log(`Poll ${poll.id} created in room ${roomId}`);
+    return pollWithResults(poll);
+  });
+
+  roomEvent("open-poll", async ({ roomId, pollId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(room, "manage-polls", "Only hosts and co-hosts can run polls")
+    ) {
+      return;
+    }
+
+    const poll = room.polls.find((p) => p.id === pollId);
+    if (!poll || poll.status !== "draft") {
+      fail("chat-error", {
+        code: "POLL_NOT_FOUND",
+        message: "Poll not found or already opened",
+      });
+      return;
+    }
+
+    poll.status = "open";
+    poll.openedAt = new Date();
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("poll-opened", publicPoll(poll));
+    console.log(`Poll ${poll.id} opened in room ${roomId}`);
+  });
+
+  roomEvent("close-poll", async ({ roomId, pollId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(room, "manage-polls", "Only hosts and co-hosts can run polls")
+    ) {
+      return;
+    }
+
+    const poll = room.polls.find((p) => p.id === pollId);
+    if (!poll || poll.status !== "open") {
+      fail("chat-error", {
+        code: "POLL_NOT_OPEN",
+        message: "Poll not found or not open",
+      });
+      return;
+    }
+
+    poll.status = "closed";
+    poll.closedAt = new Date();
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("poll-closed", pollWithResults(poll));
+    console.log(`Poll ${poll.id} closed in room ${roomId}`);
+  });
+
+  // Each participant votes once per poll
+  roomEvent("vote-poll", async ({ roomId, pollId, choices }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    const participant = room.participants[socket.data.participantId];
+    if (!participant) return;
+
+    const poll = room.polls.find((p) => p.id === pollId);
+    if (!poll || poll.status !== "open") {
+      fail("chat-error", {
+        code: "POLL_NOT_OPEN",
+        message: "This poll is not open for voting",
+      });
+      return;
+    }
+
+    if (poll.votes[participant.id]) {
+      fail("chat-error", {
+        code: "ALREADY_VOTED",
+        message: "You have already voted in this poll",
+      });
+      return;
+    }
+
+    const picked = normalizeChoices(
+      choices,
+      poll.options.length,
+      poll.multipleChoice
+    );
+    if (!picked) {
+      fail("chat-error", {
+        code: "INVALID_CHOICE",
+        message: poll.multipleChoice
+          ? "Pick one or more of the poll's options"
+          : "Pick exactly one of the poll's options",
+      });
+      return;
+    }
+
+    poll.votes[participant.id] = {
+      username: participant.username,
+      choices: picked,
+      votedAt: new Date(),
+    };
+    await roomStore.saveRoom(room);
+
+    socket.emit("poll-vote-recorded", { pollId, choices: picked });
+    emitToPermitted(room, "manage-polls", "poll-results-updated", {
+      pollId,
+      results: tallyPoll(poll),
+    });
+  });
+
+  // Split the room into breakouts. "auto" deals out everyone except hosts
+  // and co-hosts evenly; "manual" takes { participantId: roomIndex }.
+  roomEvent(
+    "open-breakouts",
+    async ({
+      roomId,
+      count,
+      mode = "auto",
+      assignments = {},
+      names,
+      durationMinutes,
+    }) => {
+      const room = await roomStore.getRoom(roomId);
+      if (!room) return;
+
+      if (
+        !authorize(
+          room,
+          "manage-breakouts",
+          "Only hosts and co-hosts can manage breakout rooms"
+        )
+      ) {
+        return;
+      }
+
+      if (room.breakouts) {
+        fail("chat-error", {
+          code: "BREAKOUTS_OPEN",
+          message: "Breakout rooms are already open",
+        });
+        return;
+      }
+
+      let rooms;
+      try {
+        rooms = createBreakouts(count, names);
+        if (
+          durationMinutes !== undefined &&
+          durationMinutes !== null &&
+          !(durationMinutes > 0)
+        ) {
+          throw new Error("durationMinutes must be a positive number");
+        }
+      } catch (err) {
+        fail("chat-error", {
+          code: "INVALID_BREAKOUTS",
+          message: err.message,
+        });
+        return;
+      }
+
+      let groups;
+      if (mode === "manual") {
+        groups = rooms.map(() => []);
+        Object.entries(assignments || {}).forEach(([participantId, index]) => {
+          if (room.participants[participantId] && groups[index]) {
+            groups[index].push(participantId);
+          }
+        });
+      } else {
+        const attendees = Object.values(room.participants)
+          .filter((p) => !roleCan(p.role, "manage-breakouts"))
+          .map((p) => p.id);
+        groups = splitEvenly(attendees, rooms.length);
+      }
+
+      const endsAt = durationMinutes
+        ? new Date(Date.now() + durationMinutes * 60 * 1000)
+        : null;
+      room.breakouts = { startedAt: new Date(), endsAt, rooms };
+
+      groups.forEach((group, index) => {
+        group.forEach((participantId) => {
+          moveParticipant(
+            room,
+            room.participants[participantId],
+            rooms[index].id
+          );
+        });
+      });
+
+      await roomStore.saveRoom(room);
+
+      if (endsAt) {
+        armBreakoutTimer(roomId, endsAt.getTime());
+      }
+
+      sendBreakoutLayout(room);
+      groups.flat().forEach((participantId) => {
+        sendBreakoutAssignment(room, room.participants[participantId]);
+      });
+
+      console.log(`Opened ${rooms.length} breakout rooms in room ${roomId}`);
+    }
+  );
+
+  // Move one participant into a breakout, or back to the main room with a
+  // null breakoutId
+  roomEvent(
+    "assign-breakout",
+    async ({ roomId, participantId, breakoutId }) => {
+      const room = await roomStore.getRoom(roomId);
+      if (!room) return;
+
+      if (
+        !authorize(
+          room,
+          "manage-breakouts",
+          "Only hosts and co-hosts can manage breakout rooms"
+        )
+      ) {
+        return;
+      }
+
+      const participant = room.participants[participantId];
+      const target = breakoutId || null;
+      if (
+        !participant ||
+        !room.breakouts ||
+        (target && !room.breakouts.rooms.some((b) => b.id === target))
+      ) {
+        fail("chat-error", {
+          code: "BREAKOUT_NOT_FOUND",
+          message: "Participant or breakout room not found",
+        });
+        return;
+      }
+
+      moveParticipant(room, participant, target);
+      await roomStore.saveRoom(room);
+
+      sendBreakoutLayout(room);
+      sendBreakoutAssignment(room, participant);
+    }
+  );
+
+  // Post a message to every breakout room and the main room
+  roomEvent("broadcast-to-breakouts", async ({ roomId, message }) => {
+    if (!rateLimit("send-system-message")) return;
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "manage-breakouts",
+        "Only hosts and co-hosts can manage breakout rooms"
+      )
+    ) {
+      return;
+    }
+
+    if (!room.breakouts) {
+      fail("chat-error", {
+        code: "BREAKOUTS_NOT_OPEN",
+        message: "Breakout rooms are not open",
+      });
+      return;
+    }
+
+    // Same length and content rules as any other chat message
+    const sender = room.participants[socket.data.participantId];
+    const text = await checkChatMessage(room, sender, message);
+    if (text === null) return;
+
+    const messageData = {
+      id: uuidv4(),
+      message: text,
+      username: sender.username,
+      timestamp: new Date(),
+      type: "system",
+      systemType: "breakout-broadcast",
+    };
+
+    pushMessage(room, messageData);
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("chat-system-message", messageData);
+  });
+
+  // Start, change or stop (null) the breakout countdown
+  roomEvent("set-breakout-timer", async ({ roomId, durationSeconds }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "manage-breakouts",
+        "Only hosts and co-hosts can manage breakout rooms"
+      )
+    ) {
+      return;
+    }
+
+    if (!room.breakouts) {
+      fail("chat-error", {
+        code: "BREAKOUTS_NOT_OPEN",
+        message: "Breakout rooms are not open",
+      });
+      return;
+    }
+
+    if (durationSeconds) {
+      if (!(durationSeconds > 0)) {
+        fail("chat-error", {
+          code: "INVALID_BREAKOUTS",
+          message: "durationSeconds must be a positive number",
+        });
+        return;
+      }
+
+      room.breakouts.endsAt = new Date(Date.now() + durationSeconds * 1000);
+      armBreakoutTimer(roomId, room.breakouts.endsAt.getTime());
+    } else {
+      room.breakouts.endsAt = null;
+      clearBreakoutTimer(roomId);
+    }
+
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("breakout-timer-updated", {
+      endsAt: room.breakouts.endsAt,
+    });
+  });
+
+  // Call everyone back to the main room
+  roomEvent("close-breakouts", async ({ roomId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) return;
+
+    if (
+      !authorize(
+        room,
+        "manage-breakouts",
+        "Only hosts and co-hosts can manage breakout rooms"
+      )
+    ) {
+      return;
+    }
+
+    if (!room.breakouts) {
+      fail(null, {
+        code: "BREAKOUTS_NOT_OPEN",
+        message: "Breakout rooms are not open",
+      });
+      return;
+    }
+
+    await closeBreakouts(room);
+  });
+
+  // Handle removing a participant
+  roomEvent("remove-participant", async ({ roomId, participantId }) => {
+    console.log(`Removing participant: ${participantId}`);
 
-        io.to(roomId).emit("chat-system-message", {
-          id: uuidv4(),
-          message: `Host requested ${room.participants[targetSocketId].username} to unmute`,
-          timestamp: new Date(),
-          type: "system",
-          systemType: "host-request",
-        });
-      }
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
     }
-  );
 
-  // Individual host control for video (existing functionality)
-  socket.on(
-    "host-control-video",
-    ({ roomId, targetPeerId, action, forced }) => {
-      const room = rooms[roomId];
-      if (!room) return;
+    if (
+      !authorize(
+        room,
+        "remove-participant",
+        "Only hosts and co-hosts can remove participants"
+      )
+    ) {
+      return;
+    }
 
-      const hostParticipant = room.participants[socket.id];
+    const requester = room.participants[socket.data.participantId];
+    const removedParticipant = room.participants[participantId];
 
-      if (!hostParticipant || !hostParticipant.isHost) {
-        socket.emit("chat-error", {
-          message: "Only hosts can control other participants",
-        });
-        return;
-      }
+    if (removedParticipant && !outranks(requester, removedParticipant)) {
+      fail("chat-error", {
+        code: "FORBIDDEN",
+        message: "You cannot remove this participant",
+      });
+      return;
+    }
 
-      let targetSocketId = null;
-      for (const [socketId, participant] of Object.entries(room.participants)) {
-        if (participant.peerId === targetPeerId) {
-          targetSocketId = socketId;
-          break;
-        }
-      }
+    if (!removedParticipant) {
+      fail(null, {
+        code: "PARTICIPANT_NOT_FOUND",
+        message: "Participant not found",
+      });
+      return;
+    }
 
-      if (!targetSocketId) {
-        socket.emit("chat-error", { message: "Participant not found" });
-        return;
-      }
+    await removeParticipant(room, removedParticipant, requester.id, socket);
+  });
 
-      if (action === "disable") {
-        room.participants[targetSocketId].videoEnabled = false;
+  // Handle transferring host privileges
+  roomEvent("transfer-host", async ({ roomId, newHostId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
 
-        io.to(targetSocketId).emit("host-disabled-video", { forced });
+    if (
+      !authorize(room, "transfer-host", "Only host can transfer privileges")
+    ) {
+      return;
+    }
 
-        io.to(roomId).emit("user-toggle-video", {
-          participantId: targetSocketId,
-          peerId: targetPeerId,
-          enabled: false,
-        });
+    const newHost = room.participants[newHostId];
+    if (!newHost) {
+      fail("chat-error", {
+        code: "PARTICIPANT_NOT_FOUND",
+        message: "New host not found",
+      });
+      return;
+    }
 
-        io.to(roomId).emit("chat-system-message", {
-          id: uuidv4(),
-          message: `${room.participants[targetSocketId].username}'s camera was turned off by host`,
-          timestamp: new Date(),
-          type: "system",
-          systemType: "host-action",
-        });
-      } else if (action === "enable") {
-        io.to(targetSocketId).emit("host-enabled-video");
+    await transferHost(room, newHost);
+  });
 
-        io.to(roomId).emit("chat-system-message", {
-          id: uuidv4(),
-          message: `Host requested ${room.participants[targetSocketId].username} to turn on camera`,
-          timestamp: new Date(),
-          type: "system",
-          systemType: "host-request",
-        });
-      }
+  // Change a participant's role between co-host, panelist and attendee.
+  // The host role itself only moves through transfer-host.
+  async function changeRole(roomId, participantId, role) {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (!authorize(room, "manage-roles", "Only host can change roles")) {
+      return;
+    }
+
+    if (!isValidRole(role) || role === "host") {
+      fail("chat-error", {
+        code: "INVALID_ROLE",
+        message: `Cannot assign role "${role}"`,
+      });
+      return;
+    }
+
+    const target = room.participants[participantId];
+    if (!target) {
+      fail("chat-error", {
+        code: "PARTICIPANT_NOT_FOUND",
+        message: "Participant not found",
+      });
+      return;
+    }
+
+    if (target.id === room.hostId) {
+      fail("chat-error", {
+        code: "HOST_ROLE_LOCKED",
+        message: "Transfer host before changing your own role",
+      });
+      return;
+    }
+
+    if (target.role === role) return;
+
+    setRole(room, target, role);
+
+    const systemMessage = {
+      id: uuidv4(),
+      message: `${target.username} is now ${
+        role === "attendee" ? "an attendee" : `a ${role}`
+      }`,
+      timestamp: new Date(),
+      type: "system",
+      systemType: "role-change",
+    };
+
+    pushMessage(room, systemMessage);
+    await roomStore.saveRoom(room);
+
+    io.to(roomId).emit("chat-system-message", systemMessage);
+    announceRoleChange(room, target);
+
+    // A new co-host needs the lobby state they are now responsible for
+    if (roleCan(role, "manage-lobby")) {
+      io.to(target.id).emit("lobby-updated", {
+        enabled: room.lobbyEnabled,
+        pending: getLobbyList(room),
+      });
     }
+
+    console.log(`${target.username} is now ${role} in room ${roomId}`);
+  }
+
+  // Handle promoting a participant to co-host
+  roomEvent("promote-cohost", ({ roomId, participantId }) =>
+    changeRole(roomId, participantId, "co-host")
   );
 
-  // Handle public chat messages
-  socket.on(
-    "send-chat-message",
-    ({ roomId, username, message, timestamp, chatMode }) => {
-      console.log(
-        `Public chat message from ${username} in room ${roomId}: ${message}`
-      );
+  // Handle demoting a co-host back to attendee
+  roomEvent("demote-cohost", ({ roomId, participantId }) =>
+    changeRole(roomId, participantId, "attendee")
+  );
 
-      if (!rooms[roomId]) {
-        console.log(`Room ${roomId} does not exist for chat message`);
-        return;
-      }
+  // Handle setting any non-host role, e.g. making someone a panelist
+  roomEvent("set-participant-role", ({ roomId, participantId, role }) =>
+    changeRole(roomId, participantId, role)
+  );
+
+  // Handle room lock and passcode updates. Pass `passcode: null` to remove
+  // the passcode; leaving it out keeps the current one.
+  roomEvent("update-room-security", async ({ roomId, locked, passcode }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
 
-      const participant = rooms[roomId].participants[socket.id];
-      const isHost = participant && participant.id === rooms[roomId].hostId;
+    if (
+      !authorize(
+        room,
+        "manage-security",
+        "Only hosts and co-hosts can change room security"
+      )
+    ) {
+      return;
+    }
 
-      if (!isHost && !rooms[roomId].chatSettings.allowParticipantChat) {
-        socket.emit("chat-error", { message: "Public chat is disabled" });
-        return;
-      }
+    // Only null removes the passcode, so a field cleared by mistake does
+    // not open the room
+    if (
+      passcode !== undefined &&
+      passcode !== null &&
+      !isValidPasscode(passcode)
+    ) {
+      fail("chat-error", {
+        code: "INVALID_FIELD",
+        field: "passcode",
+        message: "Passcode must be 4 to 64 characters",
+      });
+      return;
+    }
 
-      const messageData = {
+    let systemMessage = null;
+    if (locked !== undefined) {
+      room.locked = Boolean(locked);
+      systemMessage = {
         id: uuidv4(),
-        username,
-        message,
-        timestamp: timestamp || new Date(),
-        type: "user",
-        chatMode: "public",
-        senderId: socket.id,
+        message: `Host ${room.locked ? "locked" : "unlocked"} the meeting`,
+        timestamp: new Date(),
+        type: "system",
+        systemType: "host-action",
       };
+      pushMessage(room, systemMessage);
+    }
+    if (passcode !== undefined) {
+      room.passcodeHash = passcode === null ? null : hashPasscode(passcode);
+    }
+    await roomStore.saveRoom(room);
 
-      rooms[roomId].messages.push(messageData);
+    console.log(
+      `Room ${roomId} is now ${room.locked ? "locked" : "unlocked"}${
+        room.passcodeHash ? " with a passcode" : ""
+      }`
+    );
 
-      if (rooms[roomId].messages.length > 100) {
-        rooms[roomId].messages = rooms[roomId].messages.slice(-100);
-      }
+    io.to(roomId).emit("room-security-updated", {
+      locked: room.locked,
+      hasPasscode: Boolean(room.passcodeHash),
+    });
 
-      io.to(roomId).emit("chat-message", messageData);
+    if (systemMessage) {
+      io.to(roomId).emit("chat-system-message", systemMessage);
     }
-  );
+  });
 
-  // Handle private messages
-  socket.on(
-    "send-private-message",
-    ({ roomId, username, message, timestamp, recipient, toHost }) => {
-      console.log(
-        `Private message from ${username} in room ${roomId} to ${
-          recipient || "host"
-        }: ${message}`
-      );
+  // Handle lobby settings updates
+  roomEvent("update-lobby-settings", async ({ roomId, enabled }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
 
-      if (!rooms[roomId]) {
-        return;
-      }
+    if (
+      !authorize(
+        room,
+        "manage-lobby",
+        "Only hosts and co-hosts can change lobby settings"
+      )
+    ) {
+      return;
+    }
 
-      const participant = rooms[roomId].participants[socket.id];
-      const isHost = participant && participant.id === rooms[roomId].hostId;
+    room.lobbyEnabled = Boolean(enabled);
+    await roomStore.saveRoom(room);
 
-      if (!isHost && !rooms[roomId].chatSettings.allowPrivateMessages) {
-        socket.emit("chat-error", { message: "Private messages are disabled" });
-        return;
-      }
+    console.log(
+      `Lobby ${room.lobbyEnabled ? "enabled" : "disabled"} in room ${roomId}`
+    );
 
-      let recipientId = null;
+    io.to(roomId).emit("lobby-settings-updated", {
+      enabled: room.lobbyEnabled,
+    });
 
-      if (toHost) {
-        recipientId = rooms[roomId].hostId;
-      } else if (recipient) {
-        const recipientParticipant = Object.values(
-          rooms[roomId].participants
-        ).find((p) => p.username === recipient);
-        recipientId = recipientParticipant ? recipientParticipant.id : null;
+    // Turning the lobby off lets everyone who was waiting straight in
+    if (!room.lobbyEnabled) {
+      for (const lobbyId of Object.keys(room.lobby)) {
+        await admitFromLobby(room, lobbyId);
       }
+    }
 
-      if (!recipientId) {
-        socket.emit("chat-error", { message: "Recipient not found" });
-        return;
+    sendLobbyUpdate(room);
+  });
+
+  // Handle admitting someone from the lobby
+  roomEvent("lobby-admit", async ({ roomId, participantId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (
+      !authorize(
+        room,
+        "manage-lobby",
+        "Only hosts and co-hosts can admit participants"
+      )
+    ) {
+      return;
+    }
+
+    if (!room.lobby[participantId]) {
+      fail("chat-error", {
+        code: "NOT_IN_LOBBY",
+        message: "Participant is not waiting in the lobby",
+      });
+      return;
+    }
+
+    await admitFromLobby(room, participantId);
+    sendLobbyUpdate(room);
+  });
+
+  // Handle admitting everyone waiting in the lobby
+  roomEvent("lobby-admit-all", async ({ roomId }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (
+      !authorize(
+        room,
+        "manage-lobby",
+        "Only hosts and co-hosts can admit participants"
+      )
+    ) {
+      return;
+    }
+
+    for (const lobbyId of Object.keys(room.lobby)) {
+      await admitFromLobby(room, lobbyId);
+    }
+
+    sendLobbyUpdate(room);
+  });
+
+  // Handle turning someone in the lobby away
+  roomEvent("lobby-deny", async ({ roomId, participantId, reason }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    if (
+      !authorize(
+        room,
+        "manage-lobby",
+        "Only hosts and co-hosts can deny participants"
+      )
+    ) {
+      return;
+    }
+
+    if (!room.lobby[participantId]) {
+      fail("chat-error", {
+        code: "NOT_IN_LOBBY",
+        message: "Participant is not waiting in the lobby",
+      });
+      return;
+    }
+
+    denyFromLobby(room, participantId, reason);
+    await roomStore.saveRoom(room);
+
+    sendLobbyUpdate(room);
+  });
+
+  // Handle disconnection. The participant keeps their seat, host role and
+  // media state for the grace period so a dropped connection can resume.
+  roomEvent("disconnect", async () => {
+    console.log(`User disconnected: ${socket.id}`);
+
+    const { roomId, participantId } = socket.data;
+    if (!roomId) return;
+
+    const room = await roomStore.getRoom(roomId);
+
+    // Someone gave up waiting in the lobby
+    if (socket.data.inLobby) {
+      if (room && room.lobby[socket.id]) {
+        delete room.lobby[socket.id];
+        await roomStore.saveRoom(room);
+        sendLobbyUpdate(room);
       }
+      return;
+    }
+    const participant = room && room.participants[participantId];
 
-      const messageData = {
-        id: uuidv4(),
-        username,
-        message,
-        timestamp: timestamp || new Date(),
-        type: "user",
-        chatMode: "private",
-        senderId: socket.id,
-        recipientId,
-        recipient,
-        toHost,
-      };
+    // Ignore connections that were removed or replaced by a resumed session
+    if (!participant || participant.socketId !== socket.id) return;
+
+    delete room.participants[participantId];
+    room.disconnectedParticipants[participantId] = {
+      ...participant,
+      disconnectedAt: new Date(),
+    };
+    recordAttendance(room, "disconnect", participant);
+
+    await roomStore.saveRoom(room);
+    startGracePeriod(roomId, participantId);
+
+    console.log(
+      `${participant.username} dropped from room ${roomId}, holding their seat for ${SESSION_GRACE_PERIOD_MS}ms`
+    );
+
+    socket.to(roomId).emit("user-disconnected", {
+      participantId,
+      peerId: participant.peerId,
+      username: participant.username,
+      gracePeriodMs: SESSION_GRACE_PERIOD_MS,
+    });
+  });
+
+  // Handle ping for connection testing
+  handleEvent("ping", (callback) => {
+    callback("pong");
+  });
+});
+
+// Prometheus metrics. Under cluster.js these cover every worker.
+app.get("/metrics", async (req, res) => {
+  res.type(metrics.contentType);
+  res.send(await metrics.renderMetrics());
+});
+
+// Debug endpoint to see all rooms. It shows peer IDs and message text, so
+// it needs the admin key like the rest of the admin API.
+app.get("/api/debug/rooms", requireAdminKey, async (req, res) => {
+  const roomSummary = {};
+  (await roomStore.listRooms()).forEach((room) => {
+    const roomId = room.id;
+    roomSummary[roomId] = {
+      participantCount: Object.keys(room.participants).length,
+      disconnectedCount: Object.keys(room.disconnectedParticipants).length,
+      messageCount: room.messages.length,
+      hostId: room.hostId,
+      chatSettings: room.chatSettings,
+      hostMasterControls: room.hostMasterControls,
+      participants: Object.values(room.participants).map((p) => ({
+        username: p.username,
+        peerId: p.peerId,
+        joinedAt: p.joinedAt,
+        isHost: p.id === room.hostId,
+        role: p.role,
+        isScreenSharing: p.isScreenSharing || false,
+      })),
+      recentMessages: room.messages.slice(-5).map((m) => ({
+        username: m.username,
+        message: m.message,
+        type: m.type,
+        chatMode: m.chatMode,
+        timestamp: m.timestamp,
+      })),
+    };
+  });
+  res.json(roomSummary);
+});
+
+// Query string values for queryMessages
+function parseHistoryQuery(query) {
+  const { before, after, limit, search, sender, chatMode } = query;
+  return {
+    before,
+    after,
+    limit: limit === undefined ? undefined : Number(limit),
+    search,
+    sender,
+    chatMode,
+  };
+}
+
+// Get chat history for a room, newest page first. Page back with
+// ?before=<message id> or forward with ?after=<message id>, and filter with
+// ?search=, ?sender= and ?chatMode=. Like get-chat-history, it needs a
+// participant's session token and only covers messages they could see.
+app.get("/api/room/:roomId/messages", requireParticipant, (req, res) => {
+  const { room, participant } = req;
+
+  let page;
+  try {
+    page = queryMessages(
+      room.messages,
+      parseHistoryQuery(req.query),
+      (message) => shouldReceiveMessage(message, participant.id, room)
+    );
+  } catch (err) {
+    return restError(res, 400, { code: err.code, message: err.message });
+  }
+
+  res.json({
+    roomId: room.id,
+    messages: page.messages.map(serializeMessage),
+    hasMore: page.hasMore,
+    chatSettings: room.chatSettings,
+    hostMasterControls: room.hostMasterControls,
+  });
+});
 
-      rooms[roomId].messages.push(messageData);
+// Download a transcript as ?format=txt, json or csv. Accepts the same
+// search and chatMode filters as the messages endpoint.
+app.get("/api/room/:roomId/messages/export", requireHostKey, (req, res) => {
+  const room = req.room;
+  const format = req.query.format || "txt";
+
+  let transcript;
+  try {
+    const messages = filterMessages(room.messages, req.query);
+    transcript = formatTranscript(room, messages.map(serializeMessage), format);
+  } catch (err) {
+    return restError(res, 400, { code: err.code, message: err.message });
+  }
 
-      if (rooms[roomId].messages.length > 100) {
-        rooms[roomId].messages = rooms[roomId].messages.slice(-100);
-      }
+  res.type(transcript.contentType);
+  res.attachment(`transcript-${room.id}.${format}`);
+  res.send(transcript.body);
+});
 
-      socket.emit("private-message", messageData);
+// Get every poll in a room with its results, as JSON or with ?format=csv
+app.get("/api/room/:roomId/polls", requireHostKey, (req, res) => {
+  const room = req.room;
 
-      if (recipientId !== socket.id) {
-        io.to(recipientId).emit("private-message", messageData);
-      }
+  if (req.query.format === "csv") {
+    res.type("text/csv");
+    res.attachment(`polls-${room.id}.csv`);
+    return res.send(pollsToCsv(room.polls));
+  }
 
-      if (toHost && !isHost) {
-        io.to(rooms[roomId].hostId).emit("private-message", messageData);
-      }
-    }
-  );
+  res.json({
+    roomId: room.id,
+    polls: room.polls.map(pollWithResults),
+  });
+});
 
-  // Handle host-only messages
-  socket.on("send-host-message", ({ roomId, username, message, timestamp }) => {
-    console.log(`Host message from ${username} in room ${roomId}: ${message}`);
+// Upload a file to share in chat. The request body is the raw file, its
+// Content-Type the file type and ?filename= its name. The returned ID can
+// then be sent in a chat message's attachmentIds.
+const readUpload = express.raw({
+  type: () => true,
+  limit: attachmentStore.maxBytes,
+});
 
-    if (!rooms[roomId]) {
-      return;
+app.post(
+  "/api/room/:roomId/attachments",
+  requireParticipant,
+  (req, res, next) => {
+    readUpload(req, res, (err) => {
+      if (err) {
+        return restError(
+          res,
+          err.status || 400,
+          err.type === "entity.too.large"
+            ? {
+                code: "ATTACHMENT_TOO_LARGE",
+                message: `Attachments are limited to ${attachmentStore.maxBytes} bytes`,
+              }
+            : { code: "INVALID_ATTACHMENT", message: "Could not read upload" }
+        );
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    const { room, participant } = req;
+    const mimeType = (req.get("content-type") || "").split(";")[0].trim();
+
+    if (!attachmentStore.isAllowedType(mimeType)) {
+      return restError(res, 415, {
+        code: "UNSUPPORTED_MEDIA_TYPE",
+        message: `Attachments of type "${mimeType}" are not allowed`,
+      });
     }
 
-    const participant = rooms[roomId].participants[socket.id];
-    const isHost = participant && participant.id === rooms[roomId].hostId;
-
-    if (!isHost) {
-      socket.emit("chat-error", {
-        message: "Only host can send announcements",
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return restError(res, 400, {
+        code: "INVALID_ATTACHMENT",
+        message: "Attachment is empty",
       });
-      return;
     }
 
-    const messageData = {
-      id: uuidv4(),
-      username,
-      message,
-      timestamp: timestamp || new Date(),
-      type: "user",
-      chatMode: "host-only",
-      senderId: socket.id,
-    };
-
-    rooms[roomId].messages.push(messageData);
+    const attachment = await attachmentStore.save(room.id, {
+      filename: req.query.filename || req.get("x-filename"),
+      mimeType,
+      data: req.body,
+      uploadedBy: participant.id,
+    });
 
-    if (rooms[roomId].messages.length > 100) {
-      rooms[roomId].messages = rooms[roomId].messages.slice(-100);
+    // The upload itself is read without holding the room, so record it
+    // against the room as it is now
+    const saved = await roomStore.withLock(room.id, async () => {
+      const current = await roomStore.getRoom(room.id);
+      if (!current) return false;
+      current.attachments[attachment.id] = attachment;
+      await roomStore.saveRoom(current);
+      return true;
+    });
+    if (!saved) {
+      await attachmentStore.deleteRoom(room.id);
+      return restError(res, 404, {
+        code: "ROOM_NOT_FOUND",
+        message: "Room not found",
+      });
     }
 
-    socket.emit("host-message", messageData);
-  });
+    console.log(
+      `${participant.username} uploaded ${attachment.filename} (${attachment.size} bytes) to room ${room.id}`
+    );
+    res.status(201).json(attachment);
+  }
+);
 
-  // Handle system messages
-  socket.on("send-system-message", ({ roomId, message, type }) => {
-    console.log(`System message in room ${roomId}: ${message}`);
+// ICE servers for the participant holding the session token. Credentials
+// are only issued to people currently in the room.
+app.get("/api/room/:roomId/ice-servers", requireParticipant, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json(iceServersFor(req.room, req.participant));
+});
 
-    if (!rooms[roomId]) {
-      return;
+// A short-lived link to an attachment the participant is allowed to see,
+// for <img> tags and download links, which cannot send headers
+app.post(
+  "/api/room/:roomId/attachments/:attachmentId/link",
+  requireParticipant,
+  validateBody(restSchemas.empty),
+  (req, res) => {
+    const { room, participant } = req;
+    const { attachmentId } = req.params;
+
+    if (!canAccessAttachment(room, participant.id, attachmentId)) {
+      return restError(res, 404, {
+        code: "ATTACHMENT_NOT_FOUND",
+        message: "Attachment not found",
+      });
     }
 
-    const messageData = {
-      id: uuidv4(),
-      message,
-      timestamp: new Date(),
-      type: "system",
-      systemType: type,
-    };
-
-    rooms[roomId].messages.push(messageData);
-
-    if (rooms[roomId].messages.length > 100) {
-      rooms[roomId].messages = rooms[roomId].messages.slice(-100);
-    }
+    const token = signDownloadToken(
+      { roomId: room.id, attachmentId, participantId: participant.id },
+      JOIN_TOKEN_SECRET,
+      DOWNLOAD_TOKEN_TTL_SECONDS
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({
+      url: `/api/room/${encodeURIComponent(room.id)}/attachments/${encodeURIComponent(attachmentId)}?token=${token}`,
+      expiresAt: new Date(Date.now() + DOWNLOAD_TOKEN_TTL_SECONDS * 1000),
+    });
+  }
+);
+
+// Route middleware for downloads: a ?token= download token for this
+// attachment, or the session token in a header like other participant
+// routes. Either way the participant must still be in the room.
+async function requireDownloadAccess(req, res, next) {
+  if (req.query.token === undefined) {
+    return requireParticipant(req, res, next);
+  }
 
-    io.to(roomId).emit("chat-system-message", messageData);
-  });
+  let claims;
+  try {
+    claims = verifyDownloadToken(req.query.token, JOIN_TOKEN_SECRET);
+  } catch (err) {
+    return restError(res, 401, { code: err.code, message: err.message });
+  }
 
-  // Handle chat settings updates
-  socket.on("update-chat-settings", ({ roomId, settings }) => {
-    if (!rooms[roomId]) {
-      return;
-    }
+  const { roomId, attachmentId } = req.params;
+  if (claims.roomId !== roomId || claims.attachmentId !== attachmentId) {
+    return restError(res, 401, {
+      code: "INVALID_TOKEN",
+      message: "Download token was issued for a different attachment",
+    });
+  }
 
-    const participant = rooms[roomId].participants[socket.id];
-    const isHost = participant && participant.id === rooms[roomId].hostId;
+  const room = await roomStore.getRoom(roomId);
+  const participant = room && room.participants[claims.participantId];
+  if (!participant) {
+    return restError(res, 401, {
+      code: "SESSION_REQUIRED",
+      message: "Only current participants can download attachments",
+    });
+  }
 
-    if (!isHost) {
-      socket.emit("chat-error", {
-        message: "Only host can update chat settings",
+  req.room = room;
+  req.participant = participant;
+  next();
+}
+
+// Download an attachment the participant is allowed to see
+app.get(
+  "/api/room/:roomId/attachments/:attachmentId",
+  requireDownloadAccess,
+  (req, res) => {
+    const { room, participant } = req;
+    const { attachmentId } = req.params;
+
+    if (!canAccessAttachment(room, participant.id, attachmentId)) {
+      return restError(res, 404, {
+        code: "ATTACHMENT_NOT_FOUND",
+        message: "Attachment not found",
       });
-      return;
     }
 
-    rooms[roomId].chatSettings = { ...rooms[roomId].chatSettings, ...settings };
+    res.set("Referrer-Policy", "no-referrer");
 
-    console.log(
-      `Chat settings updated in room ${roomId}:`,
-      rooms[roomId].chatSettings
-    );
+    const attachment = room.attachments[attachmentId];
+    const disposition = attachment.mimeType.startsWith("image/")
+      ? "inline"
+      : "attachment";
 
-    io.to(roomId).emit("chat-settings-updated", rooms[roomId].chatSettings);
-  });
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set(
+      "Content-Disposition",
+      `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+    );
+    res.type(attachment.mimeType);
+    res.sendFile(attachmentStore.filePath(room.id, attachmentId));
+  }
+);
 
-  // Handle typing indicators
-  socket.on("typing-indicator", ({ roomId, username, isTyping }) => {
-    if (!rooms[roomId]) {
-      return;
-    }
+// Attendance for billing and compliance: per-person time in the meeting and
+// number of sessions, plus the raw event log. ?format=csv returns the
+// per-person rows only. Rooms that have been removed are reported from their
+// kept log, with the same host key.
+app.get("/api/room/:roomId/attendance", async (req, res) => {
+  const room =
+    (await roomStore.getRoom(req.params.roomId)) ||
+    (await roomStore.getAttendance(req.params.roomId));
 
-    socket.to(roomId).emit("user-typing", {
-      username,
-      isTyping,
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
     });
-  });
+  }
 
-  // Handle screen sharing events
-  socket.on("user-screen-share", ({ roomId, peerId, isSharing }) => {
-    console.log(`Screen share toggle: ${socket.id} - ${isSharing}`);
+  if (!verifyHostKey(getHostKey(req), room.hostKeyHash)) {
+    return restError(res, 401, {
+      code: "INVALID_HOST_KEY",
+      message: "Invalid host key",
+    });
+  }
 
-    if (rooms[roomId] && rooms[roomId].participants[socket.id]) {
-      rooms[roomId].participants[socket.id].isScreenSharing = isSharing;
+  const summary = summarizeAttendance(room);
 
-      socket.to(roomId).emit("user-screen-share", {
-        participantId: socket.id,
-        peerId,
-        isSharing,
-      });
+  if (req.query.format === "csv") {
+    res.type("text/csv");
+    res.attachment(`attendance-${room.id}.csv`);
+    return res.send(attendanceToCsv(summary));
+  }
 
-      console.log(
-        `User ${rooms[roomId].participants[socket.id].username} ${
-          isSharing ? "started" : "stopped"
-        } screen sharing in room ${roomId}`
-      );
-    }
+  res.json({
+    roomId: room.id,
+    removedAt: room.removedAt || null,
+    generatedAt: new Date(),
+    participants: summary,
+    events: room.attendance,
   });
+});
 
-  // Handle removing a participant
-  socket.on("remove-participant", ({ roomId, participantId, peerId }) => {
-    console.log(`Removing participant: ${participantId}`);
+// Webhook subscriptions for one room, managed with its host key
+app.get("/api/room/:roomId/webhooks", requireHostKey, (req, res) => {
+  res.json({
+    roomId: req.room.id,
+    webhooks: req.room.webhooks.map(describeSubscription),
+  });
+});
 
-    if (!rooms[roomId]) {
-      return;
+app.post(
+  "/api/room/:roomId/webhooks",
+  lockRoom,
+  requireHostKey,
+  validateBody(restSchemas.createWebhook),
+  async (req, res) => {
+    let subscription;
+    try {
+      subscription = createSubscription(req.body, webhookOptions);
+    } catch (err) {
+      return restError(res, 400, {
+        code: "INVALID_WEBHOOK",
+        message: err.message,
+      });
     }
 
-    const requester = rooms[roomId].participants[socket.id];
-    const isHost = requester && requester.id === rooms[roomId].hostId;
+    req.room.webhooks.push(subscription);
+    await roomStore.saveRoom(req.room);
 
-    if (!isHost) {
-      socket.emit("chat-error", {
-        message: "Only host can remove participants",
+    console.log(`Webhook ${subscription.id} added to room ${req.room.id}`);
+    res.status(201).json(subscription);
+  }
+);
+
+app.delete(
+  "/api/room/:roomId/webhooks/:webhookId",
+  lockRoom,
+  requireHostKey,
+  async (req, res) => {
+    const room = req.room;
+    const index = room.webhooks.findIndex(
+      (subscription) => subscription.id === req.params.webhookId
+    );
+
+    if (index === -1) {
+      return restError(res, 404, {
+        code: "WEBHOOK_NOT_FOUND",
+        message: "Webhook not found",
       });
-      return;
     }
 
-    if (rooms[roomId].participants[participantId]) {
-      const removedParticipant = rooms[roomId].participants[participantId];
+    room.webhooks.splice(index, 1);
+    await roomStore.saveRoom(room);
+    res.status(204).end();
+  }
+);
 
-      const systemMessage = {
-        id: uuidv4(),
-        message: `${removedParticipant.username} was removed from the meeting`,
-        timestamp: new Date(),
-        type: "system",
-        systemType: "remove",
-      };
+// Recent deliveries to this room's own subscriptions, newest first
+app.get("/api/room/:roomId/webhooks/deliveries", requireHostKey, (req, res) => {
+  const webhookIds = new Set(req.room.webhooks.map((s) => s.id));
+  const { status } = req.query;
 
-      rooms[roomId].messages.push(systemMessage);
-      io.to(roomId).emit("chat-system-message", systemMessage);
+  res.json({
+    roomId: req.room.id,
+    deliveries: webhookDispatcher.getDeliveries(
+      (delivery) =>
+        delivery.roomId === req.room.id &&
+        webhookIds.has(delivery.webhookId) &&
+        (!status || delivery.status === status)
+    ),
+  });
+});
 
-      io.to(participantId).emit("you-were-removed");
+// Global webhook subscriptions receive events from every room
+app.get("/api/webhooks", requireAdminKey, (req, res) => {
+  res.json({
+    webhooks: [...globalWebhooks.values()].map(describeSubscription),
+  });
+});
 
-      socket.to(roomId).emit("user-removed", {
-        participantId,
-        peerId,
+app.post(
+  "/api/webhooks",
+  requireAdminKey,
+  validateBody(restSchemas.createWebhook),
+  (req, res) => {
+    let subscription;
+    try {
+      subscription = createSubscription(req.body, webhookOptions);
+    } catch (err) {
+      return restError(res, 400, {
+        code: "INVALID_WEBHOOK",
+        message: err.message,
       });
-
-      delete rooms[roomId].participants[participantId];
-
-      io.sockets.sockets.get(participantId)?.disconnect(true);
     }
-  });
 
-  // Handle transferring host privileges
-  socket.on("transfer-host", ({ roomId, newHostId }) => {
-    if (!rooms[roomId]) {
-      return;
+    globalWebhooks.set(subscription.id, subscription);
+    if (clustered) {
+      io.serverSideEmit("global-webhooks-changed", { added: subscription });
     }
 
-    const currentHost = rooms[roomId].participants[socket.id];
-    const isCurrentHost =
-      currentHost && currentHost.id === rooms[roomId].hostId;
+    console.log(`Global webhook ${subscription.id} added`);
+    res.status(201).json(subscription);
+  }
+);
 
-    if (!isCurrentHost) {
-      socket.emit("chat-error", {
-        message: "Only host can transfer privileges",
-      });
-      return;
-    }
+app.delete("/api/webhooks/:webhookId", requireAdminKey, (req, res) => {
+  if (!globalWebhooks.delete(req.params.webhookId)) {
+    return restError(res, 404, {
+      code: "WEBHOOK_NOT_FOUND",
+      message: "Webhook not found",
+    });
+  }
+  if (clustered) {
+    io.serverSideEmit("global-webhooks-changed", {
+      removedId: req.params.webhookId,
+    });
+  }
+  res.status(204).end();
+});
 
-    const newHost = rooms[roomId].participants[newHostId];
-    if (!newHost) {
-      socket.emit("chat-error", { message: "New host not found" });
-      return;
-    }
+// Recent deliveries across all subscriptions, filtered by ?status=,
+// ?roomId= or ?webhookId=
+app.get("/api/webhooks/deliveries", requireAdminKey, (req, res) => {
+  const { status, roomId, webhookId } = req.query;
+
+  res.json({
+    deliveries: webhookDispatcher.getDeliveries(
+      (delivery) =>
+        (!status || delivery.status === status) &&
+        (!roomId || delivery.roomId === roomId) &&
+        (!webhookId || delivery.webhookId === webhookId)
+    ),
+  });
+});
 
-    rooms[roomId].hostId = newHostId;
-    rooms[roomId].participants[socket.id].isHost = false;
-    rooms[roomId].participants[newHostId].isHost = true;
+// Admin API: manage any room without being in the meeting. Every route
+// needs ADMIN_API_KEY.
 
-    socket.emit("host-assigned", { isHost: false });
-    io.to(newHostId).emit("host-assigned", { isHost: true });
+// Route middleware: load the room named in the URL into req.room
+async function loadRoom(req, res, next) {
+  const room = await roomStore.getRoom(req.params.roomId);
 
-    const systemMessage = {
-      id: uuidv4(),
-      message: `${newHost.username} is now the host`,
-      timestamp: new Date(),
-      type: "system",
-      systemType: "host-change",
-    };
+  if (!room) {
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
+  }
 
-    rooms[roomId].messages.push(systemMessage);
-    io.to(roomId).emit("chat-system-message", systemMessage);
+  req.room = room;
+  next();
+}
+
+function describeParticipant(room, participant) {
+  return {
+    participantId: participant.id,
+    username: participant.username,
+    peerId: participant.peerId,
+    role: participant.role,
+    isHost: participant.id === room.hostId,
+    joinedAt: participant.joinedAt,
+    audioEnabled: participant.audioEnabled,
+    videoEnabled: participant.videoEnabled,
+    isScreenSharing: participant.isScreenSharing || false,
+    breakoutId: participant.breakoutId || null,
+    chatMutedUntil: participant.chatMutedUntil || null,
+    disconnectedAt: participant.disconnectedAt || null,
+  };
+}
 
-    io.to(roomId).emit("host-privileges-updated", {
-      newHostId,
-      newHostUsername: newHost.username,
+function summarizeRoom(room) {
+  return {
+    roomId: room.id,
+    createdAt: room.createdAt,
+    hostId: room.hostId,
+    participantCount: Object.keys(room.participants).length,
+    disconnectedCount: Object.keys(room.disconnectedParticipants).length,
+    lobbyCount: Object.keys(room.lobby).length,
+    messageCount: room.messages.length,
+    requireAuth: room.requireAuth,
+    lobbyEnabled: room.lobbyEnabled,
+    locked: room.locked,
+    hasPasscode: Boolean(room.passcodeHash),
+    schedule: room.schedule ? describeSchedule(room.schedule) : null,
+  };
+}
+
+// Check the text of an admin message. Returns the trimmed text, or null
+// after responding with an error.
+function readAdminMessage(req, res) {
+  const { message } = req.body;
+  if (!message.trim()) {
+    restError(res, 400, {
+      code: "INVALID_MESSAGE",
+      message: "Message cannot be empty",
     });
+    return null;
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    restError(res, 400, {
+      code: "MESSAGE_TOO_LONG",
+      message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`,
+    });
+    return null;
+  }
+  return message.trim();
+}
+
+async function sendAdminMessage(room, text) {
+  const systemMessage = {
+    id: uuidv4(),
+    message: text,
+    timestamp: new Date(),
+    type: "system",
+    systemType: "admin-announcement",
+  };
 
-    console.log(
-      `Host transferred from ${currentHost.username} to ${newHost.username} in room ${roomId}`
-    );
-  });
+  pushMessage(room, systemMessage);
+  await roomStore.saveRoom(room);
 
-  // Handle disconnection
-  socket.on("disconnect", () => {
-    console.log(`User disconnected: ${socket.id}`);
+  io.to(room.id).emit("chat-system-message", systemMessage);
+  return systemMessage;
+}
 
-    for (const roomId in rooms) {
-      if (rooms[roomId].participants[socket.id]) {
-        const participant = rooms[roomId].participants[socket.id];
-        const wasHost = participant.id === rooms[roomId].hostId;
+app.get("/api/admin/rooms", requireAdminKey, async (req, res) => {
+  const rooms = await roomStore.listRooms();
+  res.json({ rooms: rooms.map(summarizeRoom) });
+});
 
-        console.log(
-          `${participant.username} left room ${roomId}${
-            wasHost ? " (was host)" : ""
-          }`
-        );
+app.get("/api/admin/rooms/:roomId", requireAdminKey, loadRoom, (req, res) => {
+  const room = req.room;
 
-        const systemMessage = {
-          id: uuidv4(),
-          message: `${participant.username} left the meeting`,
-          timestamp: new Date(),
-          type: "system",
-          systemType: "leave",
-        };
+  res.json({
+    ...summarizeRoom(room),
+    participants: Object.values(room.participants).map((participant) =>
+      describeParticipant(room, participant)
+    ),
+    disconnectedParticipants: Object.values(room.disconnectedParticipants).map(
+      (participant) => describeParticipant(room, participant)
+    ),
+    lobby: getLobbyList(room),
+    raisedHands: room.raisedHands,
+    breakouts: describeBreakouts(room),
+    pendingMessageCount: room.pendingMessages.length,
+    chatSettings: room.chatSettings,
+    hostMasterControls: room.hostMasterControls,
+    recentMessages: room.messages.slice(-20).map(serializeMessage),
+  });
+});
 
-        rooms[roomId].messages.push(systemMessage);
-        socket.to(roomId).emit("chat-system-message", systemMessage);
+// End the meeting for everyone in it and remove the room, along with any
+// future occurrences of a scheduled meeting
+app.post(
+  "/api/admin/rooms/:roomId/close",
+  requireAdminKey,
+  validateBody(restSchemas.empty),
+  lockRoom,
+  loadRoom,
+  async (req, res) => {
+    const room = req.room;
+
+    clearScheduleTimers(room.id);
+    await closeRoom(room, "closed");
+    await removeRoom(room);
+
+    console.log(`Room ${room.id} was closed by an administrator`);
+    res.json({ roomId: room.id, closedAt: new Date() });
+  }
+);
+
+// Remove anyone from a room, including participants waiting to resume
+app.delete(
+  "/api/admin/rooms/:roomId/participants/:participantId",
+  requireAdminKey,
+  lockRoom,
+  loadRoom,
+  async (req, res) => {
+    const room = req.room;
+    const participant =
+      room.participants[req.params.participantId] ||
+      room.disconnectedParticipants[req.params.participantId];
+
+    if (!participant) {
+      return restError(res, 404, {
+        code: "PARTICIPANT_NOT_FOUND",
+        message: "Participant not found",
+      });
+    }
 
-        socket.to(roomId).emit("user-left", {
-          participantId: socket.id,
-          peerId: participant.peerId,
-          username: participant.username,
-        });
+    await removeParticipant(room, participant, "admin");
 
-        delete rooms[roomId].participants[socket.id];
+    console.log(
+      `${participant.username} was removed from room ${room.id} by an administrator`
+    );
+    res.status(204).end();
+  }
+);
+
+// Post a system message to one room
+app.post(
+  "/api/admin/rooms/:roomId/messages",
+  requireAdminKey,
+  validateBody(restSchemas.adminMessage),
+  lockRoom,
+  loadRoom,
+  async (req, res) => {
+    const text = readAdminMessage(req, res);
+    if (text === null) return;
+
+    res.status(201).json(await sendAdminMessage(req.room, text));
+  }
+);
+
+// Post a system message to every room that has someone in it
+app.post(
+  "/api/admin/messages",
+  requireAdminKey,
+  validateBody(restSchemas.adminMessage),
+  async (req, res) => {
+    const text = readAdminMessage(req, res);
+    if (text === null) return;
+
+    const roomIds = (await roomStore.listRooms())
+      .filter((room) => Object.keys(room.participants).length > 0)
+      .map((room) => room.id);
+
+    let delivered = 0;
+    for (const roomId of roomIds) {
+      await roomStore.withLock(roomId, async () => {
+        const room = await roomStore.getRoom(roomId);
+        if (!room) return;
+        await sendAdminMessage(room, text);
+        delivered += 1;
+      });
+    }
 
-        if (wasHost) {
-          const remainingParticipants = Object.values(
-            rooms[roomId].participants
-          );
-          if (remainingParticipants.length > 0) {
-            const newHost = remainingParticipants[0];
-            rooms[roomId].hostId = newHost.id;
-            newHost.isHost = true;
-
-            io.to(newHost.id).emit("host-assigned", { isHost: true });
-
-            const hostMessage = {
-              id: uuidv4(),
-              message: `${newHost.username} is now the host`,
-              timestamp: new Date(),
-              type: "system",
-              systemType: "host-change",
-            };
-
-            rooms[roomId].messages.push(hostMessage);
-            io.to(roomId).emit("chat-system-message", hostMessage);
-            io.to(roomId).emit("host-privileges-updated", {
-              newHostId: newHost.id,
-              newHostUsername: newHost.username,
-            });
-
-            console.log(`Host privileges transferred to ${newHost.username}`);
-          }
-        }
+    console.log(`Admin announcement sent to ${delivered} rooms`);
+    res.status(201).json({ rooms: delivered });
+  }
+);
+
+// Change chatSettings and/or hostMasterControls
+app.patch(
+  "/api/admin/rooms/:roomId/settings",
+  requireAdminKey,
+  validateBody(restSchemas.adminSettings),
+  lockRoom,
+  loadRoom,
+  async (req, res) => {
+    const room = req.room;
+    const { chatSettings, hostMasterControls } = req.body;
+
+    if (chatSettings !== undefined) {
+      const settingsError = await updateChatSettings(
+        room,
+        chatSettings,
+        "admin"
+      );
+      if (settingsError) {
+        return restError(res, 400, {
+          code: "INVALID_SETTINGS",
+          message: settingsError,
+        });
+      }
+    }
 
-        console.log(
-          `Room ${roomId} now has ${
-            Object.keys(rooms[roomId].participants).length
-          } participants`
-        );
+    if (hostMasterControls !== undefined) {
+      await updateMasterControls(room, hostMasterControls, "An administrator");
+    }
 
-        if (Object.keys(rooms[roomId].participants).length === 0) {
-          setTimeout(() => {
-            if (
-              rooms[roomId] &&
-              Object.keys(rooms[roomId].participants).length === 0
-            ) {
-              delete rooms[roomId];
-              console.log(`Room ${roomId} has been removed due to inactivity`);
-            }
-          }, 60000);
-        }
+    res.json({
+      roomId: room.id,
+      chatSettings: room.chatSettings,
+      hostMasterControls: room.hostMasterControls,
+    });
+  }
+);
+
+// Hand the host role to a connected participant
+app.post(
+  "/api/admin/rooms/:roomId/host",
+  requireAdminKey,
+  validateBody(restSchemas.adminHost),
+  lockRoom,
+  loadRoom,
+  async (req, res) => {
+    const room = req.room;
+    const { participantId } = req.body;
+    const newHost = room.participants[participantId];
 
-        break;
-      }
+    if (!newHost) {
+      return restError(res, 404, {
+        code: "PARTICIPANT_NOT_FOUND",
+        message: "participantId must name a connected participant",
+      });
     }
-  });
 
-  // Handle ping for connection testing
-  socket.on("ping", (callback) => {
-    callback("pong");
-  });
-});
+    if (newHost.id === room.hostId) {
+      return restError(res, 409, {
+        code: "ALREADY_HOST",
+        message: "Participant is already the host",
+      });
+    }
 
-// Debug endpoint to see all rooms
-app.get("/api/debug/rooms", (req, res) => {
-  const roomSummary = {};
-  Object.keys(rooms).forEach((roomId) => {
-    roomSummary[roomId] = {
-      participantCount: Object.keys(rooms[roomId].participants).length,
-      messageCount: rooms[roomId].messages.length,
-      hostId: rooms[roomId].hostId,
-      chatSettings: rooms[roomId].chatSettings,
-      hostMasterControls: rooms[roomId].hostMasterControls,
-      participants: Object.values(rooms[roomId].participants).map((p) => ({
-        username: p.username,
-        peerId: p.peerId,
-        joinedAt: p.joinedAt,
-        isHost: p.id === rooms[roomId].hostId,
-        isScreenSharing: p.isScreenSharing || false,
-      })),
-      recentMessages: rooms[roomId].messages.slice(-5).map((m) => ({
-        username: m.username,
-        message: m.message,
-        type: m.type,
-        chatMode: m.chatMode,
-        timestamp: m.timestamp,
-      })),
-    };
-  });
-  res.json(roomSummary);
-});
+    await transferHost(room, newHost);
+    res.json({ roomId: room.id, hostId: room.hostId });
+  }
+);
 
-// Get chat history for a room
-app.get("/api/room/:roomId/messages", (req, res) => {
+// Get chat settings for a room
+app.get("/api/room/:roomId/chat-settings", async (req, res) => {
   const { roomId } = req.params;
-  const room = rooms[roomId];
+  const room = await roomStore.getRoom(roomId);
 
   if (!room) {
-    return res.status(404).json({ error: "Room not found" });
+    return restError(res, 404, {
+      code: "ROOM_NOT_FOUND",
+      message: "Room not found",
+    });
   }
 
   res.json({
     roomId: room.id,
-    messages: room.messages,
     chatSettings: room.chatSettings,
     hostMasterControls: room.hostMasterControls,
   });
 });
 
-// Get chat settings for a room
-app.get("/api/room/:roomId/chat-settings", (req, res) => {
-  const { roomId } = req.params;
-  const room = rooms[roomId];
+// Errors that reach Express, such as a body that is not valid JSON, are
+// answered in the same { error, code } form as the routes' own errors
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return restError(res, 400, {
+      code: "INVALID_JSON",
+      message: "Request body is not valid JSON",
+    });
+  }
 
-  if (!room) {
-    return res.status(404).json({ error: "Room not found" });
+  const status = err.status || 500;
+  if (status >= 500) {
+    console.error(`${req.method} ${req.path} failed:`, err);
+    return restError(res, status, {
+      code: "INTERNAL_ERROR",
+      message: "Internal server error",
+    });
   }
 
-  res.json({
-    roomId: room.id,
-    chatSettings: room.chatSettings,
-    hostMasterControls: room.hostMasterControls,
-  });
+  restError(res, status, { code: "INVALID_REQUEST", message: err.message });
 });
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Debug endpoint: http://localhost:${PORT}/api/debug/rooms`);
+
+async function start() {
+  await roomStore.init();
+  if (runsStartupTasks) {
+    await restoreRooms();
+    await attachmentStore.prune(
+      (await roomStore.listRooms()).map((room) => room.id)
+    );
+
+    // Under cluster.js this worker also expires old attendance logs
+    const pruneAttendance = () =>
+      roomStore
+        .pruneAttendance(new Date(Date.now() - ATTENDANCE_RETENTION_MS))
+        .catch((err) => {
+          console.error(`Failed to prune attendance logs: ${err.message}`);
+        });
+    await pruneAttendance();
+    setInterval(pruneAttendance, ATTENDANCE_PRUNE_INTERVAL_MS).unref();
+  }
+
+  // Workers get their connections from the cluster primary, which waits
+  // for this before it starts accepting them
+  if (clustered) {
+    process.send({ type: "worker-ready" });
+    return;
+  }
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    if (ADMIN_API_KEY_HASH) {
+      console.log(`Admin API: http://localhost:${PORT}/api/admin/rooms`);
+    }
+  });
+}
+
+// Flush pending room writes before the process exits. Sockets are left to
+// drop with the process so participants are kept for rejoin rather than
+// being cleaned up as if they had left.
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down`);
+  webhookDispatcher.close();
+  await roomStore.close();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+start().catch((err) => {
+  console.error("Failed to start server:", err);
+  process.exit(1);
 });
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { AttachmentStore } = require("../lib/attachments");
+const { useServer, until } = require("./helpers/server");
+
+// A relative directory, the way it is usually set in .env
+const server = useServer({ ATTACHMENTS_DIR: "uploads" });
+
+async function upload(roomId, client, { filename, type, data }) {
+  const response = await fetch(
+    `${server.url}/api/room/${roomId}/attachments?filename=${encodeURIComponent(filename)}`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": type,
+        "X-Session-Token": client.state.self.sessionToken,
+      },
+      body: data,
+    }
+  );
+  return { status: response.status, body: await response.json() };
+}
+
+async function joinGuest(t, roomId) {
+  const guest = server.connect(t);
+  await guest.join({ roomId, username: "Guest" });
+  return guest;
+}
+
+test("AttachmentStore resolves a relative directory", () => {
+  const store = new AttachmentStore({ dir: "uploads" });
+  assert.equal(store.dir, path.resolve("uploads"));
+  assert.ok(path.isAbsolute(store.filePath("room", "file")));
+});
+
+test("uploads are stored under a relative directory and downloaded", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const uploaded = await upload(room.roomId, host, {
+    filename: "notes.txt",
+    type: "text/plain",
+    data: "agenda",
+  });
+  assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+  assert.equal(uploaded.body.filename, "notes.txt");
+
+  const download = await fetch(
+    `${server.url}/api/room/${room.roomId}/attachments/${uploaded.body.id}`,
+    { headers: { "X-Session-Token": host.state.self.sessionToken } }
+  );
+  assert.equal(download.status, 200);
+  assert.equal(await download.text(), "agenda");
+  assert.equal(download.headers.get("referrer-policy"), "no-referrer");
+  assert.match(download.headers.get("content-disposition"), /^attachment;/);
+});
+
+test("participants see attachments only once they are shared", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = await joinGuest(t, room.roomId);
+  const { body: attachment } = await upload(room.roomId, host, {
+    filename: "slide.png",
+    type: "image/png",
+    data: "png",
+  });
+  const linkPath = `/api/room/${room.roomId}/attachments/${attachment.id}/link`;
+  const guestHeaders = { "X-Session-Token": guest.state.self.sessionToken };
+
+  const hidden = await server.api("POST", linkPath, { headers: guestHeaders });
+  assert.equal(hidden.status, 404);
+  assert.equal(hidden.body.code, "ATTACHMENT_NOT_FOUND");
+
+  await host.sendMessage("see slide", { attachmentIds: [attachment.id] });
+  await until(guest, (state) => state.messages.length === 1);
+
+  const link = await server.api("POST", linkPath, { headers: guestHeaders });
+  assert.equal(link.status, 200);
+  const download = await fetch(`${server.url}${link.body.url}`);
+  assert.equal(download.status, 200);
+  assert.equal(await download.text(), "png");
+  assert.match(download.headers.get("content-disposition"), /^inline;/);
+
+  // The token only opens the attachment it was issued for
+  const { body: other } = await upload(room.roomId, host, {
+    filename: "other.txt",
+    type: "text/plain",
+    data: "other",
+  });
+  const token = new URL(link.body.url, server.url).searchParams.get("token");
+  const wrong = await server.api(
+    "GET",
+    `/api/room/${room.roomId}/attachments/${other.id}?token=${token}`
+  );
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, "INVALID_TOKEN");
+});
+
+test("uploads of other types are refused", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const uploaded = await upload(room.roomId, host, {
+    filename: "run.sh",
+    type: "application/x-sh",
+    data: "echo",
+  });
+  assert.equal(uploaded.status, 415);
+  assert.equal(uploaded.body.code, "UNSUPPORTED_MEDIA_TYPE");
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  recordAttendance,
+  archiveAttendance,
+  summarizeAttendance,
+  attendanceToCsv,
+} = require("../lib/attendance");
+const { useServer, until } = require("./helpers/server");
+
+const server = useServer({ ADMIN_API_KEY: "admin-key" });
+
+const alice = { id: "p1", username: "Alice", role: "host" };
+const bob = { id: "p2", username: "Bob", role: "participant" };
+
+// A log written by recordAttendance, with the events moved to the given
+// times in milliseconds
+function roomWithLog(events, extra = {}) {
+  const room = { attendance: [], participants: {}, ...extra };
+  events.forEach(([type, participant, at]) => {
+    recordAttendance(room, type, participant);
+    room.attendance[room.attendance.length - 1].at = new Date(at);
+  });
+  return room;
+}
+
+test("summarizeAttendance adds up sessions and leaves out dropped time", () => {
+  const room = roomWithLog(
+    [
+      ["join", bob, 1000],
+      ["disconnect", bob, 3000],
+      ["rejoin", bob, 5000],
+      ["leave", bob, 6000],
+    ],
+    { createdAt: new Date(0), hostKeyHash: "hash" }
+  );
+
+  const [summary] = summarizeAttendance(room);
+  assert.equal(summary.sessions, 2);
+  assert.equal(summary.totalMs, 3000);
+  assert.equal(summary.present, false);
+  assert.deepEqual(summary.firstJoinedAt, new Date(1000));
+  assert.deepEqual(summary.lastLeftAt, new Date(6000));
+
+  // An archived log is reported the same way
+  assert.deepEqual(summarizeAttendance(archiveAttendance(room)), [summary]);
+});
+
+test("summarizeAttendance counts anyone still present up to now", () => {
+  const room = roomWithLog([["join", alice, 1000]], {
+    participants: { [alice.id]: alice },
+  });
+
+  const [summary] = summarizeAttendance(room, 4000);
+  assert.equal(summary.totalMs, 3000);
+  assert.equal(summary.present, true);
+});
+
+test("attendanceToCsv writes one row per person", () => {
+  const room = roomWithLog([
+    ["join", alice, 0],
+    ["leave", alice, 90000],
+  ]);
+
+  const [header, row] = attendanceToCsv(summarizeAttendance(room))
+    .trim()
+    .split(/\r?\n/);
+  assert.match(header, /^participantId,username,role,/);
+  assert.equal(
+    row,
+    "p1,Alice,host,1970-01-01T00:00:00.000Z,1970-01-01T00:01:30.000Z,1,90,false"
+  );
+});
+
+test("closing a room records leaves for people waiting to resume", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+  const { participantId } = guest.state.self;
+  await until(host, (state) => state.participants.has(participantId));
+
+  // Drop the guest's connection without leaving
+  guest.socket.io.reconnection(false);
+  guest.socket.io.engine.close();
+  await until(
+    host,
+    (state) => state.participants.get(participantId).connected === false
+  );
+
+  const closed = await server.api(
+    "POST",
+    `/api/admin/rooms/${room.roomId}/close`,
+    { headers: { "X-Admin-Key": "admin-key" } }
+  );
+  assert.equal(closed.status, 200);
+
+  const report = await server.api(
+    "GET",
+    `/api/room/${room.roomId}/attendance`,
+    {
+      headers: { "X-Host-Key": room.hostKey },
+    }
+  );
+  assert.equal(report.status, 200);
+  const guestEvents = report.body.events
+    .filter((event) => event.participantId === participantId)
+    .map((event) => event.type);
+  assert.deepEqual(guestEvents, ["join", "disconnect", "leave"]);
+  const leave = report.body.events.at(-1);
+  assert.equal(leave.reason, "closed");
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createHostKey,
+  hashHostKey,
+  verifyHostKey,
+  hashPasscode,
+  verifyPasscode,
+  signJoinToken,
+  verifyJoinToken,
+  signDownloadToken,
+  verifyDownloadToken,
+} = require("../lib/auth");
+
+const SECRET = "test-secret";
+
+function rejects(fn, code) {
+  assert.throws(fn, (err) => err.code === code);
+}
+
+test("host keys verify against their hash only", () => {
+  const hostKey = createHostKey();
+  const hash = hashHostKey(hostKey);
+
+  assert.equal(verifyHostKey(hostKey, hash), true);
+  assert.equal(verifyHostKey(createHostKey(), hash), false);
+  assert.equal(verifyHostKey(undefined, hash), false);
+});
+
+test("passcodes are salted and verify", () => {
+  const hash = hashPasscode("1234");
+
+  assert.notEqual(hash, hashPasscode("1234"));
+  assert.equal(verifyPasscode("1234", hash), true);
+  assert.equal(verifyPasscode("4321", hash), false);
+  assert.equal(verifyPasscode(1234, hash), false);
+});
+
+test("join tokens carry their claims", () => {
+  const token = signJoinToken(
+    { roomId: "room-1", role: "co-host", username: "Ada" },
+    SECRET,
+    60
+  );
+  const claims = verifyJoinToken(token, SECRET);
+
+  assert.equal(claims.roomId, "room-1");
+  assert.equal(claims.role, "co-host");
+  assert.equal(claims.username, "Ada");
+  assert.equal(claims.exp - claims.iat, 60);
+});
+
+test("join tokens are refused when forged, tampered with or expired", () => {
+  const token = signJoinToken(
+    { roomId: "room-1", role: "attendee" },
+    SECRET,
+    60
+  );
+  const [header, , signature] = token.split(".");
+  const payload = Buffer.from(
+    JSON.stringify({ roomId: "room-1", role: "host", exp: 9999999999 })
+  ).toString("base64url");
+
+  rejects(() => verifyJoinToken(token, "other-secret"), "INVALID_TOKEN");
+  rejects(
+    () => verifyJoinToken(`${header}.${payload}.${signature}`, SECRET),
+    "INVALID_TOKEN"
+  );
+  rejects(() => verifyJoinToken("not-a-token", SECRET), "INVALID_TOKEN");
+  rejects(
+    () =>
+      verifyJoinToken(
+        signJoinToken({ roomId: "room-1", role: "attendee" }, SECRET, -1),
+        SECRET
+      ),
+    "TOKEN_EXPIRED"
+  );
+  rejects(
+    () =>
+      verifyJoinToken(
+        signJoinToken({ roomId: "room-1", role: "owner" }, SECRET, 60),
+        SECRET
+      ),
+    "INVALID_TOKEN"
+  );
+});
+
+test("download tokens carry their claims and expire", () => {
+  const fields = {
+    roomId: "room-1",
+    attachmentId: "file-1",
+    participantId: "p-1",
+  };
+  const claims = verifyDownloadToken(
+    signDownloadToken(fields, SECRET, 300),
+    SECRET
+  );
+
+  assert.deepEqual(
+    {
+      roomId: claims.roomId,
+      attachmentId: claims.attachmentId,
+      participantId: claims.participantId,
+    },
+    fields
+  );
+  rejects(
+    () => verifyDownloadToken(signDownloadToken(fields, SECRET, -1), SECRET),
+    "TOKEN_EXPIRED"
+  );
+  rejects(
+    () => verifyDownloadToken(signDownloadToken(fields, SECRET, 300), "other"),
+    "INVALID_TOKEN"
+  );
+});
+
+test("join and download tokens cannot stand in for each other", () => {
+  const joinToken = signJoinToken(
+    { roomId: "room-1", role: "host" },
+    SECRET,
+    60
+  );
+  const downloadToken = signDownloadToken(
+    { roomId: "room-1", attachmentId: "file-1", participantId: "p-1" },
+    SECRET,
+    60
+  );
+  const [, payload, signature] = joinToken.split(".");
+
+  rejects(() => verifyDownloadToken(joinToken, SECRET), "INVALID_TOKEN");
+  rejects(
+    () => verifyDownloadToken(`${payload}.${signature}`, SECRET),
+    "INVALID_TOKEN"
+  );
+  rejects(() => verifyJoinToken(downloadToken, SECRET), "INVALID_TOKEN");
+});
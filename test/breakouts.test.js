@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const {
+  createBreakouts,
+  splitEvenly,
+  describeBreakouts,
+} = require("../lib/breakouts");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+
+test("breakouts are named in order", () => {
+  const rooms = createBreakouts(3, ["Red", " ", "Blue"]);
+
+  assert.deepEqual(
+    rooms.map((room) => room.name),
+    ["Red", "Breakout 2", "Blue"]
+  );
+  assert.equal(new Set(rooms.map((room) => room.id)).size, 3);
+  assert.throws(() => createBreakouts(0), /between 1 and 50/);
+  assert.throws(() => createBreakouts(51), /between 1 and 50/);
+});
+
+test("participants are dealt out evenly", () => {
+  const ids = ["a", "b", "c", "d", "e", "f", "g"];
+  const groups = splitEvenly(ids, 3);
+
+  assert.deepEqual(groups.map((group) => group.length).sort(), [2, 2, 3]);
+  assert.deepEqual(groups.flat().sort(), ids);
+});
+
+test("the layout lists who is in each breakout and the main room", () => {
+  const [red] = createBreakouts(1, ["Red"]);
+  const room = {
+    breakouts: { startedAt: new Date(), endsAt: null, rooms: [red] },
+    participants: {
+      h: { id: "h", username: "Host", breakoutId: null },
+      a: { id: "a", username: "Ada", breakoutId: red.id },
+    },
+  };
+
+  const layout = describeBreakouts(room);
+  assert.deepEqual(layout.rooms[0].participants, [
+    { participantId: "a", username: "Ada" },
+  ]);
+  assert.deepEqual(
+    layout.mainRoom.map((p) => p.username),
+    ["Host"]
+  );
+  assert.equal(describeBreakouts({ ...room, breakouts: null }), null);
+});
+
+test("breakout chat stays in its breakout until they close", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const join = async (username) => {
+    const client = server.connect(t);
+    const info = await client.join({ roomId: room.roomId, username });
+    return { client, id: info.participantId };
+  };
+  const ada = await join("Ada");
+  const bob = await join("Bob");
+  const cy = await join("Cy");
+
+  await rejectsWith(ada.client.openBreakouts({ count: 2 }), "FORBIDDEN");
+
+  await host.openBreakouts({
+    count: 2,
+    mode: "manual",
+    names: ["Red", "Blue"],
+    assignments: { [ada.id]: 0, [cy.id]: 0, [bob.id]: 1 },
+  });
+  await until(ada.client, (state) => state.breakout?.name === "Red");
+  await until(bob.client, (state) => state.breakout?.name === "Blue");
+  await until(
+    host,
+    (state) => state.breakouts?.rooms[0].participants.length === 2
+  );
+  await rejectsWith(host.openBreakouts({ count: 1 }), "BREAKOUTS_OPEN");
+
+  const cyReceived = once(cy.client, "chat-message");
+  await ada.client.sendMessage("Red only");
+  assert.equal((await cyReceived)[0].message, "Red only");
+
+  const bobBroadcast = once(bob.client, "chat-system-message");
+  await host.broadcastToBreakouts("Two minutes left");
+  assert.equal((await bobBroadcast)[0].message, "Two minutes left");
+  assert.ok(!bob.client.state.messages.some((m) => m.message === "Red only"));
+
+  await host.assignBreakout(bob.id, null);
+  await until(bob.client, (state) => state.breakout === null);
+  await rejectsWith(
+    host.assignBreakout(bob.id, "no-such-breakout"),
+    "BREAKOUT_NOT_FOUND"
+  );
+
+  const closed = once(ada.client, "breakouts-closed");
+  await host.setBreakoutTimer(0.2);
+  await closed;
+  await until(ada.client, (state) => state.breakout === null);
+  await rejectsWith(host.closeBreakouts(), "BREAKOUTS_NOT_OPEN");
+});
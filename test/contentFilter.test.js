@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ContentFilter,
+  validateFilterSettings,
+} = require("../lib/contentFilter");
+const { useServer, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+const filter = new ContentFilter();
+
+test("blocked words match whole words in any case", () => {
+  const settings = { blockedWords: ["darn", "c++", "@admin"] };
+  const mask = (text) => filter.apply(text, settings).text;
+
+  assert.equal(mask("Darn it"), "**** it");
+  assert.equal(mask("darned"), "darned");
+  assert.equal(mask("I write C++, not Java"), "I write ***, not Java");
+  assert.equal(mask("c++11"), "c++11");
+  assert.equal(mask("ask @admin."), "ask ******.");
+  assert.equal(mask("user@admin"), "user@admin");
+  assert.deepEqual(filter.apply("all fine", settings), {
+    matched: false,
+    text: "all fine",
+  });
+});
+
+test("blocked patterns run on RE2", () => {
+  const settings = { blockedPatterns: ["\\d{4}-\\d{4}", "(a+)+$"] };
+
+  assert.equal(
+    filter.apply("call 5555-1234 now", settings).text,
+    "call ********* now"
+  );
+
+  // Backtracks for minutes on JavaScript's own engine
+  const startedAt = Date.now();
+  filter.apply(`${"a".repeat(5000)}!`, settings);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("patterns RE2 cannot run are refused, or skipped if already saved", (t) => {
+  assert.match(
+    validateFilterSettings({ blockedPatterns: ["(\\w)\\1"] }),
+    /Invalid pattern/
+  );
+  assert.match(validateFilterSettings({ filterMode: "loud" }), /filterMode/);
+  assert.match(
+    validateFilterSettings({ blockedWords: [""] }),
+    /non-empty strings/
+  );
+  assert.equal(
+    validateFilterSettings({ filterMode: "mask", blockedWords: ["x"] }),
+    null
+  );
+
+  const warn = t.mock.method(console, "warn", () => {});
+  const result = filter.apply("aa", {
+    blockedPatterns: ["(?<=a)a", "a"],
+  });
+  assert.equal(result.text, "**");
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("extra rules can be added", () => {
+  const custom = new ContentFilter([]).use(() => [/secret/gi]);
+  assert.equal(custom.apply("Top SECRET", {}).text, "Top ******");
+});
+
+test("rooms mask or block filtered chat", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+
+  await rejectsWith(
+    host.updateChatSettings({ blockedPatterns: ["(\\w)\\1"] }),
+    "INVALID_SETTINGS"
+  );
+  await host.updateChatSettings({
+    filterMode: "mask",
+    blockedWords: ["darn"],
+  });
+
+  const sent = await guest.sendMessage("darn it");
+  assert.equal(sent.message.message, "**** it");
+
+  await host.updateChatSettings({ filterMode: "block" });
+  await rejectsWith(guest.sendMessage("darn it"), "MESSAGE_BLOCKED");
+});
@@ -0,0 +1,149 @@
+// Shared setup for tests that drive a running server. useServer() starts
+// server.js on a free port, in a temporary working directory that takes its
+// data, before the calling file's tests and stops it afterwards; the
+// returned object gets the server's base URL and a REST helper once it is
+// up.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { MeetingClient, MeetingError } = require("../../client");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+function useServer(env = {}) {
+  const server = { url: null, dataDir: null, output: "" };
+  let child;
+
+  test.before(async () => {
+    const port = await freePort();
+    server.url = `http://localhost:${port}`;
+    server.dataDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "meeting-server-test-")
+    );
+
+    child = spawn(
+      process.execPath,
+      [path.join(__dirname, "..", "..", "server.js")],
+      {
+        env: {
+          ...process.env,
+          PORT: String(port),
+          ROOM_STORE: "memory",
+          JOIN_TOKEN_SECRET: "test-secret",
+          SESSION_GRACE_PERIOD_MS: "5000",
+          ...env,
+        },
+        cwd: server.dataDir,
+        stdio: ["ignore", "pipe", "pipe"],
+      }
+    );
+
+    await new Promise((resolve, reject) => {
+      child.stdout.on("data", (chunk) => {
+        server.output += chunk;
+        if (server.output.includes("Server running")) resolve();
+      });
+      child.stderr.on("data", (chunk) => {
+        server.output += chunk;
+      });
+      child.once("exit", (code) =>
+        reject(new Error(`Server exited with ${code}:\n${server.output}`))
+      );
+    });
+  });
+
+  test.after(async () => {
+    if (child && child.exitCode === null) {
+      child.kill("SIGTERM");
+      await once(child, "exit");
+    }
+    if (server.dataDir) {
+      fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+  });
+
+  // Call the REST API. Resolves with { status, headers, body }, where body
+  // is parsed JSON when the response is JSON and text otherwise.
+  server.api = async (method, urlPath, { body, headers = {} } = {}) => {
+    const response = await fetch(`${server.url}${urlPath}`, {
+      method,
+      headers:
+        body === undefined
+          ? headers
+          : { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes(
+      "application/json"
+    );
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  };
+
+  server.createRoom = async (body = {}, headers) => {
+    const response = await server.api("POST", "/api/room", { body, headers });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  // A client that leaves when the test ends
+  server.connect = (t, options = {}) => {
+    const client = new MeetingClient(server.url, {
+      requestTimeoutMs: 5000,
+      ...options,
+      socketOptions: { transports: ["websocket"], reconnectionDelay: 50 },
+    });
+    t.after(() => client.leave());
+    return client;
+  };
+
+  // Create a room and join it as its host
+  server.hostRoom = async (t, body = {}) => {
+    const room = await server.createRoom(body);
+    const host = server.connect(t);
+    const info = await host.join({
+      roomId: room.roomId,
+      username: "Host",
+      hostKey: room.hostKey,
+    });
+    return { room, host, info };
+  };
+
+  return server;
+}
+
+// Resolves once `check` passes for the client's state, which may already
+// be the case
+async function until(client, check) {
+  while (!check(client.state)) {
+    await once(client, "state-changed");
+  }
+}
+
+async function rejectsWith(promise, code, field) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof MeetingError, err.stack);
+    assert.equal(err.code, code, err.message);
+    if (field !== undefined) assert.equal(err.field, field);
+    return true;
+  });
+}
+
+module.exports = { useServer, until, rejectsWith };
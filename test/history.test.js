@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { queryMessages, MAX_PAGE_SIZE } = require("../lib/history");
+
+// m0 to m9, every third one private and from Bob
+const messages = Array.from({ length: 10 }, (_, i) => ({
+  id: `m${i}`,
+  type: "user",
+  chatMode: i % 3 === 0 ? "private" : "public",
+  senderId: i % 3 === 0 ? "bob" : "ada",
+  username: i % 3 === 0 ? "Bob" : "Ada",
+  message: i === 4 ? "Hello World" : `message ${i}`,
+}));
+
+const ids = (result) => result.messages.map((message) => message.id);
+
+function rejects(fn, code) {
+  assert.throws(fn, (err) => err.code === code);
+}
+
+test("the newest messages come first, returned oldest first", () => {
+  const result = queryMessages(messages, { limit: 3 });
+
+  assert.deepEqual(ids(result), ["m7", "m8", "m9"]);
+  assert.equal(result.hasMore, true);
+  assert.equal(queryMessages(messages).messages.length, 10);
+  assert.equal(queryMessages(messages).hasMore, false);
+});
+
+test("before and after page through the history", () => {
+  const older = queryMessages(messages, { before: "m5", limit: 2 });
+  assert.deepEqual(ids(older), ["m3", "m4"]);
+  assert.equal(older.hasMore, true);
+
+  const newer = queryMessages(messages, { after: "m5", limit: 2 });
+  assert.deepEqual(ids(newer), ["m6", "m7"]);
+  assert.equal(newer.hasMore, true);
+
+  const between = queryMessages(messages, { after: "m2", before: "m5" });
+  assert.deepEqual(ids(between), ["m3", "m4"]);
+  assert.equal(between.hasMore, false);
+
+  assert.deepEqual(ids(queryMessages(messages, { before: "m0" })), []);
+});
+
+test("filters apply before paging", () => {
+  assert.deepEqual(ids(queryMessages(messages, { search: "hello world" })), [
+    "m4",
+  ]);
+  assert.deepEqual(ids(queryMessages(messages, { sender: "bob" })), [
+    "m0",
+    "m3",
+    "m6",
+    "m9",
+  ]);
+  assert.deepEqual(ids(queryMessages(messages, { sender: "Bob", limit: 2 })), [
+    "m6",
+    "m9",
+  ]);
+  assert.deepEqual(
+    ids(queryMessages(messages, { chatMode: "private,public", limit: 1 })),
+    ["m9"]
+  );
+});
+
+test("only messages the reader may see are returned", () => {
+  const result = queryMessages(
+    messages,
+    { before: "m7", limit: 2 },
+    (message) => message.chatMode === "public"
+  );
+
+  assert.deepEqual(ids(result), ["m4", "m5"]);
+  assert.equal(result.hasMore, true);
+});
+
+test("bad queries are refused with a code", () => {
+  rejects(() => queryMessages(messages, { limit: 0 }), "INVALID_QUERY");
+  rejects(
+    () => queryMessages(messages, { limit: MAX_PAGE_SIZE + 1 }),
+    "INVALID_QUERY"
+  );
+  rejects(
+    () => queryMessages(messages, { chatMode: "secret" }),
+    "INVALID_QUERY"
+  );
+  rejects(() => queryMessages(messages, { after: "gone" }), "CURSOR_NOT_FOUND");
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+
+async function lobbyRoom(t) {
+  const { room, host } = await server.hostRoom(t, { lobbyEnabled: true });
+  const guest = server.connect(t);
+  const waiting = await guest.join({ roomId: room.roomId, username: "Guest" });
+  await until(host, (state) => state.lobby.pending.length === 1);
+  return { room, host, guest, waiting };
+}
+
+test("guests wait in the lobby until the host admits them", async (t) => {
+  const { host, guest, waiting } = await lobbyRoom(t);
+
+  assert.equal(waiting.inLobby, true);
+  assert.equal(guest.state.inLobby, true);
+  assert.equal(guest.state.participants.size, 0);
+  assert.deepEqual(
+    host.state.lobby.pending.map((entry) => entry.username),
+    ["Guest"]
+  );
+
+  const admitted = once(guest, "admitted");
+  await host.admitFromLobby(host.state.lobby.pending[0].id);
+  const [info] = await admitted;
+
+  assert.equal(info.role, "attendee");
+  assert.equal(guest.state.inLobby, false);
+  await until(guest, (state) => state.participants.size === 2);
+  await until(host, (state) => state.participants.has(info.participantId));
+  await until(host, (state) => state.lobby.pending.length === 0);
+});
+
+test("denied guests are told why and disconnected", async (t) => {
+  const { host, guest } = await lobbyRoom(t);
+
+  const denied = once(guest, "lobby-denied");
+  const disconnected = once(guest, "disconnected");
+  await host.denyFromLobby(host.state.lobby.pending[0].id, "Invite only");
+
+  assert.equal((await denied)[0].reason, "Invite only");
+  await disconnected;
+  await until(host, (state) => state.lobby.pending.length === 0);
+  assert.equal(host.state.getOthers().length, 0);
+});
+
+test("turning the lobby off lets everyone waiting in", async (t) => {
+  const { host, guest } = await lobbyRoom(t);
+
+  const admitted = once(guest, "admitted");
+  await host.setLobbyEnabled(false);
+  await admitted;
+
+  await until(host, (state) => state.getOthers().length === 1);
+  assert.equal(host.state.lobby.enabled, false);
+
+  const late = server.connect(t);
+  const info = await late.join({
+    roomId: host.state.roomId,
+    username: "Late",
+  });
+  assert.equal(info.inLobby, undefined);
+  assert.equal(info.role, "attendee");
+});
+
+test("only hosts and co-hosts manage the lobby", async (t) => {
+  const { room, host, guest } = await lobbyRoom(t);
+  await host.admitFromLobby(host.state.lobby.pending[0].id);
+  await until(guest, (state) => !state.inLobby);
+
+  const other = server.connect(t);
+  await other.join({ roomId: room.roomId, username: "Other" });
+  await until(host, (state) => state.lobby.pending.length === 1);
+  const otherId = host.state.lobby.pending[0].id;
+
+  await rejectsWith(guest.admitFromLobby(otherId), "FORBIDDEN");
+  await rejectsWith(guest.denyFromLobby(otherId), "FORBIDDEN");
+  await rejectsWith(guest.setLobbyEnabled(false), "FORBIDDEN");
+  await rejectsWith(host.admitFromLobby("not-waiting"), "NOT_IN_LOBBY");
+});
@@ -0,0 +1,160 @@
+// Drives a running server through MeetingClient
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+
+test("participants join and chat", async (t) => {
+  const room = await server.createRoom();
+  const ada = server.connect(t);
+  const bob = server.connect(t);
+
+  const adaInfo = await ada.join({
+    roomId: room.roomId,
+    username: "Ada",
+    hostKey: room.hostKey,
+  });
+  assert.equal(adaInfo.role, "host");
+  assert.equal(adaInfo.resumed, false);
+  assert.equal(ada.state.isHost, true);
+
+  const bobInfo = await bob.join({ roomId: room.roomId, username: "Bob" });
+  assert.equal(bobInfo.role, "attendee");
+  assert.equal(bob.state.hostId, adaInfo.participantId);
+  await until(ada, (state) => state.participants.has(bobInfo.participantId));
+
+  const received = once(bob, "chat-message");
+  await ada.sendMessage("Hello Bob");
+  const [message] = await received;
+  assert.equal(message.message, "Hello Bob");
+  assert.equal(message.senderId, adaInfo.participantId);
+  assert.deepEqual(
+    bob.state.messages.map((m) => m.message),
+    ["Hello Bob"]
+  );
+
+  await bob.toggleAudio(false);
+  await until(
+    ada,
+    (state) => !state.participants.get(bobInfo.participantId).audioEnabled
+  );
+  assert.equal(bob.state.getSelf().audioEnabled, false);
+});
+
+test("a dropped connection resumes its seat", async (t) => {
+  const room = await server.createRoom();
+  const ada = server.connect(t);
+  const bob = server.connect(t);
+
+  await ada.join({
+    roomId: room.roomId,
+    username: "Ada",
+    hostKey: room.hostKey,
+  });
+  const bobInfo = await bob.join({ roomId: room.roomId, username: "Bob" });
+  await ada.sendMessage("Before the drop");
+  await until(bob, (state) => state.messages.length === 1);
+
+  const reconnected = once(bob, "reconnected");
+  bob.socket.io.engine.close();
+  const [resumed] = await reconnected;
+
+  assert.equal(resumed.resumed, true);
+  assert.equal(resumed.participantId, bobInfo.participantId);
+  assert.equal(bob.state.self.participantId, bobInfo.participantId);
+  assert.equal(bob.state.messages.length, 1);
+  await until(
+    ada,
+    (state) =>
+      state.participants.size === 2 &&
+      state.participants.get(bobInfo.participantId).connected
+  );
+
+  const received = once(ada, "chat-message");
+  await bob.sendMessage("Back again");
+  assert.equal((await received)[0].message, "Back again");
+});
+
+test("failed commands are answered with error codes", async (t) => {
+  const room = await server.createRoom();
+  const ada = server.connect(t);
+  const bob = server.connect(t);
+  const stranger = server.connect(t);
+
+  await rejectsWith(
+    stranger.join({ roomId: "no-such-room", username: "Stranger" }),
+    "ROOM_NOT_FOUND"
+  );
+  await rejectsWith(
+    stranger.join({ roomId: room.roomId }),
+    "MISSING_FIELD",
+    "username"
+  );
+  await rejectsWith(
+    stranger.request("send-chat-message", {
+      roomId: room.roomId,
+      username: "Stranger",
+      message: "Hi",
+    }),
+    "NOT_IN_ROOM"
+  );
+
+  const adaInfo = await ada.join({
+    roomId: room.roomId,
+    username: "Ada",
+    hostKey: room.hostKey,
+  });
+  await bob.join({ roomId: room.roomId, username: "Bob" });
+
+  await rejectsWith(
+    bob.request("join-room", { username: "Bob" }),
+    "ALREADY_JOINED"
+  );
+  await rejectsWith(
+    bob.request("toggle-audio", { enabled: "off" }),
+    "INVALID_FIELD",
+    "enabled"
+  );
+  await rejectsWith(
+    bob.request("toggle-audio", { enabled: false, volume: 11 }),
+    "UNKNOWN_FIELD",
+    "volume"
+  );
+  await rejectsWith(bob.transferHost(adaInfo.participantId), "FORBIDDEN");
+  await rejectsWith(bob.removeParticipant(adaInfo.participantId), "FORBIDDEN");
+  await rejectsWith(bob.sendMessage(""), "INVALID_MESSAGE");
+});
+
+test("senders cannot choose the name or time on their messages", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const bob = server.connect(t);
+  const bobInfo = await bob.join({ roomId: room.roomId, username: "Bob" });
+  const hostId = host.state.self.participantId;
+  const spoofed = { username: "Host", timestamp: "2000-01-01T00:00:00Z" };
+
+  const sent = await Promise.all([
+    bob.request("send-chat-message", { ...spoofed, message: "public" }),
+    bob.request("send-private-message", {
+      ...spoofed,
+      message: "private",
+      toHost: true,
+    }),
+    host.request("send-host-message", {
+      ...spoofed,
+      username: "Bob",
+      message: "announcement",
+    }),
+  ]);
+  sent.forEach(({ message }) => {
+    const sender = message.senderId === hostId ? "Host" : "Bob";
+    assert.equal(message.username, sender, message.message);
+    assert.ok(Date.now() - new Date(message.timestamp) < 60 * 1000);
+  });
+  assert.equal(sent[0].message.senderId, bobInfo.participantId);
+
+  const typing = once(host, "user-typing");
+  await bob.request("typing-indicator", { username: "Host", isTyping: true });
+  assert.deepEqual((await typing)[0], { username: "Bob", isTyping: true });
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { useServer, rejectsWith } = require("./helpers/server");
+
+const server = useServer({ ADMIN_API_KEY: "admin-key" });
+const ADMIN = { "X-Admin-Key": "admin-key" };
+const HOUR = 60 * 60 * 1000;
+
+async function scheduleMeeting(fields = {}) {
+  return server.createRoom({
+    schedule: {
+      title: "Standup",
+      startTime: Date.now() + HOUR,
+      durationMinutes: 15,
+      ...fields,
+    },
+  });
+}
+
+test("a meeting is read with its host key or the admin key", async () => {
+  const room = await scheduleMeeting();
+  const path = `/api/meetings/${room.roomId}`;
+
+  assert.equal((await server.api("GET", path)).status, 401);
+  assert.equal(
+    (await server.api("GET", path, { headers: { "X-Host-Key": "wrong" } }))
+      .status,
+    401
+  );
+
+  const asHost = await server.api("GET", path, {
+    headers: { "X-Host-Key": room.hostKey },
+  });
+  assert.equal(asHost.status, 200);
+  assert.equal(asHost.body.title, "Standup");
+  assert.equal(asHost.body.status, "scheduled");
+
+  const asAdmin = await server.api("GET", path, { headers: ADMIN });
+  assert.deepEqual(asAdmin.body, asHost.body);
+
+  const unscheduled = await server.createRoom();
+  const missing = await server.api(
+    "GET",
+    `/api/meetings/${unscheduled.roomId}`,
+    { headers: { "X-Host-Key": unscheduled.hostKey } }
+  );
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, "MEETING_NOT_FOUND");
+});
+
+test("the meeting list needs the admin key", async () => {
+  const room = await scheduleMeeting({ title: "Listed" });
+
+  assert.equal((await server.api("GET", "/api/meetings")).status, 401);
+
+  const { status, body } = await server.api(
+    "GET",
+    "/api/meetings?status=scheduled",
+    { headers: ADMIN }
+  );
+  assert.equal(status, 200);
+  assert.ok(body.meetings.some((meeting) => meeting.roomId === room.roomId));
+  assert.ok(body.meetings.every((meeting) => meeting.status === "scheduled"));
+});
+
+test("hosts reschedule and cancel their meeting", async (t) => {
+  const room = await scheduleMeeting();
+  const path = `/api/meetings/${room.roomId}`;
+  const headers = { "X-Host-Key": room.hostKey };
+  const startTime = Date.parse("2030-01-06T10:00:00.000Z");
+
+  const rescheduled = await server.api("PATCH", path, {
+    body: { startTime, recurrence: "weekly" },
+    headers,
+  });
+  assert.equal(rescheduled.status, 200);
+  assert.equal(rescheduled.body.startTime, "2030-01-06T10:00:00.000Z");
+  assert.equal(rescheduled.body.recurrence, "weekly");
+  assert.equal(rescheduled.body.title, "Standup");
+
+  const guest = server.connect(t);
+  await rejectsWith(
+    guest.join({ roomId: room.roomId, username: "Guest" }),
+    "MEETING_NOT_STARTED"
+  );
+
+  const live = await server.api("PATCH", path, {
+    body: { startTime: Date.now() - 60 * 1000 },
+    headers,
+  });
+  assert.equal(live.body.status, "live");
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+  const ended = once(guest, "meeting-ended");
+
+  const cancelled = await server.api("DELETE", path, { headers });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, "cancelled");
+  await ended;
+
+  const again = await server.api("PATCH", path, {
+    body: { durationMinutes: 30 },
+    headers,
+  });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, "MEETING_CANCELLED");
+});
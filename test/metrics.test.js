@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const metrics = require("../lib/metrics");
+const { useServer, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+
+// The value of one sample in the text exposition format, or 0 when the
+// sample is not there yet
+function sampleValue(text, name, labels = {}) {
+  const labelText = Object.entries(labels)
+    .map(([key, value]) => `${key}="${value}"`)
+    .join(",");
+  const prefix = labelText ? `${name}{${labelText}} ` : `${name} `;
+  const line = text.split("\n").find((entry) => entry.startsWith(prefix));
+  return line ? Number(line.slice(prefix.length)) : 0;
+}
+
+async function scrape() {
+  const response = await server.api("GET", "/metrics");
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain/);
+  return response.body;
+}
+
+test("collectState samples current state when scraped", async () => {
+  let samples = 0;
+  metrics.collectState(() => {
+    samples += 1;
+    return {
+      rooms: [
+        { participants: { a: {}, b: {} } },
+        { participants: { c: {} } },
+        { participants: {} },
+      ],
+      sockets: 4,
+    };
+  });
+
+  const text = await metrics.renderMetrics();
+  assert.equal(sampleValue(text, "meeting_active_rooms"), 2);
+  assert.equal(sampleValue(text, "meeting_socket_connections"), 4);
+  assert.equal(sampleValue(text, "meeting_room_participants_count"), 2);
+  assert.equal(sampleValue(text, "meeting_room_participants_sum"), 3);
+  // The metrics of one scrape share a sample
+  assert.equal(samples, 1);
+});
+
+test("/metrics reports rooms, events and chat messages", async (t) => {
+  const before = await scrape();
+  const { host } = await server.hostRoom(t);
+  await host.sendMessage("hello");
+  const after = await scrape();
+
+  assert.ok(sampleValue(after, "meeting_active_rooms") >= 1);
+  assert.ok(sampleValue(after, "meeting_socket_connections") >= 1);
+  const joins = { event: "join-room" };
+  assert.equal(
+    sampleValue(after, "meeting_socket_events_total", joins) -
+      sampleValue(before, "meeting_socket_events_total", joins),
+    1
+  );
+  const mode = { mode: "public" };
+  assert.ok(
+    sampleValue(after, "meeting_chat_messages_total", mode) >
+      sampleValue(before, "meeting_chat_messages_total", mode)
+  );
+  assert.match(
+    after,
+    /meeting_socket_event_duration_seconds_count\{event="send-chat-message"\} \d+/
+  );
+});
+
+test("/metrics counts refused joins and permission denials", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+  const outsider = server.connect(t);
+
+  const before = await scrape();
+  await rejectsWith(
+    outsider.join({ roomId: "no-such-room", username: "Outsider" }),
+    "ROOM_NOT_FOUND"
+  );
+  await rejectsWith(
+    guest.removeParticipant(host.state.self.participantId),
+    "FORBIDDEN"
+  );
+  const after = await scrape();
+
+  const notFound = { reason: "ROOM_NOT_FOUND" };
+  assert.equal(
+    sampleValue(after, "meeting_join_failures_total", notFound) -
+      sampleValue(before, "meeting_join_failures_total", notFound),
+    1
+  );
+  const removal = { event: "remove-participant" };
+  assert.equal(
+    sampleValue(after, "meeting_permission_denials_total", removal) -
+      sampleValue(before, "meeting_permission_denials_total", removal),
+    1
+  );
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const {
+  createPoll,
+  normalizeChoices,
+  tallyPoll,
+  publicPoll,
+  pollsToCsv,
+} = require("../lib/polls");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+const creator = { id: "h", username: "Host" };
+
+test("createPoll checks the definition", () => {
+  const poll = createPoll(
+    { question: " Lunch? ", options: ["Pizza ", "Soup"] },
+    creator
+  );
+  assert.equal(poll.question, "Lunch?");
+  assert.deepEqual(poll.options, ["Pizza", "Soup"]);
+  assert.equal(poll.status, "draft");
+  assert.equal(poll.correctOptions, null);
+
+  assert.throws(
+    () => createPoll({ question: "", options: ["a", "b"] }, creator),
+    /Question/
+  );
+  assert.throws(
+    () => createPoll({ question: "Q", options: ["only"] }, creator),
+    /between 2 and 10 options/
+  );
+  assert.throws(
+    () =>
+      createPoll(
+        { question: "Q", options: ["a", "b"], correctOptions: [0, 1] },
+        creator
+      ),
+    /exactly one correct option/
+  );
+  assert.throws(
+    () =>
+      createPoll(
+        { question: "Q", options: ["a", "b"], correctOptions: [2] },
+        creator
+      ),
+    /correctOptions/
+  );
+});
+
+test("choices are de-duplicated and checked against the options", () => {
+  assert.deepEqual(normalizeChoices([2, 0, 2], 3, true), [0, 2]);
+  assert.deepEqual(normalizeChoices([1], 3, false), [1]);
+  assert.equal(normalizeChoices([0, 1], 3, false), null);
+  assert.equal(normalizeChoices([3], 3, true), null);
+  assert.equal(normalizeChoices([0.5], 3, true), null);
+  assert.equal(normalizeChoices([], 3, true), null);
+});
+
+test("results count votes and hide voters of anonymous polls", () => {
+  const poll = createPoll(
+    { question: "Q", options: ["a", "b", "c"], multipleChoice: true },
+    creator
+  );
+  poll.votes = {
+    p1: { username: "Ada", choices: [0, 2], votedAt: new Date() },
+    p2: { username: "Bob", choices: [2], votedAt: new Date() },
+  };
+
+  const results = tallyPoll(poll);
+  assert.equal(results.totalVotes, 2);
+  assert.deepEqual(results.counts, [1, 0, 2]);
+  assert.deepEqual(
+    results.voters.map((voter) => voter.username),
+    ["Ada", "Bob"]
+  );
+  assert.equal(tallyPoll({ ...poll, anonymous: true }).voters, null);
+
+  const csv = pollsToCsv([poll]).split("\r\n");
+  assert.equal(csv.length, 5);
+  assert.match(csv[3], /,c,2,,Ada; Bob$/);
+});
+
+test("open quizzes do not give away the answer", () => {
+  const quiz = createPoll(
+    { question: "2 + 2?", options: ["3", "4"], correctOptions: [1] },
+    creator
+  );
+  const shown = publicPoll(quiz);
+
+  assert.equal(shown.isQuiz, true);
+  assert.equal(shown.correctOptions, undefined);
+  assert.equal(shown.votes, undefined);
+});
+
+test("participants vote once in an open poll", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+
+  await rejectsWith(
+    guest.createPoll({ question: "Mine?", options: ["a", "b"] }),
+    "FORBIDDEN"
+  );
+  await rejectsWith(
+    host.createPoll({ question: "Bad", options: ["a"] }),
+    "INVALID_POLL"
+  );
+
+  const poll = await host.createPoll({
+    question: "2 + 2?",
+    options: ["3", "4"],
+    correctOptions: [1],
+  });
+  await rejectsWith(guest.votePoll(poll.id, [1]), "POLL_NOT_OPEN");
+
+  const opened = once(guest, "poll-opened");
+  await host.openPoll(poll.id);
+  const [shown] = await opened;
+  assert.equal(shown.correctOptions, undefined);
+
+  await rejectsWith(guest.votePoll(poll.id, [0, 1]), "INVALID_CHOICE");
+  await guest.votePoll(poll.id, [1]);
+  await until(guest, (state) => state.votedPollIds.has(poll.id));
+  await rejectsWith(guest.votePoll(poll.id, [0]), "ALREADY_VOTED");
+  await until(
+    host,
+    (state) => state.polls.get(poll.id).results?.totalVotes === 1
+  );
+
+  const closed = once(guest, "poll-closed");
+  await host.closePoll(poll.id);
+  const [final] = await closed;
+  assert.deepEqual(final.results.counts, [0, 1]);
+  assert.deepEqual(final.correctOptions, [1]);
+
+  const { status, body } = await server.api(
+    "GET",
+    `/api/room/${room.roomId}/polls`,
+    { headers: { "X-Host-Key": room.hostKey } }
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.polls.map((p) => [p.question, p.status]),
+    [["2 + 2?", "closed"]]
+  );
+});
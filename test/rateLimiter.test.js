@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const RateLimiter = require("../lib/rateLimiter");
+const { useServer, rejectsWith } = require("./helpers/server");
+
+const server = useServer({
+  RATE_LIMIT_SEND_CHAT_MESSAGE: "3:0.1",
+  CHAT_MUTE_THRESHOLD: "2",
+});
+
+test("a bucket allows a burst, then refills over time", (t) => {
+  let now = 1000000;
+  t.mock.method(Date, "now", () => now);
+  const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 0.5 });
+
+  assert.equal(limiter.take("ada"), 0);
+  assert.equal(limiter.take("ada"), 0);
+  assert.equal(limiter.take("ada"), 2000);
+  assert.equal(limiter.take("bob"), 0);
+
+  now += 1000;
+  assert.equal(limiter.take("ada"), 1000);
+  now += 1000;
+  assert.equal(limiter.take("ada"), 0);
+
+  limiter.reset("ada");
+  assert.equal(limiter.take("ada"), 0);
+});
+
+test("full buckets are forgotten", (t) => {
+  let now = 1000000;
+  t.mock.method(Date, "now", () => now);
+  const limiter = new RateLimiter({ capacity: 1, refillPerSecond: 1 });
+
+  limiter.take("ada");
+  limiter.prune();
+  assert.equal(limiter.buckets.size, 1);
+
+  now += 1000;
+  limiter.prune();
+  assert.equal(limiter.buckets.size, 0);
+});
+
+test("flooding the chat is refused and ends in a mute", async (t) => {
+  const { room } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+
+  for (let i = 0; i < 3; i++) {
+    await guest.sendMessage(`message ${i}`);
+  }
+
+  await assert.rejects(guest.sendMessage("one more"), (err) => {
+    assert.equal(err.code, "RATE_LIMITED");
+    assert.ok(err.details.retryAfterMs > 0);
+    return true;
+  });
+
+  const muted = once(guest, "chat-muted");
+  await rejectsWith(guest.sendMessage("and another"), "RATE_LIMITED");
+  await muted;
+  assert.ok(Date.parse(guest.state.chatMutedUntil) > Date.now());
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const {
+  roleCan,
+  can,
+  outranks,
+  setRole,
+  pickNextHost,
+} = require("../lib/roles");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer();
+
+function room(...participants) {
+  return {
+    hostId: participants.find((p) => p.role === "host")?.id || null,
+    participants: Object.fromEntries(participants.map((p) => [p.id, p])),
+    disconnectedParticipants: {},
+  };
+}
+
+const host = () => ({ id: "h", role: "host", isHost: true });
+const cohost = () => ({ id: "c", role: "co-host", isHost: false });
+const attendee = () => ({ id: "a", role: "attendee", isHost: false });
+
+test("permissions follow the role table", () => {
+  assert.equal(roleCan("host", "transfer-host"), true);
+  assert.equal(roleCan("co-host", "transfer-host"), false);
+  assert.equal(roleCan("co-host", "remove-participant"), true);
+  assert.equal(roleCan("panelist", "bypass-chat-restrictions"), true);
+  assert.equal(roleCan("attendee", "bypass-chat-restrictions"), false);
+  assert.throws(() => roleCan("host", "launch-rockets"), /Unknown permission/);
+
+  const meeting = room(host(), attendee());
+  assert.equal(can(meeting, "h", "manage-lobby"), true);
+  assert.equal(can(meeting, "a", "manage-lobby"), false);
+  assert.equal(can(meeting, "gone", "manage-lobby"), false);
+});
+
+test("only higher roles act on lower ones", () => {
+  assert.equal(outranks(host(), cohost()), true);
+  assert.equal(outranks(host(), host()), false);
+  assert.equal(outranks(cohost(), attendee()), true);
+  assert.equal(outranks(cohost(), host()), false);
+  assert.equal(outranks(cohost(), cohost()), false);
+  assert.equal(outranks(attendee(), attendee()), false);
+});
+
+test("setRole keeps a single host", () => {
+  const meeting = room(host(), cohost(), attendee());
+
+  setRole(meeting, meeting.participants.a, "host");
+  assert.equal(meeting.hostId, "a");
+  assert.equal(meeting.participants.a.isHost, true);
+  assert.equal(meeting.participants.h.role, "attendee");
+  assert.equal(meeting.participants.h.isHost, false);
+
+  assert.throws(
+    () => setRole(meeting, meeting.participants.a, "co-host"),
+    /Transfer host/
+  );
+  assert.equal(meeting.participants.a.role, "host");
+});
+
+test("a co-host takes over from a departing host", () => {
+  assert.equal(pickNextHost([attendee(), cohost()]).id, "c");
+  assert.equal(pickNextHost([attendee()]).id, "a");
+  assert.equal(pickNextHost([]), null);
+});
+
+test("co-hosts moderate but cannot touch the host", async (t) => {
+  const { room: meeting, host: owner, info } = await server.hostRoom(t);
+  const helper = server.connect(t);
+  const guest = server.connect(t);
+  const helperInfo = await helper.join({
+    roomId: meeting.roomId,
+    username: "Helper",
+  });
+  const guestInfo = await guest.join({
+    roomId: meeting.roomId,
+    username: "Guest",
+  });
+
+  await rejectsWith(helper.promoteCohost(guestInfo.participantId), "FORBIDDEN");
+
+  await owner.promoteCohost(helperInfo.participantId);
+  await until(helper, (state) => state.self.role === "co-host");
+  await until(
+    guest,
+    (state) =>
+      state.participants.get(helperInfo.participantId).role === "co-host"
+  );
+
+  await rejectsWith(helper.removeParticipant(info.participantId), "FORBIDDEN");
+  await rejectsWith(
+    helper.setParticipantRole(guestInfo.participantId, "panelist"),
+    "FORBIDDEN"
+  );
+
+  const removed = once(guest, "you-were-removed");
+  await helper.removeParticipant(guestInfo.participantId);
+  await removed;
+  await until(
+    owner,
+    (state) => !state.participants.has(guestInfo.participantId)
+  );
+});
+
+test("the host role moves only by transfer", async (t) => {
+  const { room: meeting, host: owner, info } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  const guestInfo = await guest.join({
+    roomId: meeting.roomId,
+    username: "Guest",
+  });
+
+  await rejectsWith(
+    owner.setParticipantRole(guestInfo.participantId, "host"),
+    "INVALID_ROLE"
+  );
+  await rejectsWith(
+    owner.setParticipantRole(info.participantId, "attendee"),
+    "HOST_ROLE_LOCKED"
+  );
+
+  await owner.transferHost(guestInfo.participantId);
+  await until(guest, (state) => state.isHost);
+  await until(owner, (state) => state.hostId === guestInfo.participantId);
+  await rejectsWith(owner.transferHost(info.participantId), "FORBIDDEN");
+});
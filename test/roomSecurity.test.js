@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const { useServer, until, rejectsWith } = require("./helpers/server");
+
+const server = useServer({ PASSCODE_MAX_ATTEMPTS: "3" });
+
+test("a passcode is needed to join unless the host key or a join token is shown", async (t) => {
+  const { room } = await server.hostRoom(t, { passcode: "open-sesame" });
+  const join = (fields) =>
+    server
+      .connect(t)
+      .join({ roomId: room.roomId, username: "Guest", ...fields });
+
+  await rejectsWith(join({}), "PASSCODE_REQUIRED");
+  await rejectsWith(join({ passcode: "guess" }), "INVALID_PASSCODE");
+  assert.equal((await join({ passcode: "open-sesame" })).role, "attendee");
+
+  const { body } = await server.api(
+    "POST",
+    `/api/room/${room.roomId}/join-tokens`,
+    { body: { role: "panelist" }, headers: { "X-Host-Key": room.hostKey } }
+  );
+  assert.equal((await join({ joinToken: body.token })).role, "panelist");
+});
+
+test("wrong passcodes are limited", async (t) => {
+  const { room } = await server.hostRoom(t, { passcode: "open-sesame" });
+  const guest = server.connect(t);
+  const attempt = (passcode) =>
+    guest.join({ roomId: room.roomId, username: "Guest", passcode });
+
+  await rejectsWith(attempt("one"), "INVALID_PASSCODE");
+  await rejectsWith(attempt("two"), "INVALID_PASSCODE");
+  await rejectsWith(attempt("three"), "INVALID_PASSCODE");
+  await rejectsWith(attempt("open-sesame"), "TOO_MANY_ATTEMPTS");
+});
+
+test("a locked room only lets hosts in", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const guest = server.connect(t);
+  await guest.join({ roomId: room.roomId, username: "Guest" });
+
+  const updated = once(guest, "room-security-updated");
+  await host.updateRoomSecurity({ locked: true });
+  await updated;
+  assert.equal(guest.state.security.locked, true);
+
+  await rejectsWith(
+    server.connect(t).join({ roomId: room.roomId, username: "Late" }),
+    "ROOM_LOCKED"
+  );
+  await rejectsWith(guest.updateRoomSecurity({ locked: false }), "FORBIDDEN");
+
+  // The host key still gets in, and takes the host role with it
+  const rejoined = server.connect(t);
+  await rejoined.join({
+    roomId: room.roomId,
+    username: "Host again",
+    hostKey: room.hostKey,
+  });
+
+  await rejoined.updateRoomSecurity({ locked: false });
+  await server.connect(t).join({ roomId: room.roomId, username: "Late" });
+});
+
+test("only an explicit null removes the passcode", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+
+  await host.updateRoomSecurity({ passcode: "open-sesame" });
+  await until(host, (state) => state.security.hasPasscode);
+
+  await rejectsWith(
+    host.updateRoomSecurity({ passcode: "" }),
+    "INVALID_FIELD",
+    "passcode"
+  );
+  await rejectsWith(
+    server.connect(t).join({ roomId: room.roomId, username: "Guest" }),
+    "PASSCODE_REQUIRED"
+  );
+
+  await host.updateRoomSecurity({ passcode: null });
+  await until(host, (state) => !state.security.hasPasscode);
+  await server.connect(t).join({ roomId: room.roomId, username: "Guest" });
+});
@@ -0,0 +1,209 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RoomState = require("../client/roomState");
+
+// A state that has joined room-1 as Ada, with Bob as host
+function joined() {
+  const state = new RoomState();
+  state.reset("room-1");
+  state.self.username = "Ada";
+  state.apply("session-info", {
+    participantId: "ada",
+    sessionToken: "token",
+    role: "attendee",
+  });
+  state.apply("room-info", {
+    roomCreatedAt: "2026-03-02T09:00:00.000Z",
+    hostId: "bob",
+    hostMasterControls: { audioEnabled: true, videoEnabled: true },
+    locked: false,
+    hasPasscode: true,
+  });
+  state.apply("room-participants", {
+    participants: {
+      bob: { username: "Bob", peerId: "peer-bob", role: "host" },
+    },
+  });
+  return state;
+}
+
+function message(id, text) {
+  return { id, type: "user", chatMode: "public", message: text };
+}
+
+test("joining fills in this client, the room and the others", () => {
+  const state = joined();
+
+  assert.equal(state.self.participantId, "ada");
+  assert.equal(state.getSelf().username, "Ada");
+  assert.equal(state.isHost, false);
+  assert.equal(state.hostId, "bob");
+  assert.deepEqual(state.security, { locked: false, hasPasscode: true });
+  assert.deepEqual(
+    state.getOthers().map((p) => [p.username, p.isHost]),
+    [["Bob", true]]
+  );
+  assert.equal(state.findByPeerId("peer-bob").participantId, "bob");
+});
+
+test("participants come and go", () => {
+  const state = joined();
+
+  assert.equal(
+    state.apply("user-joined", { participantId: "cy", username: "Cy" }),
+    true
+  );
+  state.apply("hand-queue-updated", { queue: [{ participantId: "cy" }] });
+  state.apply("user-disconnected", { participantId: "cy" });
+  assert.equal(state.participants.get("cy").connected, false);
+
+  state.apply("user-reconnected", { participantId: "cy", username: "Cy" });
+  assert.equal(state.participants.get("cy").connected, true);
+
+  assert.equal(state.apply("user-left", { participantId: "cy" }), true);
+  assert.equal(state.participants.has("cy"), false);
+  assert.deepEqual(state.raisedHands, []);
+  assert.equal(
+    state.apply("user-disconnected", { participantId: "cy" }),
+    false
+  );
+});
+
+test("a resumed session keeps the state and a new one starts afresh", () => {
+  const state = joined();
+  state.apply("chat-message", message("m1", "hi"));
+
+  state.apply("session-info", {
+    participantId: "ada",
+    sessionToken: "token",
+    role: "attendee",
+    resumed: true,
+  });
+  assert.equal(state.messages.length, 1);
+  assert.equal(state.participants.has("bob"), true);
+
+  // Anyone missing from the list left while this client was away
+  state.apply("room-participants", { participants: {} });
+  assert.deepEqual(state.getOthers(), []);
+  assert.equal(state.getSelf().username, "Ada");
+
+  state.apply("session-info", {
+    participantId: "ada-2",
+    sessionToken: "token-2",
+    role: "attendee",
+  });
+  assert.equal(state.messages.length, 0);
+  assert.equal(state.roomId, "room-1");
+  assert.deepEqual([...state.participants.keys()], ["ada-2"]);
+});
+
+test("messages are kept in order, replaced by ID and capped", () => {
+  const state = new RoomState({ maxMessages: 2 });
+
+  state.apply("chat-message", message("m1", "one"));
+  state.apply("chat-message", message("m2", "two"));
+  state.apply("chat-message", message("m2", "two again"));
+  assert.deepEqual(
+    state.messages.map((m) => m.message),
+    ["one", "two again"]
+  );
+
+  state.apply("private-message", message("m3", "three"));
+  assert.deepEqual(
+    state.messages.map((m) => m.id),
+    ["m2", "m3"]
+  );
+
+  state.apply("message-edited", {
+    messageId: "m3",
+    message: "edited",
+    editedAt: "2026-03-02T09:01:00.000Z",
+  });
+  state.apply("message-reactions-updated", {
+    messageId: "m2",
+    reactions: { "👍": 1 },
+  });
+  state.apply("message-deleted", {
+    messageId: "m2",
+    deletedAt: "2026-03-02T09:02:00.000Z",
+    deletedBy: "bob",
+  });
+  assert.equal(state.messages[1].message, "edited");
+  assert.equal(state.messages[0].message, "");
+  assert.equal(state.messages[0].deleted, true);
+  assert.equal(state.messages[0].deletedBy, "bob");
+  assert.equal("reactions" in state.messages[0], false);
+  assert.equal(
+    state.apply("message-edited", { messageId: "gone", message: "x" }),
+    false
+  );
+});
+
+test("host and role changes follow the server", () => {
+  const state = joined();
+
+  state.apply("host-privileges-updated", { newHostId: "ada" });
+  assert.equal(state.isHost, true);
+  assert.equal(state.participants.get("bob").isHost, false);
+
+  state.apply("participant-role-updated", {
+    participantId: "ada",
+    role: "co-host",
+  });
+  assert.equal(state.self.role, "co-host");
+  assert.equal(state.getSelf().role, "co-host");
+});
+
+test("media changes apply to one participant or to everyone", () => {
+  const state = joined();
+
+  state.apply("user-toggle-audio", { participantId: "bob", enabled: false });
+  assert.equal(state.participants.get("bob").audioEnabled, false);
+  assert.equal(state.getSelf().audioEnabled, true);
+
+  state.apply("user-toggle-video", {
+    enabled: false,
+    isHostMasterControl: true,
+  });
+  assert.deepEqual(
+    [...state.participants.values()].map((p) => p.videoEnabled),
+    [false, false]
+  );
+
+  state.apply("host-muted-audio", {});
+  assert.equal(state.getSelf().audioEnabled, false);
+});
+
+test("polls track results and this client's votes", () => {
+  const state = joined();
+
+  state.apply("poll-created", {
+    id: "poll-1",
+    question: "Lunch?",
+    status: "draft",
+  });
+  state.apply("poll-opened", { id: "poll-1", status: "open" });
+  state.apply("poll-vote-recorded", { pollId: "poll-1" });
+  state.apply("poll-results-updated", {
+    pollId: "poll-1",
+    results: { counts: [1, 0] },
+  });
+
+  const poll = state.polls.get("poll-1");
+  assert.equal(poll.question, "Lunch?");
+  assert.equal(poll.status, "open");
+  assert.deepEqual(poll.results, { counts: [1, 0] });
+  assert.equal(state.votedPollIds.has("poll-1"), true);
+  assert.equal(
+    state.apply("poll-results-updated", { pollId: "gone", results: {} }),
+    false
+  );
+});
+
+test("unknown events leave the state alone", () => {
+  const state = joined();
+  const before = state.toJSON();
+
+  assert.equal(state.apply("something-new", { participantId: "ada" }), false);
+  assert.deepEqual(state.toJSON(), before);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeSchedule, getWindow, getStatus } = require("../lib/schedule");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.parse("2026-03-02T09:00:00.000Z");
+
+function schedule(fields = {}) {
+  return normalizeSchedule({
+    startTime: new Date(START).toISOString(),
+    durationMinutes: 60,
+    ...fields,
+  });
+}
+
+test("getWindow returns a one-off meeting until it ends", () => {
+  const oneOff = schedule();
+  const window = { start: START, end: START + HOUR };
+
+  assert.deepEqual(getWindow(oneOff, START - DAY), window);
+  assert.deepEqual(getWindow(oneOff, START + HOUR / 2), window);
+  assert.equal(getWindow(oneOff, START + HOUR), null);
+});
+
+test("getWindow steps to the running or next occurrence", () => {
+  const daily = schedule({ recurrence: "daily" });
+
+  assert.deepEqual(getWindow(daily, START + 2 * DAY + HOUR / 2), {
+    start: START + 2 * DAY,
+    end: START + 2 * DAY + HOUR,
+  });
+  assert.deepEqual(getWindow(daily, START + 2 * DAY + 2 * HOUR), {
+    start: START + 3 * DAY,
+    end: START + 3 * DAY + HOUR,
+  });
+
+  const weekly = schedule({ recurrence: "weekly" });
+  assert.equal(getWindow(weekly, START + DAY).start, START + 7 * DAY);
+});
+
+test("getWindow stops at recurrenceEnd", () => {
+  const daily = schedule({
+    recurrence: "daily",
+    recurrenceEnd: new Date(START + 2 * DAY).toISOString(),
+  });
+
+  assert.equal(getWindow(daily, START + 2 * DAY).start, START + 2 * DAY);
+  assert.equal(getWindow(daily, START + 2 * DAY + HOUR), null);
+  assert.equal(getStatus(daily, START + 2 * DAY + HOUR), "ended");
+});
+
+test("getWindow has nothing for a cancelled meeting", () => {
+  const cancelled = { ...schedule(), cancelled: true };
+
+  assert.equal(getWindow(cancelled, START - DAY), null);
+  assert.equal(getStatus(cancelled, START - DAY), "cancelled");
+});
+
+test("normalizeSchedule accepts ISO dates and epoch milliseconds", () => {
+  const fromMillis = normalizeSchedule({
+    startTime: START,
+    durationMinutes: 30,
+    recurrence: "daily",
+    recurrenceEnd: START + 7 * DAY,
+  });
+
+  assert.equal(fromMillis.startTime, "2026-03-02T09:00:00.000Z");
+  assert.equal(fromMillis.recurrenceEnd, "2026-03-09T09:00:00.000Z");
+  assert.deepEqual(
+    fromMillis,
+    normalizeSchedule({
+      startTime: "2026-03-02T09:00:00.000Z",
+      durationMinutes: 30,
+      recurrence: "daily",
+      recurrenceEnd: "2026-03-09T09:00:00.000Z",
+    })
+  );
+});
+
+test("normalizeSchedule rejects invalid schedules", () => {
+  assert.throws(
+    () => normalizeSchedule({ startTime: "soon", durationMinutes: 30 }),
+    /startTime/
+  );
+  assert.throws(
+    () => schedule({ durationMinutes: 0 }),
+    /durationMinutes must be between 1 and 1440/
+  );
+  assert.throws(() => schedule({ recurrence: "monthly" }), /recurrence/);
+  assert.throws(() => schedule({ warningMinutes: 60 }), /warningMinutes/);
+});
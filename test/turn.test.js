@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  createTurnCredentials,
+  parseUrls,
+  buildIceServers,
+  validateTurnTtl,
+} = require("../lib/turn");
+const { useServer, rejectsWith } = require("./helpers/server");
+
+const TURN_SECRET = "turn-secret";
+
+const server = useServer({
+  STUN_URLS: "stun:stun.example.com:3478",
+  TURN_URLS: "turn:turn.example.com:3478?transport=udp, turns:turn.example.com",
+  TURN_SECRET,
+  TURN_TTL_SECONDS: "600",
+  TURN_MAX_TTL_SECONDS: "7200",
+});
+
+// Check credentials the way coturn does with use-auth-secret
+function assertValidCredentials(iceServer, userId, ttlSeconds) {
+  const [expiry, user] = iceServer.username.split(":");
+  assert.equal(user, userId);
+  const remaining = Number(expiry) - Date.now() / 1000;
+  assert.ok(remaining > ttlSeconds - 5 && remaining <= ttlSeconds);
+  assert.equal(
+    iceServer.credential,
+    crypto
+      .createHmac("sha1", TURN_SECRET)
+      .update(iceServer.username)
+      .digest("base64")
+  );
+}
+
+test("createTurnCredentials follows the coturn REST API scheme", () => {
+  const credentials = createTurnCredentials("secret", "user-1", 60, 1000000);
+  assert.equal(credentials.username, "1060:user-1");
+  assert.equal(
+    credentials.credential,
+    crypto.createHmac("sha1", "secret").update("1060:user-1").digest("base64")
+  );
+  assert.deepEqual(credentials.expiresAt, new Date(1060000));
+});
+
+test("parseUrls splits a comma separated list", () => {
+  assert.deepEqual(parseUrls(" stun:a , ,turn:b"), ["stun:a", "turn:b"]);
+  assert.deepEqual(parseUrls(undefined), []);
+});
+
+test("buildIceServers only offers TURN with a shared secret", () => {
+  const config = { stunUrls: ["stun:a"], turnUrls: ["turn:b"], secret: null };
+  assert.deepEqual(buildIceServers(config, "user-1", 60), {
+    iceServers: [{ urls: ["stun:a"] }],
+    ttlSeconds: null,
+    expiresAt: null,
+  });
+
+  const withSecret = buildIceServers(
+    { ...config, secret: "secret" },
+    "user-1",
+    60
+  );
+  assert.equal(withSecret.iceServers.length, 2);
+  assert.deepEqual(withSecret.iceServers[1].urls, ["turn:b"]);
+  assert.equal(withSecret.ttlSeconds, 60);
+});
+
+test("validateTurnTtl accepts whole seconds up to the maximum", () => {
+  assert.equal(validateTurnTtl(undefined, 100), null);
+  assert.equal(validateTurnTtl(null, 100), null);
+  assert.equal(validateTurnTtl(100, 100), null);
+  [0, 101, 1.5, "60"].forEach((ttl) =>
+    assert.match(validateTurnTtl(ttl, 100), /between 1 and 100/)
+  );
+});
+
+test("participants get TURN credentials named after them", async (t) => {
+  const { room, host } = await server.hostRoom(t);
+  const { participantId, sessionToken } = host.state.self;
+
+  const fromSocket = await host.getIceServers();
+  assert.deepEqual(fromSocket.iceServers[0], {
+    urls: ["stun:stun.example.com:3478"],
+  });
+  assert.deepEqual(fromSocket.iceServers[1].urls, [
+    "turn:turn.example.com:3478?transport=udp",
+    "turns:turn.example.com",
+  ]);
+  assertValidCredentials(fromSocket.iceServers[1], participantId, 600);
+  assert.equal(fromSocket.ttlSeconds, 600);
+
+  const fromRest = await server.api(
+    "GET",
+    `/api/room/${room.roomId}/ice-servers`,
+    { headers: { "X-Session-Token": sessionToken } }
+  );
+  assert.equal(fromRest.status, 200);
+  assert.equal(fromRest.headers.get("cache-control"), "no-store");
+  assertValidCredentials(fromRest.body.iceServers[1], participantId, 600);
+});
+
+test("rooms and join tokens can set the credential lifetime", async (t) => {
+  const { room, host } = await server.hostRoom(t, { turnTtlSeconds: 1200 });
+  assertValidCredentials(
+    (await host.getIceServers()).iceServers[1],
+    host.state.self.participantId,
+    1200
+  );
+
+  const issued = await server.api(
+    "POST",
+    `/api/room/${room.roomId}/join-tokens`,
+    { body: { turnTtlSeconds: 300 }, headers: { "X-Host-Key": room.hostKey } }
+  );
+  assert.equal(issued.status, 200);
+  const guest = server.connect(t);
+  await guest.join({
+    roomId: room.roomId,
+    username: "Guest",
+    joinToken: issued.body.token,
+  });
+  assertValidCredentials(
+    (await guest.getIceServers()).iceServers[1],
+    guest.state.self.participantId,
+    300
+  );
+
+  const tooLong = await server.api(
+    "POST",
+    `/api/room/${room.roomId}/join-tokens`,
+    { body: { turnTtlSeconds: 7201 }, headers: { "X-Host-Key": room.hostKey } }
+  );
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.field, "turnTtlSeconds");
+});
+
+test("ICE servers are only given to participants", async (t) => {
+  const room = await server.createRoom();
+  const outsider = server.connect(t);
+  await outsider.connect();
+  await rejectsWith(
+    outsider.request("get-ice-servers", { roomId: room.roomId }),
+    "NOT_IN_ROOM"
+  );
+
+  const response = await server.api(
+    "GET",
+    `/api/room/${room.roomId}/ice-servers`
+  );
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, isValidDate } = require("../lib/validation");
+const { socketSchemas, restSchemas } = require("../lib/schemas");
+
+const schema = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 5 },
+  count: { type: "integer", min: 1, max: 10 },
+  mode: { enum: ["a", "b"] },
+  at: { type: "date", nullable: true },
+  tags: { type: "array", maxLength: 2, items: { type: "string" } },
+  options: { type: "object", fields: { loud: { type: "boolean" } } },
+  limits: { type: "object", values: { type: "number" } },
+  target: { anyOf: [{ type: "string" }, { type: "integer" }] },
+};
+
+test("valid payloads pass", () => {
+  assert.equal(
+    validate(schema, {
+      name: "Ada",
+      count: 3,
+      mode: "b",
+      at: null,
+      tags: ["x", "y"],
+      options: { loud: true },
+      limits: { chat: 1.5 },
+      target: 7,
+    }),
+    null
+  );
+  assert.equal(validate({}, undefined), null);
+});
+
+test("errors name the code and the field at fault", () => {
+  const cases = [
+    [[], { code: "INVALID_PAYLOAD", field: null }],
+    [{}, { code: "MISSING_FIELD", field: "name" }],
+    [
+      { name: "Ada", extra: 1 },
+      { code: "UNKNOWN_FIELD", field: "extra" },
+    ],
+    [{ name: "Ada Lovelace" }, { code: "INVALID_FIELD", field: "name" }],
+    [
+      { name: "Ada", count: 1.5 },
+      { code: "INVALID_FIELD", field: "count" },
+    ],
+    [
+      { name: "Ada", count: 11 },
+      { code: "INVALID_FIELD", field: "count" },
+    ],
+    [
+      { name: "Ada", mode: "c" },
+      { code: "INVALID_FIELD", field: "mode" },
+    ],
+    [
+      { name: "Ada", tags: ["x", 1] },
+      { code: "INVALID_FIELD", field: "tags[1]" },
+    ],
+    [
+      { name: "Ada", options: { quiet: true } },
+      { code: "UNKNOWN_FIELD", field: "options.quiet" },
+    ],
+    [
+      { name: "Ada", limits: { chat: "fast" } },
+      { code: "INVALID_FIELD", field: "limits.chat" },
+    ],
+    [
+      { name: "Ada", target: true },
+      { code: "INVALID_FIELD", field: "target" },
+    ],
+  ];
+
+  cases.forEach(([payload, expected]) => {
+    const error = validate(schema, payload);
+    assert.deepEqual(
+      { code: error.code, field: error.field },
+      expected,
+      JSON.stringify(payload)
+    );
+    assert.equal(typeof error.message, "string");
+  });
+});
+
+test("messages describe what the rule accepts", () => {
+  assert.equal(
+    validate(schema, { name: "Ada", count: 0 }).message,
+    "count must be an integer from 1 to 10"
+  );
+  assert.equal(
+    validate(schema, { name: "Ada", at: "later" }).message,
+    "at must be an ISO date or a time in milliseconds or null"
+  );
+});
+
+test("dates are ISO strings or epoch milliseconds", () => {
+  assert.equal(isValidDate("2026-03-02T09:00:00Z"), true);
+  assert.equal(isValidDate(Date.now()), true);
+  assert.equal(isValidDate("later"), false);
+  assert.equal(isValidDate(NaN), false);
+  assert.equal(isValidDate(true), false);
+  assert.equal(isValidDate(null), false);
+});
+
+test("the declared schemas check real payloads", () => {
+  assert.equal(
+    validate(socketSchemas["toggle-audio"], {
+      roomId: "room-1",
+      enabled: "yes",
+    }).field,
+    "enabled"
+  );
+  assert.equal(
+    validate(socketSchemas["join-room"], { roomId: "room-1" }).code,
+    "MISSING_FIELD"
+  );
+  assert.equal(
+    validate(restSchemas.createRoom, {
+      schedule: { startTime: Date.now(), durationMinutes: 30 },
+    }),
+    null
+  );
+  assert.equal(
+    validate(restSchemas.createRoom, { schedule: { durationMinutes: 30 } })
+      .field,
+    "schedule.startTime"
+  );
+});
+
+// Every field the original events were sent with, as clients written
+// against them still send it
+test("payloads from older clients are still accepted", () => {
+  const roomId = "room-1";
+  const legacyPayloads = {
+    "join-room": { roomId, username: "Ada", peerId: "peer-1" },
+    "update-host-master-controls": {
+      roomId,
+      settings: { controlAllAudio: false, controlAllVideo: true },
+    },
+    "toggle-audio": { roomId, peerId: "peer-1", enabled: false },
+    "toggle-video": { roomId, peerId: "peer-1", enabled: true },
+    "host-control-audio": {
+      roomId,
+      targetPeerId: "peer-2",
+      action: "mute",
+      forced: true,
+    },
+    "host-control-video": {
+      roomId,
+      targetPeerId: "peer-2",
+      action: "disable",
+      forced: false,
+    },
+    "send-chat-message": {
+      roomId,
+      username: "Ada",
+      message: "Hello",
+      timestamp: new Date().toString(),
+      chatMode: "everyone",
+    },
+    "send-private-message": {
+      roomId,
+      username: "Ada",
+      message: "Hello",
+      timestamp: null,
+      recipient: "Grace",
+      toHost: false,
+    },
+    "send-host-message": {
+      roomId,
+      username: "Ada",
+      message: "Hello",
+      timestamp: Date.now(),
+    },
+    "send-system-message": { roomId, message: "Recording", type: "info" },
+    "update-chat-settings": {
+      roomId,
+      settings: { allowParticipantChat: false, moderateMessages: true },
+    },
+    "typing-indicator": { roomId, username: 42, isTyping: true },
+    "user-screen-share": { roomId, peerId: "peer-1", isSharing: true },
+    "remove-participant": {
+      roomId,
+      participantId: "participant-2",
+      peerId: "peer-2",
+    },
+    "transfer-host": { roomId, newHostId: "participant-2" },
+  };
+
+  Object.entries(legacyPayloads).forEach(([event, payload]) => {
+    assert.equal(validate(socketSchemas[event], payload), null, event);
+  });
+});
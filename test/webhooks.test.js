@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { once } = require("events");
+const {
+  isPrivateAddress,
+  createSubscription,
+  signPayload,
+  WebhookDispatcher,
+} = require("../lib/webhooks");
+const { useServer } = require("./helpers/server");
+
+const server = useServer({
+  ADMIN_API_KEY: "admin-key",
+  WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+});
+
+const SECRET = "0123456789abcdef0123456789abcdef";
+
+// A receiver on 127.0.0.1 that answers 204 and records what it was sent
+async function startReceiver(t) {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      receiver.emit("delivery");
+      res.writeHead(204).end();
+    });
+  });
+  receiver.listen(0, "127.0.0.1");
+  await once(receiver, "listening");
+  t.after(() => receiver.close());
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  return { receiver, received, url };
+}
+
+test("isPrivateAddress covers loopback, private and link-local ranges", () => {
+  [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+  ].forEach((address) => assert.equal(isPrivateAddress(address), true));
+  ["8.8.8.8", "2001:4860:4860::8888", "example.com"].forEach((address) =>
+    assert.equal(isPrivateAddress(address), false)
+  );
+});
+
+test("createSubscription refuses local and private receivers", () => {
+  [
+    "http://localhost/hook",
+    "http://api.localhost/hook",
+    "http://127.0.0.1:8080/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+  ].forEach((url) =>
+    assert.throws(
+      () => createSubscription({ url }),
+      /must not point to a local or private network address/
+    )
+  );
+
+  const allowed = createSubscription(
+    { url: "http://127.0.0.1:8080/hook" },
+    { allowedHosts: ["127.0.0.1"] }
+  );
+  assert.equal(allowed.url, "http://127.0.0.1:8080/hook");
+  assert.deepEqual(allowed.events, ["*"]);
+  assert.ok(allowed.secret.length >= 16);
+});
+
+test("createSubscription validates the URL, events and secret", () => {
+  assert.throws(() => createSubscription({ url: "ftp://example.com" }), /url/);
+  assert.throws(
+    () => createSubscription({ url: "https://example.com", events: [] }),
+    /events/
+  );
+  assert.throws(
+    () => createSubscription({ url: "https://example.com", secret: "short" }),
+    /secret/
+  );
+});
+
+test("the dispatcher does not connect to private addresses", async () => {
+  const dispatcher = new WebhookDispatcher();
+  await assert.rejects(
+    dispatcher.post("http://127.0.0.1:9/hook", "{}", {}),
+    /private network address/
+  );
+  // Names are checked by the address they resolve to
+  await assert.rejects(
+    dispatcher.post("http://localhost:9/hook", "{}", {}),
+    /resolves to a private network address/
+  );
+});
+
+test("the dispatcher delivers to allowed hosts", async (t) => {
+  const { received, url } = await startReceiver(t);
+  const dispatcher = new WebhookDispatcher({ allowedHosts: ["127.0.0.1"] });
+
+  const status = await dispatcher.post(url, '{"ok":true}', {
+    "Content-Type": "application/json",
+  });
+  assert.equal(status, 204);
+  assert.equal(received[0].body, '{"ok":true}');
+});
+
+test("deliveries are signed with the subscription's secret", async (t) => {
+  const { receiver, received, url } = await startReceiver(t);
+  const delivered = once(receiver, "delivery");
+
+  const room = await server.createRoom(
+    { webhooks: [{ url, events: ["room.created"], secret: SECRET }] },
+    { "X-Admin-Key": "admin-key" }
+  );
+  await delivered;
+
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-webhook-event"], "room.created");
+  assert.equal(
+    headers["x-webhook-signature"],
+    signPayload(SECRET, headers["x-webhook-timestamp"], body)
+  );
+  assert.equal(JSON.parse(body).roomId, room.roomId);
+});
+
+test("registering webhooks with a new room requires the admin key", async () => {
+  const response = await server.api("POST", "/api/room", {
+    body: { webhooks: [{ url: "https://example.com/hook" }] },
+  });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, "INVALID_ADMIN_KEY");
+  assert.equal(response.body.field, "webhooks");
+});
+
+test("hosts cannot add webhooks to private addresses", async () => {
+  const room = await server.createRoom();
+  const response = await server.api(
+    "POST",
+    `/api/room/${room.roomId}/webhooks`,
+    {
+      body: { url: "http://169.254.169.254/latest/meta-data" },
+      headers: { "X-Host-Key": room.hostKey },
+    }
+  );
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, "INVALID_WEBHOOK");
+});